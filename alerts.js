@@ -0,0 +1,365 @@
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const nodeFetch = require('node-fetch');
+
+// 报警路由：按级别（info / warn / critical）分发到 Telegram、JSON Webhook、SMTP 邮件。
+// 同一 key 在去重窗口内只立即发送第一条，其余计数，窗口结束时合并为一条"N 次同类报警"摘要；
+// 级别升高的报警不受去重限制，立即发送
+
+const SEVERITIES = ['info', 'warn', 'critical'];
+const rank = (severity) => Math.max(0, SEVERITIES.indexOf(severity));
+
+class AlertRouter {
+    // options: { channels: [{ name, minSeverity, send(alert) }], dedupWindowMs, logger }
+    constructor({ channels = [], dedupWindowMs = 300_000, logger = console } = {}) {
+        this.channels = channels;
+        this.dedupWindowMs = dedupWindowMs;
+        this.logger = logger;
+        // key → { severity, count, lastText, timer }
+        this.windows = new Map();
+    }
+
+    async send(severity, key, text) {
+        if (!SEVERITIES.includes(severity)) severity = 'warn';
+        const window = this.windows.get(key);
+        if (window && rank(severity) <= rank(window.severity)) {
+            window.count += 1;
+            window.lastText = text;
+            return false;
+        }
+        if (window) {
+            window.severity = severity;
+        } else if (this.dedupWindowMs > 0) {
+            this.openWindow(key, severity);
+        }
+        await this.dispatch({ severity, key, text, count: 1, digest: false, time: Date.now() });
+        return true;
+    }
+
+    openWindow(key, severity) {
+        const window = { severity, count: 0, lastText: '', timer: null };
+        window.timer = setTimeout(() => this.closeWindow(key), this.dedupWindowMs);
+        // 挂起的摘要不阻止进程退出；退出前调用 flush()
+        if (window.timer.unref) window.timer.unref();
+        this.windows.set(key, window);
+    }
+
+    // 窗口结束：有被合并的报警则发送摘要并开启新窗口，否则清除
+    async closeWindow(key) {
+        const window = this.windows.get(key);
+        if (!window) return;
+        clearTimeout(window.timer);
+        this.windows.delete(key);
+        if (window.count === 0) return;
+        this.openWindow(key, window.severity);
+        await this.dispatch(this.digestOf(key, window));
+    }
+
+    digestOf(key, window) {
+        const minutes = Math.max(1, Math.round(this.dedupWindowMs / 60_000));
+        return {
+            severity: window.severity,
+            key,
+            text: `🔁 最近 ${minutes} 分钟内又发生 ${window.count} 次同类报警（${key}），最近一次：\n${window.lastText}`,
+            count: window.count,
+            digest: true,
+            time: Date.now()
+        };
+    }
+
+    // 立即发出所有待发摘要（退出前调用）
+    async flush() {
+        const pending = [...this.windows.entries()];
+        this.windows.clear();
+        pending.forEach(([, window]) => clearTimeout(window.timer));
+        await Promise.all(pending
+            .filter(([, window]) => window.count > 0)
+            .map(([key, window]) => this.dispatch(this.digestOf(key, window))));
+    }
+
+    async dispatch(alert) {
+        const targets = this.channels.filter(channel => rank(alert.severity) >= rank(channel.minSeverity));
+        const results = await Promise.allSettled(targets.map(channel => channel.send(alert)));
+        results.forEach((result, index) => {
+            if (result.status === 'rejected') {
+                this.logger.error(`报警通道 ${targets[index].name} 发送失败: ${result.reason?.message}`);
+            }
+        });
+    }
+
+    // 向所有通道发送测试消息（忽略级别与去重），返回每个通道的结果
+    async test(text) {
+        const alert = { severity: 'info', key: 'test', text, count: 1, digest: false, time: Date.now() };
+        const results = await Promise.allSettled(this.channels.map(channel => channel.send(alert)));
+        return results.map((result, index) => ({
+            name: this.channels[index].name,
+            ok: result.status === 'fulfilled',
+            error: result.status === 'rejected' ? result.reason?.message : null
+        }));
+    }
+}
+
+// 带超时的 fetch，非 2xx 视为失败
+async function postWithTimeout(url, options, timeoutMs) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+        const response = await nodeFetch(url, { ...options, signal: controller.signal });
+        if (!response.ok) {
+            const error = new Error(`HTTP ${response.status} ${(await response.text()).slice(0, 200)}`);
+            error.status = response.status;
+            throw error;
+        }
+        return response;
+    } catch (error) {
+        if (error.name === 'AbortError') throw new Error(`请求超时（${timeoutMs}ms）`);
+        throw error;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+class TelegramChannel {
+    constructor({ botToken, chatId, apiBase = 'https://api.telegram.org', minSeverity = 'info', timeoutMs = 10_000 }) {
+        this.name = 'telegram';
+        this.botToken = botToken;
+        this.chatId = String(chatId);
+        this.apiBase = apiBase.replace(/\/+$/, '');
+        this.minSeverity = minSeverity;
+        this.timeoutMs = timeoutMs;
+    }
+
+    async send(alert) {
+        await postWithTimeout(`${this.apiBase}/bot${this.botToken}/sendMessage`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({ chat_id: this.chatId, text: alert.text })
+        }, this.timeoutMs);
+    }
+}
+
+class WebhookChannel {
+    constructor({ url, headers = {}, minSeverity = 'info', timeoutMs = 10_000 }) {
+        this.name = 'webhook';
+        this.url = url;
+        this.headers = headers;
+        this.minSeverity = minSeverity;
+        this.timeoutMs = timeoutMs;
+    }
+
+    async send(alert) {
+        await postWithTimeout(this.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...this.headers },
+            body: JSON.stringify({
+                source: 'aster-tools',
+                host: os.hostname(),
+                severity: alert.severity,
+                key: alert.key,
+                text: alert.text,
+                count: alert.count,
+                digest: alert.digest,
+                time: new Date(alert.time).toISOString()
+            })
+        }, this.timeoutMs);
+    }
+}
+
+// 最小 SMTP 客户端：EHLO、可选 STARTTLS / 隐式 TLS、AUTH PLAIN、单封纯文本邮件
+class SmtpSession {
+    constructor(socket, timeoutMs) {
+        this.timeoutMs = timeoutMs;
+        this.attach(socket);
+    }
+
+    attach(socket) {
+        if (this.socket) this.socket.removeAllListeners('data');
+        this.socket = socket;
+        this.buffer = '';
+        this.lines = [];
+        this.replies = [];
+        this.waiter = null;
+        this.failure = null;
+        socket.on('data', chunk => this.onData(chunk.toString('utf8')));
+        socket.on('error', error => this.fail(error));
+        socket.on('close', () => this.fail(new Error('SMTP 连接已关闭')));
+    }
+
+    onData(chunk) {
+        this.buffer += chunk;
+        let index;
+        while ((index = this.buffer.indexOf('\r\n')) >= 0) {
+            const line = this.buffer.slice(0, index);
+            this.buffer = this.buffer.slice(index + 2);
+            this.lines.push(line);
+            // 多行回复以 "250-" 续行，"250 " 结束
+            if (/^\d{3}(?: |$)/.test(line)) {
+                this.replies.push({ code: parseInt(line.slice(0, 3), 10), lines: this.lines });
+                this.lines = [];
+            }
+        }
+        this.wake();
+    }
+
+    fail(error) {
+        if (!this.failure) this.failure = error;
+        this.wake();
+    }
+
+    wake() {
+        if (!this.waiter) return;
+        const { resolve, reject, timer } = this.waiter;
+        if (this.replies.length > 0) {
+            this.waiter = null;
+            clearTimeout(timer);
+            resolve(this.replies.shift());
+        } else if (this.failure) {
+            this.waiter = null;
+            clearTimeout(timer);
+            reject(this.failure);
+        }
+    }
+
+    read() {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.waiter = null;
+                reject(new Error(`SMTP 响应超时（${this.timeoutMs}ms）`));
+            }, this.timeoutMs);
+            this.waiter = { resolve, reject, timer };
+            this.wake();
+        });
+    }
+
+    async command(line, expected) {
+        if (line !== null) this.socket.write(`${line}\r\n`);
+        const reply = await this.read();
+        if (!expected.includes(reply.code)) {
+            const shown = /^AUTH /i.test(line || '') ? 'AUTH' : line;
+            const error = new Error(`SMTP ${shown || '连接'} 失败: ${reply.lines.join(' ')}`);
+            error.status = reply.code;
+            throw error;
+        }
+        return reply;
+    }
+}
+
+const encodeHeader = (text) => (/^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text).toString('base64')}?=`);
+
+function buildMessage({ from, to, subject, text }) {
+    const body = Buffer.from(text.replace(/\r?\n/g, '\r\n')).toString('base64').replace(/.{76}/g, '$&\r\n');
+    return [
+        `From: ${from}`,
+        `To: ${to.join(', ')}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        body
+    ].join('\r\n');
+}
+
+function connectSmtp({ host, port, secure, timeoutMs }) {
+    return new Promise((resolve, reject) => {
+        const socket = secure
+            ? tls.connect({ host, port, servername: host })
+            : net.connect({ host, port });
+        const timer = setTimeout(() => {
+            socket.destroy();
+            reject(new Error(`连接 SMTP ${host}:${port} 超时`));
+        }, timeoutMs);
+        socket.once(secure ? 'secureConnect' : 'connect', () => {
+            clearTimeout(timer);
+            socket.removeListener('error', reject);
+            resolve(socket);
+        });
+        socket.once('error', (error) => {
+            clearTimeout(timer);
+            reject(error);
+        });
+    });
+}
+
+async function sendMail({ host, port = 25, secure = false, starttls = true, allowInsecureAuth = false, user, password, from, to, subject, text, timeoutMs = 15_000 }) {
+    const recipients = Array.isArray(to) ? to : String(to).split(',').map(s => s.trim()).filter(Boolean);
+    const socket = await connectSmtp({ host, port, secure, timeoutMs });
+    const session = new SmtpSession(socket, timeoutMs);
+    let encrypted = secure;
+    try {
+        await session.command(null, [220]);
+        let ehlo = await session.command(`EHLO ${os.hostname() || 'localhost'}`, [250]);
+        if (!secure && starttls && ehlo.lines.some(line => /^250[ -]STARTTLS\b/i.test(line))) {
+            await session.command('STARTTLS', [220]);
+            const secured = await new Promise((resolve, reject) => {
+                const upgraded = tls.connect({ socket, servername: host }, () => resolve(upgraded));
+                upgraded.once('error', reject);
+            });
+            session.attach(secured);
+            encrypted = true;
+            ehlo = await session.command(`EHLO ${os.hostname() || 'localhost'}`, [250]);
+        }
+        if (user) {
+            // 未加密的连接上 AUTH PLAIN 等同明文发送密码，除非显式允许
+            if (!encrypted && !allowInsecureAuth) {
+                throw new Error('SMTP 连接未加密（未使用 secure 且服务器未提供 STARTTLS），拒绝发送密码；如确需明文认证请设置 allowInsecureAuth: true');
+            }
+            const credentials = Buffer.from(`\u0000${user}\u0000${password || ''}`).toString('base64');
+            await session.command(`AUTH PLAIN ${credentials}`, [235]);
+        }
+        await session.command(`MAIL FROM:<${from.replace(/^.*<|>.*$/g, '')}>`, [250]);
+        for (const rcpt of recipients) {
+            await session.command(`RCPT TO:<${rcpt.replace(/^.*<|>.*$/g, '')}>`, [250, 251]);
+        }
+        await session.command('DATA', [354]);
+        // 正文已 base64 编码，不会出现需要转义的 "." 行
+        await session.command(`${buildMessage({ from, to: recipients, subject, text })}\r\n.`, [250]);
+        await session.command('QUIT', [221]).catch(() => {});
+    } finally {
+        session.socket.destroy();
+    }
+}
+
+class EmailChannel {
+    constructor({ host, port, secure, starttls, allowInsecureAuth, user, password, from, to, minSeverity = 'critical', timeoutMs = 15_000 }) {
+        this.name = 'email';
+        this.options = {
+            host, port: port || (secure ? 465 : 25), secure: !!secure, starttls: starttls !== false, allowInsecureAuth: allowInsecureAuth === true,
+            user, password, from, to, timeoutMs
+        };
+        this.minSeverity = minSeverity;
+    }
+
+    async send(alert) {
+        const firstLine = alert.text.split('\n')[0].slice(0, 120);
+        await sendMail({
+            ...this.options,
+            subject: `[aster-tools][${alert.severity}] ${firstLine}`,
+            text: `${alert.text}\n\n级别: ${alert.severity}\n报警 key: ${alert.key}\n主机: ${os.hostname()}\n时间: ${new Date(alert.time).toLocaleString('zh-CN')}`
+        });
+    }
+}
+
+// 按配置创建报警通道：telegram.enabled 沿用原有 Telegram 报警，alerts.webhook / alerts.email 可选
+function createAlertChannels(config = {}, env = process.env) {
+    const alerts = config.alerts || {};
+    const channels = [];
+    const tg = config.telegram || {};
+    if (tg.enabled && tg.botToken && tg.chatId) {
+        channels.push(new TelegramChannel({ botToken: tg.botToken, chatId: tg.chatId, apiBase: tg.apiBase, ...alerts.telegram }));
+    }
+    const webhook = alerts.webhook || {};
+    const webhookUrl = env.ASTER_ALERT_WEBHOOK_URL || webhook.url;
+    if (webhook.enabled !== false && webhookUrl) {
+        channels.push(new WebhookChannel({ ...webhook, url: webhookUrl }));
+    }
+    const email = alerts.email || {};
+    if (email.enabled !== false && email.host) {
+        channels.push(new EmailChannel({ ...email, password: env.ASTER_SMTP_PASSWORD || email.password }));
+    }
+    return channels;
+}
+
+module.exports = { AlertRouter, TelegramChannel, WebhookChannel, EmailChannel, createAlertChannels, sendMail, SEVERITIES };
@@ -1,46 +1,187 @@
 const config = {
-   api1: {
-   apiKey: '',
-   apiSecret: '',
-    proxy: {
-      enabled: false,
-      url: 'http://127.0.0.1:1087'
-    }
-   },
-   api2: {
-   apiKey: '',
-   apiSecret: '',
-    proxy: {
-      enabled: false,
-      url: 'http://127.0.0.1:1088'
-    }
-   },
-   api3: {
-   apiKey: '',
-   apiSecret: '',
-    proxy: {
-      enabled: false,
-      url: 'http://127.0.0.1:1089'
-    }
-   },
+   // 账号池：支持 2~N 个账号，每个账号一个 AsterFuturesAPI 实例
+   // label 可选，默认为 账号1/账号2/...；旧版 api1/api2/api3 写法仍然兼容
+   // 密钥可留空，改由环境变量或 .env 提供：ASTER_API_KEY_<序号> / ASTER_API_SECRET_<序号>（序号从 1 开始），
+   // 或在账号中用 apiKeyEnv / apiSecretEnv 指定变量名；环境变量优先于此处填写的值
+   // 也可以存入加密密钥库（node index.js keystore add <label>），启动时按 label 解锁填充
+   // keystoreFile: './keystore.json',
+   accounts: [
+     {
+       label: '账号1',
+       apiKey: '',
+       apiSecret: '',
+       proxy: {
+         enabled: false,
+         url: 'http://127.0.0.1:1087'
+       }
+     },
+     {
+       label: '账号2',
+       apiKey: '',
+       apiSecret: '',
+       proxy: {
+         enabled: false,
+         url: 'http://127.0.0.1:1088'
+       }
+     },
+     {
+       label: '账号3',
+       apiKey: '',
+       apiSecret: '',
+       proxy: {
+         enabled: false,
+         url: 'http://127.0.0.1:1089'
+       }
+     }
+   ],
+   // 每轮对冲的辅账号数量（默认 = 账号数 - 1，即除主账号外全部参与）
+   // helperCount: 2,
+   // 主账号做空的概率（0~1，默认 0 即总是做多）：做空时主账号按卖一挂限价卖单，辅账号买入对冲
+   // shortProbability: 0.5,
    // Telegram 报警配置
    telegram: {
      enabled: false,
      botToken: '',
-     chatId: ''
+     chatId: '',
+     commands: false       // loop 运行时接收该 chatId 发来的命令（/status /balance /stats /pause /resume /closeall /stop）
    },
    symbol: 'BTCUSDT',
    leverage: 20,
    quantity: 0.005,
    price: 112000,
    positionTime: { min: 30, max: 60 }, // 持仓时间(单位秒) - 随机30-60秒
-   // 随机金额范围配置
+   // 随机金额范围配置（实际下单精度与最小限制以交易所 exchangeInfo 为准）
    minQuantity: 0.001,  // 最小下单数量
    maxQuantity: 0.01,   // 最大下单数量
+   // exchangeInfoTtlMs: 3600000, // 交易规则（步长/最小数量/最小名义价值）缓存时间（毫秒）
    
    // 安全配置
    maxPositionValue: 10000,  // 最大持仓价值(USDT) - 防止过度杠杆
+
+   // 追价模式：主账号限价单 intervalSeconds 秒未成交且买一上移超过 minTicks 个价位时，撤单并按新买一重挂剩余数量
+   // orderChase: {
+   //   enabled: false,
+   //   intervalSeconds: 10,     // 检查间隔（秒）
+   //   minTicks: 2,             // 盘口偏离多少个最小价位后追价
+   //   maxReprices: 5,          // 单轮最多追价次数
+   //   maxDriftPercent: 0.2     // 新价格相对首次挂单价的最大偏离（%），超出后不再追价
+   // },
+
+   // 辅账号 Maker 优先对冲：按卖一挂只做 Maker 的 GTX 限价单，timeoutSeconds 秒内未成交部分撤单后市价成交
+   // makerHedge: { enabled: false, timeoutSeconds: 5 },
+
+   // 成交额目标（USDT，成交数量 × 成交均价，含开仓、对冲与平仓）：达到后平仓并停止循环，0 或不填为不限
+   // 两项同时配置时需全部达成
+   // targetVolume: 1000000,          // 所有账号合计
+   // targetVolumePerAccount: 300000, // 每个账号
+
+   // 风控熔断：统计每轮的实现盈亏与手续费（资金流水），任一上限触发即停止开仓、清理持仓挂单并发送 Telegram 报警
+   // riskControl: {
+   //   maxSessionLoss: 50,          // 本次运行累计亏损上限（USDT）
+   //   maxDailyLoss: 100,           // 当日（本地时区自然日）累计亏损上限（USDT）
+   //   maxConsecutiveFailures: 5,   // 连续失败周期上限（周期异常、主单超时未成交或对冲敞口无法中和）
+   //   onTrip: 'exit'               // 'exit' 结束循环；'pause' 暂停等待 kill -USR2 <pid> 手动恢复（pm2 autorestart 下建议 pause）
+   // },
+
+   // 开仓前余额与保证金检查：每轮开始前查询各账号，不满足条件的账号本轮不参与；可用账号不足 2 个时暂停并报警
+   // minAccountBalance: 100,   // 最低可用余额（USDT）
+   // balanceCheck: {
+   //   enabled: true,
+   //   maxMarginRatio: 0.8,      // 维持保证金 / 保证金余额 的上限
+   //   marginBuffer: 1.2         // 可用余额需覆盖 maxQuantity 名义价值 / 杠杆 × marginBuffer
+   // },
+
+   // 持仓监控：随机持仓期间轮询 positionRisk，任一持仓腿接近强平或浮亏过大时提前平仓并报警
+   // holdMonitor: {
+   //   enabled: true,
+   //   intervalSeconds: 2,                // 轮询间隔（秒）
+   //   minLiquidationDistancePercent: 2,  // 标记价格距强平价小于该百分比时平仓
+   //   maxMarginRatio: 0.8,               // 接口返回 marginRatio 时的上限
+   //   maxLegLoss: 0                      // 单腿浮亏上限（USDT），0 为不限
+   // },
+
+   // 对冲核对：辅账号对冲后所有账号净持仓需在容差内，否则在成功的辅账号上补单
+   // 补单后仍无法中和则立即平掉主账号并发送 Telegram 报警
+   // hedgeTolerance: 0,        // 允许的净持仓偏差（币数量）
+   // hedgeRepairAttempts: 2,   // 补单尝试次数
    
+   // 用户数据流：通过 WebSocket 推送订单成交，断线时自动回退到 REST 轮询
+   // wsBaseURL: 'wss://fstream.asterdex.com',
+   // userDataStream: { enabled: true, keepAliveMinutes: 30 },
+
+   // 行情数据流：本地维护买一/卖一，替代每轮 REST depth 查询；超过 staleMs 未更新则本轮报错
+   // marketData: { enabled: true, stream: 'bookTicker', staleMs: 5000, readyTimeoutMs: 10000 }, // stream 可选 'bookTicker' 或 'depth'
+
+   // 模拟盘（node index.js --paper）：所有账号使用本地模拟交易所
+   // paper: {
+   //   balance: 10000,          // 每个账号初始 USDT 余额
+   //   startPrice: 112000,      // 起始价格，默认使用 price
+   //   volatility: 0.0005,      // 随机游走单步波动比例
+   //   stepMs: 1000,            // 价格推进间隔（毫秒）
+   //   priceFile: '',           // 可选：回放价格文件（每行一个价格，或 CSV 最后一列为价格）
+   //   makerFee: 0.0002,
+   //   takerFee: 0.0004
+   // },
+
+   // 可选：接口地址（默认 https://fapi.asterdex.com，联调时可指向本地替身服务 test/mockAsterServer.js）
+   // baseURL: 'https://fapi.asterdex.com',
+   // orderPollIntervalMs: 3000,   // REST 轮询订单状态间隔（毫秒）
+   // logToConsole: true,          // false 时日志只写文件
+   // 可选：日志文件（异步写入，按大小与时长轮转）；级别也可用环境变量 ASTER_LOG_LEVEL 覆盖
+   // logging: {
+   //   dir: './logs',
+   //   level: 'info',               // debug / info / warn / error；debug 会记录每个 REST 请求的耗时
+   //   format: 'text',              // json 时写入 .jsonl，每行一条记录，含 account、cycle、orderId、symbol、latency 等字段
+   //   maxSizeMB: 50,
+   //   maxAgeHours: 24,
+   //   retentionDays: 14,
+   //   maxFiles: 30
+   // },
+
+   // 可选：限频调度（同一出口 IP/代理的账号共享），根据响应头 X-MBX-USED-WEIGHT-* / X-MBX-ORDER-COUNT-* 在接近上限前排队
+   // 默认上限取自 exchangeInfo.rateLimits；下单/撤单优先于持仓日志、余额、报表等信息类查询
+   // rateLimit: {
+   //   weightLimits: { '1m': 2400 },            // 每个出口 IP 的请求权重上限
+   //   orderLimits: { '10s': 300, '1m': 1200 }, // 每个账号的下单数上限
+   //   thresholds: { order: 0.95, normal: 0.85, low: 0.7 } // 各优先级开始排队的用量比例
+   // },
+
+   // 可选：报警路由。级别 info / warn / critical，同一报警在 dedupWindowSec 内只发送一次，其余合并为摘要
+   // Telegram 通道沿用上方 telegram 配置；minSeverity 为各通道接收的最低级别
+   // alerts: {
+   //   dedupWindowSec: 300,
+   //   telegram: { minSeverity: 'info' },
+   //   webhook: { url: 'https://example.com/hook', headers: { Authorization: 'Bearer xxx' }, minSeverity: 'warn' }, // 或 ASTER_ALERT_WEBHOOK_URL
+   //   email: {
+   //     host: 'smtp.example.com', port: 587, secure: false,  // secure=true 为 465 端口隐式 TLS；否则服务器支持时自动 STARTTLS
+   //     user: 'alerts@example.com', password: '',             // 或环境变量 ASTER_SMTP_PASSWORD
+   //     allowInsecureAuth: false,                             // 连接未加密时默认拒绝发送密码，仅在可信内网 SMTP 上设为 true
+   //     from: 'Aster <alerts@example.com>', to: 'ops@example.com,oncall@example.com',
+   //     minSeverity: 'critical'
+   //   }
+   // },
+
+   // 可选：本地控制接口（loop 运行时通过 HTTP 查询状态、暂停/恢复、平仓、退出及 Prometheus /metrics），只监听本机
+   // control: {
+   //   enabled: false,
+   //   token: '',            // 必填，或环境变量 ASTER_CONTROL_TOKEN
+   //   port: 3000,           // 默认取 PORT 环境变量（ecosystem.config.js），再默认 3000
+   //   host: '127.0.0.1'
+   // },
+
+   // 可选：配置档（node index.js loop --profile eth 或环境变量 ASTER_PROFILE=eth）
+   // 选中的配置档中的顶层字段整体覆盖上方同名配置（对象类配置如 orderChase 需写完整）
+   // profiles: {
+   //   btc: { symbol: 'BTCUSDT', price: 112000, minQuantity: 0.001, maxQuantity: 0.01 },
+   //   eth: {
+   //     symbol: 'ETHUSDT', price: 4000, minQuantity: 0.01, maxQuantity: 0.3,
+   //     accounts: [
+   //       { label: 'ETH-1', apiKeyEnv: 'ETH_KEY_1', apiSecretEnv: 'ETH_SECRET_1' },
+   //       { label: 'ETH-2', apiKeyEnv: 'ETH_KEY_2', apiSecretEnv: 'ETH_SECRET_2' }
+   //     ]
+   //   }
+   // },
+
    // 可选：请求重试与时间窗
    // requestRetries: 3,          // 网络/429/5xx/时间戳误差 自动重试次数
    // requestRetryDelayMs: 800,    // 首次退避延迟（毫秒），指数退避
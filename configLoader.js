@@ -0,0 +1,403 @@
+const fs = require('fs');
+const path = require('path');
+const { SEVERITIES } = require('./alerts');
+
+// 配置加载与校验：读取 .env 与环境变量中的密钥、合并 --profile 指定的配置档，
+// 启动时按 CONFIG_SCHEMA 校验，避免错误配置在循环中途才暴露
+
+// 配置项定义：type 为 number/integer/string/boolean/object；min/max 为闭区间，gt 为下界（不含）；
+// enum 为可选值；fields 为子对象的字段定义，values 为任意键子对象的值定义；required 表示必须提供
+const CONFIG_SCHEMA = {
+    symbol: { type: 'string', required: true, pattern: /^[A-Z0-9]+$/ },
+    leverage: { type: 'integer', required: true, min: 1, max: 125 },
+    quantity: { type: 'number', gt: 0 },
+    price: { type: 'number', gt: 0 },
+    minQuantity: { type: 'number', required: true, gt: 0 },
+    maxQuantity: { type: 'number', required: true, gt: 0 },
+    positionTime: {
+        type: 'object',
+        required: true,
+        fields: {
+            min: { type: 'number', required: true, min: 0 },
+            max: { type: 'number', required: true, min: 0 }
+        }
+    },
+    maxPositionValue: { type: 'number', gt: 0 },
+    minAccountBalance: { type: 'number', min: 0 },
+    helperCount: { type: 'integer', min: 1 },
+    shortProbability: { type: 'number', min: 0, max: 1 },
+    telegram: {
+        type: 'object',
+        fields: {
+            enabled: { type: 'boolean' },
+            botToken: { type: 'string' },
+            chatId: { type: ['string', 'number'] },
+            commands: { type: 'boolean' },
+            apiBase: { type: 'string', pattern: /^https?:\/\// },
+            pollTimeoutSec: { type: 'integer', min: 1, max: 50 }
+        }
+    },
+    orderChase: {
+        type: 'object',
+        fields: {
+            enabled: { type: 'boolean' },
+            intervalSeconds: { type: 'number', gt: 0 },
+            minTicks: { type: 'integer', min: 1 },
+            maxReprices: { type: 'integer', min: 0 },
+            maxDriftPercent: { type: 'number', min: 0 }
+        }
+    },
+    makerHedge: {
+        type: 'object',
+        fields: {
+            enabled: { type: 'boolean' },
+            timeoutSeconds: { type: 'number', gt: 0 }
+        }
+    },
+    targetVolume: { type: 'number', min: 0 },
+    targetVolumePerAccount: { type: 'number', min: 0 },
+    riskControl: {
+        type: 'object',
+        fields: {
+            maxSessionLoss: { type: 'number', min: 0 },
+            maxDailyLoss: { type: 'number', min: 0 },
+            maxConsecutiveFailures: { type: 'integer', min: 0 },
+            onTrip: { type: 'string', enum: ['exit', 'pause'] }
+        }
+    },
+    hedgeTolerance: { type: 'number', min: 0 },
+    hedgeRepairAttempts: { type: 'integer', min: 0 },
+    baseURL: { type: 'string', pattern: /^https?:\/\// },
+    wsBaseURL: { type: 'string', pattern: /^wss?:\/\// },
+    userDataStream: {
+        type: 'object',
+        fields: {
+            enabled: { type: 'boolean' },
+            keepAliveMinutes: { type: 'number', gt: 0 }
+        }
+    },
+    marketData: {
+        type: 'object',
+        fields: {
+            enabled: { type: 'boolean' },
+            stream: { type: 'string', enum: ['bookTicker', 'depth'] },
+            staleMs: { type: 'number', gt: 0 },
+            readyTimeoutMs: { type: 'number', gt: 0 }
+        }
+    },
+    paper: {
+        type: 'object',
+        fields: {
+            balance: { type: 'number', gt: 0 },
+            startPrice: { type: 'number', gt: 0 },
+            volatility: { type: 'number', min: 0 },
+            stepMs: { type: 'number', gt: 0 },
+            priceFile: { type: 'string' },
+            makerFee: { type: 'number', min: 0 },
+            takerFee: { type: 'number', min: 0 },
+            symbols: { type: 'object' }
+        }
+    },
+    rateLimit: {
+        type: 'object',
+        fields: {
+            weightLimits: { type: 'object', values: { type: 'number', gt: 0 } },
+            orderLimits: { type: 'object', values: { type: 'number', gt: 0 } },
+            thresholds: {
+                type: 'object',
+                fields: {
+                    order: { type: 'number', gt: 0, max: 1 },
+                    normal: { type: 'number', gt: 0, max: 1 },
+                    low: { type: 'number', gt: 0, max: 1 }
+                }
+            }
+        }
+    },
+    orderPollIntervalMs: { type: 'number', gt: 0 },
+    logToConsole: { type: 'boolean' },
+    exchangeInfoTtlMs: { type: 'number', min: 0 },
+    requestRetries: { type: 'integer', min: 0 },
+    requestRetryDelayMs: { type: 'number', min: 0 },
+    recvWindow: { type: 'integer', min: 1000, max: 60000 },
+    keystoreFile: { type: 'string' },
+    control: {
+        type: 'object',
+        fields: {
+            enabled: { type: 'boolean' },
+            host: { type: 'string' },
+            port: { type: 'integer', min: 0, max: 65535 },
+            token: { type: 'string' }
+        }
+    },
+    balanceCheck: {
+        type: 'object',
+        fields: {
+            enabled: { type: 'boolean' },
+            maxMarginRatio: { type: 'number', gt: 0, max: 1 },
+            marginBuffer: { type: 'number', min: 1 }
+        }
+    },
+    holdMonitor: {
+        type: 'object',
+        fields: {
+            enabled: { type: 'boolean' },
+            intervalSeconds: { type: 'number', gt: 0 },
+            minLiquidationDistancePercent: { type: 'number', min: 0 },
+            maxMarginRatio: { type: 'number', gt: 0 },
+            maxLegLoss: { type: 'number', min: 0 }
+        }
+    },
+    logging: {
+        type: 'object',
+        fields: {
+            dir: { type: 'string' },
+            level: { type: 'string', enum: ['debug', 'info', 'warn', 'error'] },
+            format: { type: 'string', enum: ['text', 'json'] },
+            maxSizeMB: { type: 'number', gt: 0 },
+            maxAgeHours: { type: 'number', gt: 0 },
+            retentionDays: { type: 'number', gt: 0 },
+            maxFiles: { type: 'integer', min: 1 }
+        }
+    },
+    alerts: {
+        type: 'object',
+        fields: {
+            dedupWindowSec: { type: 'number', min: 0 },
+            telegram: {
+                type: 'object',
+                fields: { minSeverity: { type: 'string', enum: SEVERITIES } }
+            },
+            webhook: {
+                type: 'object',
+                fields: {
+                    enabled: { type: 'boolean' },
+                    url: { type: 'string', pattern: /^https?:\/\// },
+                    headers: { type: 'object', values: { type: 'string' } },
+                    minSeverity: { type: 'string', enum: SEVERITIES },
+                    timeoutMs: { type: 'integer', min: 100 }
+                }
+            },
+            email: {
+                type: 'object',
+                fields: {
+                    enabled: { type: 'boolean' },
+                    host: { type: 'string' },
+                    port: { type: 'integer', min: 1, max: 65535 },
+                    secure: { type: 'boolean' },
+                    starttls: { type: 'boolean' },
+                    allowInsecureAuth: { type: 'boolean' },
+                    user: { type: 'string' },
+                    password: { type: 'string' },
+                    from: { type: 'string' },
+                    to: { type: 'string' },
+                    minSeverity: { type: 'string', enum: SEVERITIES },
+                    timeoutMs: { type: 'integer', min: 100 }
+                }
+            }
+        }
+    }
+};
+
+// 账号与配置档由 validateConfig 单独校验，不在 CONFIG_SCHEMA 中
+const SPECIAL_KEYS = ['accounts', 'profiles', 'activeProfile'];
+const LEGACY_ACCOUNT_KEY = /^api\d+$/;
+const ACCOUNT_FIELDS = ['label', 'apiKey', 'apiSecret', 'apiKeyEnv', 'apiSecretEnv', 'proxy'];
+
+// 读取 .env 文件（KEY=VALUE，支持 # 注释、export 前缀与引号），已存在的环境变量不会被覆盖
+function loadEnvFile(file, env = process.env) {
+    if (!file || !fs.existsSync(file)) return false;
+    const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/);
+    lines.forEach(line => {
+        const match = /^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/.exec(line);
+        if (!match) return;
+        let value = match[2];
+        const quoted = /^(['"])(.*)\1$/.exec(value);
+        if (quoted) {
+            value = quoted[1] === '"' ? quoted[2].replace(/\\n/g, '\n') : quoted[2];
+        } else {
+            value = value.replace(/\s+#.*$/, '');
+        }
+        if (env[match[1]] === undefined) env[match[1]] = value;
+    });
+    return true;
+}
+
+// 账号原始配置：优先使用 accounts 数组，兼容旧版 api1/api2/api3 写法；
+// 两者都未配置时按密钥库中的账号顺序
+function rawAccountConfigs(config, keystoreAccounts = null) {
+    if (Array.isArray(config.accounts) && config.accounts.length > 0) {
+        return config.accounts;
+    }
+    const legacy = [];
+    for (let i = 1; config[`api${i}`]; i++) {
+        legacy.push(config[`api${i}`]);
+    }
+    if (legacy.length === 0 && keystoreAccounts) {
+        return keystoreAccounts.map(({ label }) => ({ label }));
+    }
+    return legacy;
+}
+
+// 从配置解析账号列表；密钥优先取环境变量（apiKeyEnv/apiSecretEnv 指定的变量名，
+// 未指定时为 ASTER_API_KEY_<序号>/ASTER_API_SECRET_<序号>，序号从 1 开始），其次是已解锁密钥库中同标签的账号
+function resolveAccountConfigs(config, env = process.env, keystoreAccounts = null) {
+    const stored = new Map((keystoreAccounts || []).map(acc => [acc.label, acc]));
+    return rawAccountConfigs(config, keystoreAccounts).map((acc, index) => {
+        const label = acc.label || `账号${index + 1}`;
+        const entry = stored.get(label) || {};
+        return {
+            label,
+            apiKey: env[acc.apiKeyEnv || `ASTER_API_KEY_${index + 1}`] || entry.apiKey || acc.apiKey,
+            apiSecret: env[acc.apiSecretEnv || `ASTER_API_SECRET_${index + 1}`] || entry.apiSecret || acc.apiSecret,
+            proxy: acc.proxy || null
+        };
+    });
+}
+
+// 加载配置文件：先读取配置文件所在目录的 .env（与工作目录无关，可用 ASTER_ENV_FILE 指定其他路径），
+// 再合并配置档（profiles[profile] 的顶层字段覆盖默认值），Telegram 密钥可由 ASTER_TELEGRAM_BOT_TOKEN / ASTER_TELEGRAM_CHAT_ID 提供。
+// 返回配置模块对象本身（就地修改），便于测试中直接调整配置
+function loadConfig(file, { profile = null, env = process.env, envFile = env.ASTER_ENV_FILE || path.join(path.dirname(path.resolve(file)), '.env') } = {}) {
+    loadEnvFile(envFile, env);
+    const config = require(file);
+
+    if (profile) {
+        const profiles = config.profiles || {};
+        if (!profiles[profile] || typeof profiles[profile] !== 'object') {
+            const available = Object.keys(profiles);
+            throw new Error(`未找到配置档 "${profile}"（可用: ${available.length > 0 ? available.join(', ') : '无，请在配置中添加 profiles'}）`);
+        }
+        Object.assign(config, profiles[profile]);
+        config.activeProfile = profile;
+    }
+
+    if (env.ASTER_TELEGRAM_BOT_TOKEN || env.ASTER_TELEGRAM_CHAT_ID) {
+        config.telegram = Object.assign({}, config.telegram);
+        if (env.ASTER_TELEGRAM_BOT_TOKEN) config.telegram.botToken = env.ASTER_TELEGRAM_BOT_TOKEN;
+        if (env.ASTER_TELEGRAM_CHAT_ID) config.telegram.chatId = env.ASTER_TELEGRAM_CHAT_ID;
+    }
+    return config;
+}
+
+function describeValue(value) {
+    return typeof value === 'string' ? `"${value}"` : JSON.stringify(value);
+}
+
+// 按字段定义校验单个值，错误追加到 errors，未知字段追加到 warnings
+function checkValue(value, spec, key, errors, warnings) {
+    if (value === undefined || value === null) {
+        if (spec.required) errors.push(`缺少必填项 ${key}`);
+        return;
+    }
+    const types = Array.isArray(spec.type) ? spec.type : [spec.type];
+    const typeOk = types.some(type => {
+        if (type === 'integer') return Number.isInteger(value);
+        if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+        if (type === 'object') return typeof value === 'object' && !Array.isArray(value);
+        return typeof value === type;
+    });
+    if (!typeOk) {
+        const names = { integer: '整数', number: '数字', string: '字符串', boolean: 'true/false', object: '对象' };
+        errors.push(`${key} 必须是${types.map(t => names[t]).join('或')}，当前: ${describeValue(value)}`);
+        return;
+    }
+    if (typeof value === 'number') {
+        if (spec.gt !== undefined && !(value > spec.gt)) errors.push(`${key} 必须大于 ${spec.gt}，当前: ${value}`);
+        if (spec.min !== undefined && value < spec.min) errors.push(`${key} 不能小于 ${spec.min}，当前: ${value}`);
+        if (spec.max !== undefined && value > spec.max) errors.push(`${key} 不能大于 ${spec.max}，当前: ${value}`);
+    }
+    if (spec.enum && !spec.enum.includes(value)) {
+        errors.push(`${key} 只能是 ${spec.enum.join(' / ')}，当前: ${describeValue(value)}`);
+    }
+    if (spec.pattern && !spec.pattern.test(value)) {
+        errors.push(`${key} 格式不正确，当前: ${describeValue(value)}`);
+    }
+    if (spec.fields) {
+        checkFields(value, spec.fields, `${key}.`, errors, warnings);
+    }
+    if (spec.values) {
+        Object.keys(value).forEach(sub => checkValue(value[sub], spec.values, `${key}.${sub}`, errors, warnings));
+    }
+}
+
+function checkFields(obj, fields, prefix, errors, warnings, ignored = []) {
+    Object.keys(fields).forEach(key => checkValue(obj[key], fields[key], `${prefix}${key}`, errors, warnings));
+    Object.keys(obj)
+        .filter(key => !fields[key] && !ignored.includes(key) && !(prefix === '' && LEGACY_ACCOUNT_KEY.test(key)))
+        .forEach(key => warnings.push(`未知配置项 ${prefix}${key}（拼写错误？）`));
+}
+
+// 校验配置：返回 { errors, warnings }，errors 非空时不应启动。
+// requireKeys 为 false 时（模拟盘）不要求 apiKey/apiSecret；keystoreAccounts 为已解锁密钥库中的账号
+function validateConfig(config, { requireKeys = true, env = process.env, keystoreAccounts = null } = {}) {
+    const errors = [];
+    const warnings = [];
+    checkFields(config, CONFIG_SCHEMA, '', errors, warnings, SPECIAL_KEYS);
+
+    // 账号：至少 2 个，标签唯一，密钥非空（可来自环境变量），启用代理时需要 url
+    const raw = rawAccountConfigs(config, keystoreAccounts);
+    const accounts = resolveAccountConfigs(config, env, keystoreAccounts);
+    if (accounts.length < 2) {
+        errors.push(`至少需要配置 2 个账号（accounts 或 api1/api2/...），当前: ${accounts.length}`);
+    }
+    const labels = new Set();
+    accounts.forEach((acc, index) => {
+        const name = `账号 ${index + 1}（${acc.label}）`;
+        if (!raw[index] || typeof raw[index] !== 'object') {
+            errors.push(`${name} 配置必须是对象`);
+            return;
+        }
+        if (labels.has(acc.label)) errors.push(`${name} 标签重复`);
+        labels.add(acc.label);
+        if (requireKeys) {
+            if (!acc.apiKey) errors.push(`${name} 缺少 apiKey（或环境变量 ${raw[index].apiKeyEnv || `ASTER_API_KEY_${index + 1}`}、密钥库）`);
+            if (!acc.apiSecret) errors.push(`${name} 缺少 apiSecret（或环境变量 ${raw[index].apiSecretEnv || `ASTER_API_SECRET_${index + 1}`}、密钥库）`);
+        }
+        if (acc.proxy && acc.proxy.enabled && !acc.proxy.url) {
+            errors.push(`${name} 启用了代理但缺少 proxy.url`);
+        }
+        Object.keys(raw[index])
+            .filter(key => !ACCOUNT_FIELDS.includes(key))
+            .forEach(key => warnings.push(`${name} 未知配置项 ${key}（拼写错误？）`));
+    });
+
+    // 字段之间的约束
+    const num = (v) => typeof v === 'number' && Number.isFinite(v);
+    if (num(config.minQuantity) && num(config.maxQuantity) && config.minQuantity > config.maxQuantity) {
+        errors.push(`minQuantity (${config.minQuantity}) 不能大于 maxQuantity (${config.maxQuantity})`);
+    }
+    const pt = config.positionTime;
+    if (pt && num(pt.min) && num(pt.max) && pt.min > pt.max) {
+        errors.push(`positionTime.min (${pt.min}) 不能大于 positionTime.max (${pt.max})`);
+    }
+    if (Number.isInteger(config.helperCount) && accounts.length >= 2 && config.helperCount > accounts.length - 1) {
+        warnings.push(`helperCount (${config.helperCount}) 超过可用辅账号数 ${accounts.length - 1}，将按 ${accounts.length - 1} 执行`);
+    }
+    const tg = config.telegram;
+    if (tg && (tg.enabled || tg.commands) && (!tg.botToken || !tg.chatId)) {
+        errors.push(`telegram.${tg.enabled ? 'enabled' : 'commands'} 为 true 时需要 botToken 与 chatId（或环境变量 ASTER_TELEGRAM_BOT_TOKEN / ASTER_TELEGRAM_CHAT_ID）`);
+    }
+    const email = (config.alerts && config.alerts.email) || {};
+    if (email.host && email.enabled !== false && (!email.from || !email.to)) {
+        errors.push('alerts.email 需要 from 与 to（收件人，多个用逗号分隔）');
+    }
+    const control = config.control;
+    if (control && control.enabled) {
+        const token = control.token || env.ASTER_CONTROL_TOKEN;
+        if (!token) {
+            errors.push('control.enabled 为 true 时需要 control.token（或环境变量 ASTER_CONTROL_TOKEN）');
+        } else if (token.length < 16) {
+            warnings.push('control.token 过短，建议至少 16 位随机字符');
+        }
+        if (control.host && !['127.0.0.1', 'localhost', '::1'].includes(control.host)) {
+            warnings.push(`control.host (${control.host}) 不是本机地址，控制接口将对外暴露`);
+        }
+    }
+    if (config.profiles !== undefined && (typeof config.profiles !== 'object' || Array.isArray(config.profiles))) {
+        errors.push('profiles 必须是对象：{ 配置档名: { 覆盖的配置项 } }');
+    }
+
+    return { errors, warnings };
+}
+
+module.exports = { CONFIG_SCHEMA, loadEnvFile, loadConfig, resolveAccountConfigs, validateConfig };
@@ -0,0 +1,135 @@
+const http = require('http');
+const crypto = require('crypto');
+const { registry } = require('./metrics');
+
+// 本地控制接口：循环运行期间通过 HTTP 查询状态、暂停/恢复、平仓或安全退出。
+// 默认只监听 127.0.0.1，所有请求需携带令牌（Authorization: Bearer <token> 或 X-Control-Token）
+
+// 配置中需要隐藏的字段（按字段名匹配）
+const SECRET_FIELDS = /^(apiKey|apiSecret|botToken|token|secret|password|passphrase|authorization)$/i;
+// alerts 下的 Webhook 地址常带令牌，请求头的值同样视为密钥
+const ALERT_SECRET_PATHS = [/^alerts\.(?:[^.]+\.)*url$/, /^alerts\.(?:[^.]+\.)*headers\.[^.]+$/];
+
+// 复制配置并隐藏密钥；代理地址中的用户名密码同样隐藏
+function redactConfig(value, key = '', path = key) {
+    if (Array.isArray(value)) return value.map(item => redactConfig(item, '', path));
+    if (value instanceof RegExp) return String(value);
+    if (value && typeof value === 'object') {
+        const result = {};
+        Object.keys(value).forEach(sub => {
+            result[sub] = redactConfig(value[sub], sub, path ? `${path}.${sub}` : sub);
+        });
+        return result;
+    }
+    const secret = SECRET_FIELDS.test(key) || ALERT_SECRET_PATHS.some(pattern => pattern.test(path));
+    if (secret && value !== '' && value !== null && value !== undefined) return '***';
+    if (typeof value === 'string' && /^[a-z]+:\/\/[^/@\s]+@/i.test(value)) {
+        return value.replace(/^([a-z]+:\/\/)[^/@\s]+@/i, '$1***@');
+    }
+    return value;
+}
+
+// 按哈希比较，避免长度与逐字节比较泄露令牌
+function tokenMatches(provided, expected) {
+    if (!provided || !expected) return false;
+    const digest = (s) => crypto.createHash('sha256').update(String(s)).digest();
+    return crypto.timingSafeEqual(digest(provided), digest(expected));
+}
+
+class ControlServer {
+    // options: { tool, symbol, token, port, host, config, onStop, logger }
+    constructor({ tool, symbol, token, port = 3000, host = '127.0.0.1', config = {}, onStop = null, logger = console }) {
+        if (!token) {
+            throw new Error('控制接口需要配置令牌');
+        }
+        this.tool = tool;
+        this.symbol = symbol;
+        this.token = token;
+        this.port = port;
+        this.host = host;
+        this.config = config;
+        this.onStop = onStop;
+        this.logger = logger;
+        this.server = null;
+        this.routes = {
+            'GET /status': () => this.tool.getStatus(this.symbol),
+            'GET /config': () => redactConfig(this.config),
+            // Prometheus 文本格式，抓取前刷新余额与持仓
+            'GET /metrics': async () => {
+                await this.tool.refreshMetrics(this.symbol);
+                return registry.render();
+            },
+            'POST /pause': () => ({ paused: this.tool.pause() }),
+            'POST /resume': () => ({ resumed: this.tool.resume() }),
+            'POST /close-all': async () => {
+                const result = await this.tool.closeAllAndPause(this.symbol);
+                return { closed: result.started && result.remaining.length === 0, ...result };
+            },
+            'POST /stop': () => {
+                // 先响应再退出：onStop 会平仓并结束进程
+                setImmediate(() => this.onStop && this.onStop('收到控制接口停止请求'));
+                return { stopping: true };
+            }
+        };
+    }
+
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server = http.createServer((req, res) => this.handle(req, res));
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                this.server.removeListener('error', reject);
+                this.port = this.server.address().port;
+                this.logger.log(`🎛️ 控制接口已启动: http://${this.host}:${this.port}`);
+                resolve(this.port);
+            });
+        });
+    }
+
+    stop() {
+        if (!this.server) return Promise.resolve();
+        const server = this.server;
+        this.server = null;
+        return new Promise(resolve => server.close(() => resolve()));
+    }
+
+    send(res, status, body) {
+        res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.end(JSON.stringify(body));
+    }
+
+    async handle(req, res) {
+        const pathname = new URL(req.url, 'http://localhost').pathname.replace(/\/+$/, '') || '/';
+        const auth = req.headers.authorization || '';
+        const provided = auth.startsWith('Bearer ') ? auth.slice(7) : req.headers['x-control-token'];
+        if (!tokenMatches(provided, this.token)) {
+            this.send(res, 401, { ok: false, error: 'unauthorized' });
+            return;
+        }
+
+        const route = this.routes[`${req.method} ${pathname}`];
+        if (!route) {
+            const known = Object.keys(this.routes).some(key => key.endsWith(` ${pathname}`));
+            this.send(res, known ? 405 : 404, { ok: false, error: known ? 'method not allowed' : 'not found' });
+            return;
+        }
+
+        // 请求体不使用，读完后再处理，避免连接挂起
+        req.resume();
+        try {
+            const result = await route();
+            if (req.method === 'POST') this.logger.log(`🎛️ 控制接口: ${req.method} ${pathname}`);
+            if (typeof result === 'string') {
+                res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+                res.end(result);
+                return;
+            }
+            this.send(res, 200, { ok: true, ...result });
+        } catch (error) {
+            this.logger.error(`控制接口 ${req.method} ${pathname} 失败: ${error.message}`);
+            this.send(res, 500, { ok: false, error: error.message });
+        }
+    }
+}
+
+module.exports = { ControlServer, redactConfig };
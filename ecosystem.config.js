@@ -2,10 +2,13 @@ module.exports = {
   apps: [{
     name: 'aster-hedge-tool',
     script: 'index.js',
+    // pm2 下无法交互确认，需显式传入 --yes
+    args: 'loop --yes',
     instances: 1,
     autorestart: true,
     watch: false,
     max_memory_restart: '1G',
+    // PORT 为本地控制接口端口（配置 control.enabled 时启用）
     env: {
       NODE_ENV: 'production',
       PORT: 3000
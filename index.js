@@ -1,76 +1,690 @@
-const api = require('./apiConfig');
+const path = require('path');
+const { loadConfig, validateConfig, resolveAccountConfigs } = require('./configLoader');
+// 配置文件默认为 ./apiConfig，可通过命令行 --config 或 ASTER_CONFIG 环境变量指定其他路径（测试等场景）；
+// 配置档通过 --profile 或 ASTER_PROFILE 选择
+const cliArgv = require.main === module ? process.argv.slice(2) : [];
+const configPath = cliOptionValue(cliArgv, 'config') || process.env.ASTER_CONFIG;
+let api;
+try {
+    api = loadConfig(configPath ? path.resolve(configPath) : path.join(__dirname, 'apiConfig'), {
+        profile: cliOptionValue(cliArgv, 'profile') || process.env.ASTER_PROFILE || null
+    });
+} catch (error) {
+    if (require.main !== module) throw error;
+    console.error(`❌ 加载配置失败: ${error.message}`);
+    process.exit(2);
+}
 const nodeFetch = require('node-fetch');
 const { HttpsProxyAgent } = require('https-proxy-agent');
+const WebSocket = require('ws');
+const EventEmitter = require('events');
 const crypto = require('crypto');
 const fs = require('fs');
-const path = require('path');
+const readline = require('readline');
+const { SimulatedExchange, ExchangeError } = require('./paperExchange');
+const { Keystore } = require('./keystore');
+const { ControlServer } = require('./controlServer');
+const { metrics } = require('./metrics');
+const { TelegramBot } = require('./telegramBot');
+const { AlertRouter, createAlertChannels } = require('./alerts');
+const { Logger } = require('./logger');
+
+// 创建全局日志实例
+// logToConsole: false 时只写文件（测试等场景）；ASTER_LOG_LEVEL 优先于 logging.level
+const logger = new Logger({
+    ...api.logging,
+    level: process.env.ASTER_LOG_LEVEL || (api.logging && api.logging.level),
+    console: api.logToConsole !== false
+});
+
+// 报警路由在首次报警时按当前配置创建（配置校验、密钥库解锁之后）
+let alertRouter = null;
+function getAlertRouter() {
+    if (!alertRouter) {
+        const alerts = api.alerts || {};
+        alertRouter = new AlertRouter({
+            channels: createAlertChannels(api),
+            dedupWindowMs: (Number.isFinite(alerts.dedupWindowSec) ? Math.max(0, alerts.dedupWindowSec) : 300) * 1000,
+            logger
+        });
+    }
+    return alertRouter;
+}
+
+// 发送报警：severity 为 info / warn / critical，同一 key 在去重窗口内合并为摘要
+async function sendAlert(severity, key, text) {
+    try {
+        await getAlertRouter().send(severity, key, text);
+    } catch (e) {
+        // 仅记录，不中断主流程
+        logger.error(`报警发送失败: ${e.message}`);
+    }
+}
+
+// 计算步长（stepSize/tickSize）对应的小数位数，兼容 "0.00100000" 与 1e-7 写法
+function stepDecimals(step) {
+    const str = Number(step).toString();
+    if (str.includes('e-')) {
+        const [mantissa, exp] = str.split('e-');
+        const mantissaDecimals = mantissa.includes('.') ? mantissa.split('.')[1].length : 0;
+        return parseInt(exp, 10) + mantissaDecimals;
+    }
+    const dot = str.indexOf('.');
+    return dot < 0 ? 0 : str.length - dot - 1;
+}
+
+// 按步长向下取整（数量使用，避免超出可用仓位/余额）
+function floorToStep(value, step) {
+    const stepNum = Number(step);
+    if (!(stepNum > 0)) return Number(value);
+    const units = Math.floor(Number(value) / stepNum + 1e-9);
+    return Number((units * stepNum).toFixed(stepDecimals(stepNum)));
+}
+
+// 按步长四舍五入（价格使用）
+function roundToStep(value, step) {
+    const stepNum = Number(step);
+    if (!(stepNum > 0)) return Number(value);
+    const units = Math.round(Number(value) / stepNum);
+    return Number((units * stepNum).toFixed(stepDecimals(stepNum)));
+}
+
+// exchangeInfo 缺少 LOT_SIZE / PRICE_FILTER 字段、或调用方未传入过滤器时的默认值（对应此前硬编码的 BTC 3 位小数）
+const DEFAULT_SYMBOL_FILTERS = {
+    stepSize: 0.001,
+    minQty: 0.001,
+    maxQty: Infinity,
+    marketStepSize: 0.001,
+    marketMinQty: 0.001,
+    marketMaxQty: Infinity,
+    tickSize: 0.1,
+    minPrice: 0,
+    maxPrice: Infinity,
+    minNotional: 0
+};
+
+// 生成客户端订单号（newClientOrderId），交易所要求 1~36 位 [.A-Za-z0-9:/_-]
+function generateClientOrderId(prefix = 'ah') {
+    return `${prefix}-${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+// 订单引用转为查询参数：纯数字视为交易所 orderId，否则视为客户端订单号
+function orderRefParams(orderRef) {
+    if (typeof orderRef === 'string' && !/^\d+$/.test(orderRef)) {
+        return { origClientOrderId: orderRef };
+    }
+    return { orderId: orderRef };
+}
+
+// 网络层错误：请求可能已到达交易所，但未收到响应
+function isNetworkError(err) {
+    const msg = String(err?.message || '').toLowerCase();
+    return ['etimedout', 'econnreset', 'eai_again', 'fetch failed', 'network', 'socket hang up'].some(k => msg.includes(k));
+}
+
+// 各接口的请求权重估计（未列出的按 1 计），实际用量以响应头 X-MBX-USED-WEIGHT-* 为准
+const ENDPOINT_WEIGHTS = {
+    'GET /fapi/v1/depth': 2,
+    'GET /fapi/v2/positionRisk': 5,
+    'GET /fapi/v4/account': 5,
+    'GET /fapi/v1/income': 30,
+    'GET /fapi/v1/allOrders': 5
+};
+
+function requestWeight(method, endpoint, params = {}) {
+    if (method === 'GET' && endpoint === '/fapi/v1/openOrders' && !params.symbol) return 40;
+    return ENDPOINT_WEIGHTS[`${method} ${endpoint}`] || 1;
+}
+
+// 下单类请求计入 ORDERS 限频，并优先于查询类请求
+function isOrderRequest(method, endpoint) {
+    return (endpoint === '/fapi/v1/order' && method !== 'GET')
+        || (endpoint === '/fapi/v1/allOpenOrders' && method === 'DELETE')
+        || (endpoint === '/fapi/v1/batchOrders' && method !== 'GET');
+}
+
+const INTERVAL_MS = { s: 1000, m: 60_000, h: 3_600_000, d: 86_400_000 };
+
+// 将 exchangeInfo 的 interval（SECOND/MINUTE/HOUR/DAY）与 intervalNum 转为响应头后缀格式，如 1m、10s
+function intervalKey(interval, intervalNum) {
+    const letter = { SECOND: 's', MINUTE: 'm', HOUR: 'h', DAY: 'd' }[interval];
+    return letter ? `${intervalNum}${letter}` : null;
+}
 
-// 日志系统
-class Logger {
-    constructor() {
-        this.logDir = './logs';
-        this.logFile = null;
-        this.init();
+// 按出口 IP（直连或代理）共享的请求调度器：根据响应头中的已用权重/下单数在接近上限前排队等待，
+// 遵守 Retry-After；收到 418（IP 被封禁）后在封禁期内直接拒绝所有请求。
+// 队列按优先级出队：order（下单/撤单）> normal > low（日志、余额、报表等信息类查询），
+// 低优先级请求在更低的用量比例下就开始等待，为下单预留余量
+class RateLimitScheduler {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.weightLimits = Object.assign({}, options.weightLimits || { '1m': 2400 });
+        this.orderLimits = Object.assign({}, options.orderLimits || { '10s': 300, '1m': 1200 });
+        this.limitsConfigured = !!(options.weightLimits || options.orderLimits);
+        this.thresholds = Object.assign({ order: 0.95, normal: 0.85, low: 0.7 }, options.thresholds);
+        // 用量窗口：键为 1m/10s 等，{ used, windowStart, windowMs }
+        this.weightWindows = new Map();
+        // 下单数按账号统计
+        this.orderWindows = new Map();
+        this.queue = [];
+        this.seq = 0;
+        this.timer = null;
+        this.blockedUntil = 0;
+        this.bannedUntil = 0;
     }
 
-    init() {
-        // 创建logs目录
-        if (!fs.existsSync(this.logDir)) {
-            fs.mkdirSync(this.logDir, { recursive: true });
+    // 使用 exchangeInfo.rateLimits 更新上限（配置中显式指定时以配置为准）
+    applyExchangeLimits(rateLimits) {
+        if (this.limitsConfigured || !Array.isArray(rateLimits) || rateLimits.length === 0) return;
+        const weightLimits = {};
+        const orderLimits = {};
+        rateLimits.forEach(rule => {
+            const key = intervalKey(rule.interval, rule.intervalNum);
+            if (!key || !(rule.limit > 0)) return;
+            if (rule.rateLimitType === 'REQUEST_WEIGHT') weightLimits[key] = rule.limit;
+            if (rule.rateLimitType === 'ORDERS') orderLimits[key] = rule.limit;
+        });
+        if (Object.keys(weightLimits).length > 0) this.weightLimits = weightLimits;
+        if (Object.keys(orderLimits).length > 0) this.orderLimits = orderLimits;
+    }
+
+    window(windows, key, now = Date.now()) {
+        const match = /^(\d+)([smhd])$/.exec(key);
+        const windowMs = match ? Number(match[1]) * INTERVAL_MS[match[2]] : 60_000;
+        let state = windows.get(key);
+        // 交易所的限频窗口按时钟整点对齐
+        const windowStart = Math.floor(now / windowMs) * windowMs;
+        if (!state || state.windowStart !== windowStart) {
+            state = { used: 0, windowStart, windowMs };
+            windows.set(key, state);
         }
+        return state;
+    }
 
-        // 创建新的日志文件
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        this.logFile = path.join(this.logDir, `aster-tool-${timestamp}.log`);
-        
-        // 写入启动信息
-        this.log(`🚀 Aster 对冲交易工具启动 - ${new Date().toLocaleString('zh-CN')}`);
+    accountOrderWindows(account) {
+        if (!this.orderWindows.has(account)) this.orderWindows.set(account, new Map());
+        return this.orderWindows.get(account);
     }
 
-    log(message) {
-        const timestamp = new Date().toLocaleString('zh-CN');
-        const logMessage = `[${timestamp}] ${message}`;
-        
-        // 输出到控制台
-        console.log(message);
-        
-        // 写入文件
-        fs.appendFileSync(this.logFile, logMessage + '\n');
+    bannedError() {
+        const err = new Error(`[${this.name}] IP 已被交易所封禁（418），${new Date(this.bannedUntil).toLocaleString('zh-CN')} 前暂停所有请求`);
+        err.code = 'IP_BANNED';
+        err.rateLimitBanned = true;
+        return err;
     }
 
-    error(message) {
-        const timestamp = new Date().toLocaleString('zh-CN');
-        const logMessage = `[${timestamp}] ERROR: ${message}`;
-        
-        // 输出到控制台
-        console.error(message);
-        
-        // 写入文件
-        fs.appendFileSync(this.logFile, logMessage + '\n');
+    // 请求需要等待的毫秒数，0 表示可以立即发送
+    waitTime(req, now = Date.now()) {
+        let waitMs = Math.max(0, this.blockedUntil - now);
+        const ratio = this.thresholds[req.priority] ?? this.thresholds.normal;
+        const check = (windows, limits, cost) => {
+            Object.entries(limits).forEach(([key, limit]) => {
+                const state = this.window(windows, key, now);
+                if (state.used > 0 && state.used + cost > limit * ratio) {
+                    waitMs = Math.max(waitMs, state.windowStart + state.windowMs - now);
+                }
+            });
+        };
+        check(this.weightWindows, this.weightLimits, req.weight);
+        if (req.isOrder) {
+            check(this.accountOrderWindows(req.account), this.orderLimits, 1);
+        }
+        return waitMs;
+    }
+
+    // 排队获取发送许可；封禁期内直接抛出错误
+    acquire({ weight = 1, isOrder = false, priority = 'normal', account = 'default' } = {}) {
+        if (this.bannedUntil > Date.now()) {
+            return Promise.reject(this.bannedError());
+        }
+        return new Promise((resolve, reject) => {
+            const rank = { order: 0, normal: 1, low: 2 }[priority] ?? 1;
+            this.queue.push({ weight, isOrder, priority, account, rank, seq: this.seq++, resolve, reject, queuedAt: Date.now() });
+            this.queue.sort((a, b) => a.rank - b.rank || a.seq - b.seq);
+            this.pump();
+        });
+    }
+
+    pump() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        while (this.queue.length > 0) {
+            const now = Date.now();
+            if (this.bannedUntil > now) {
+                const err = this.bannedError();
+                this.queue.splice(0).forEach(req => req.reject(err));
+                return;
+            }
+            const head = this.queue[0];
+            const waitMs = this.waitTime(head, now);
+            if (waitMs > 0) {
+                if (!head.throttleLogged) {
+                    head.throttleLogged = true;
+                    logger.log(`🚦 [${this.name}] 接近限频上限，${head.priority} 请求等待 ${waitMs}ms（排队 ${this.queue.length} 个）`);
+                }
+                this.timer = setTimeout(() => this.pump(), waitMs);
+                return;
+            }
+            this.queue.shift();
+            Object.keys(this.weightLimits).forEach(key => { this.window(this.weightWindows, key, now).used += head.weight; });
+            if (head.isOrder) {
+                const windows = this.accountOrderWindows(head.account);
+                Object.keys(this.orderLimits).forEach(key => { this.window(windows, key, now).used += 1; });
+            }
+            head.resolve();
+        }
+    }
+
+    // 读取响应头中的实际用量（X-MBX-USED-WEIGHT-1M、X-MBX-ORDER-COUNT-10S 等）
+    updateFromHeaders(headers, account = 'default') {
+        if (!headers || typeof headers.forEach !== 'function') return;
+        const now = Date.now();
+        headers.forEach((value, name) => {
+            const match = /^x-mbx-(used-weight|order-count)-(\d+[smhd])$/i.exec(name);
+            const used = Number(value);
+            if (!match || !Number.isFinite(used)) return;
+            const key = match[2].toLowerCase();
+            const windows = match[1].toLowerCase() === 'used-weight' ? this.weightWindows : this.accountOrderWindows(account);
+            this.window(windows, key, now).used = used;
+        });
+    }
+
+    // 429：按 Retry-After 暂停该出口的所有请求
+    block(ms) {
+        this.blockedUntil = Math.max(this.blockedUntil, Date.now() + ms);
+    }
+
+    // 418：封禁期内拒绝所有请求（含已排队的）
+    ban(ms) {
+        this.bannedUntil = Math.max(this.bannedUntil, Date.now() + ms);
+        this.pump();
     }
 }
 
-// 创建全局日志实例
-const logger = new Logger();
+// 按出口（代理地址或直连）共享调度器
+const rateLimiters = new Map();
+function getRateLimiter(proxyUrl = null) {
+    const name = proxyUrl || '直连';
+    if (!rateLimiters.has(name)) {
+        rateLimiters.set(name, new RateLimitScheduler(name, api.rateLimit || {}));
+    }
+    return rateLimiters.get(name);
+}
 
-// 发送 Telegram 报警通知
-async function sendTelegramAlert(text) {
-    try {
-        if (!api.telegram || !api.telegram.enabled) return;
-        const botToken = api.telegram.botToken;
-        const chatId = api.telegram.chatId;
-        if (!botToken || !chatId) return;
-
-        const url = `https://api.telegram.org/bot${botToken}/sendMessage`;
-        const body = new URLSearchParams({ chat_id: String(chatId), text: text });
-        await nodeFetch(url, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-            body
+// 用户数据流（listenKey + WebSocket）：推送订单成交与账户变动
+// 断线时 connected=false，调用方回退到 REST 轮询，同时后台自动重连
+class UserDataStream extends EventEmitter {
+    constructor(client) {
+        super();
+        this.client = client;
+        this.listenKey = null;
+        this.ws = null;
+        this.connected = false;
+        this.stopped = true;
+        this.keepAliveTimer = null;
+        this.reconnectTimer = null;
+        this.reconnectAttempts = 0;
+        // 最近的订单状态，键为 clientOrderId 与 orderId
+        this.orderUpdates = new Map();
+        // ACCOUNT_UPDATE 推送的持仓，键为 symbol:positionSide
+        this.positions = new Map();
+    }
+
+    get name() {
+        return this.client.accountName;
+    }
+
+    async start() {
+        this.stopped = false;
+        try {
+            await this.connect();
+        } catch (error) {
+            logger.error(`[${this.name}] 用户数据流连接失败: ${error.message}，将使用 REST 轮询并稍后重连`);
+            this.scheduleReconnect();
+            throw error;
+        }
+    }
+
+    async connect() {
+        this.listenKey = await this.client.createListenKey();
+        const url = `${this.client.wsBaseURL}/ws/${this.listenKey}`;
+        const options = this.client.proxyAgent ? { agent: this.client.proxyAgent } : {};
+
+        await new Promise((resolve, reject) => {
+            const ws = new WebSocket(url, options);
+            this.ws = ws;
+            ws.once('open', () => {
+                this.connected = true;
+                this.reconnectAttempts = 0;
+                this.startKeepAlive();
+                logger.log(`[${this.name}] 用户数据流已连接`);
+                this.emit('connected');
+                resolve();
+            });
+            ws.on('message', data => this.handleMessage(data));
+            ws.on('close', () => this.handleClose(ws));
+            ws.on('error', err => {
+                logger.error(`[${this.name}] 用户数据流错误: ${err.message}`);
+                if (!this.connected) reject(err);
+            });
         });
-    } catch (e) {
-        // 仅记录，不中断主流程
-        logger.error(`Telegram 通知失败: ${e.message}`);
+    }
+
+    startKeepAlive() {
+        clearInterval(this.keepAliveTimer);
+        const minutes = Number.isFinite(api.userDataStream?.keepAliveMinutes) ? api.userDataStream.keepAliveMinutes : 30;
+        this.keepAliveTimer = setInterval(async () => {
+            try {
+                await this.client.keepAliveListenKey();
+            } catch (error) {
+                logger.error(`[${this.name}] listenKey 续期失败: ${error.message}`);
+            }
+        }, minutes * 60_000);
+    }
+
+    handleMessage(data) {
+        let msg;
+        try {
+            msg = JSON.parse(data.toString());
+        } catch (e) {
+            return;
+        }
+
+        if (msg.e === 'ORDER_TRADE_UPDATE' && msg.o) {
+            const o = msg.o;
+            const info = {
+                symbol: o.s,
+                orderId: o.i,
+                clientOrderId: o.c,
+                side: o.S,
+                type: o.o,
+                status: o.X,
+                price: o.p,
+                avgPrice: o.ap,
+                origQty: o.q,
+                executedQty: o.z,
+                updateTime: msg.T
+            };
+            this.rememberOrder(info);
+            this.emit('order', info);
+        } else if (msg.e === 'ACCOUNT_UPDATE' && msg.a) {
+            const symbols = new Set();
+            (msg.a.P || []).forEach(p => {
+                symbols.add(p.s);
+                this.positions.set(`${p.s}:${p.ps}`, {
+                    symbol: p.s,
+                    positionAmt: p.pa,
+                    entryPrice: p.ep,
+                    unRealizedProfit: p.up,
+                    positionSide: p.ps
+                });
+            });
+            this.emit('account', { symbols: [...symbols], reason: msg.a.m });
+        } else if (msg.e === 'listenKeyExpired') {
+            logger.log(`[${this.name}] listenKey 已过期，重新连接用户数据流`);
+            if (this.ws) this.ws.terminate();
+        }
+    }
+
+    rememberOrder(info) {
+        this.orderUpdates.set(String(info.orderId), info);
+        if (info.clientOrderId) this.orderUpdates.set(info.clientOrderId, info);
+        // 只保留最近的订单状态，避免长时间运行内存增长
+        while (this.orderUpdates.size > 1000) {
+            this.orderUpdates.delete(this.orderUpdates.keys().next().value);
+        }
+    }
+
+    getOrderUpdate(orderRef) {
+        return this.orderUpdates.get(String(orderRef)) || null;
+    }
+
+    // 等待与订单相关的推送：order（订单状态变化）、account（该币种持仓变化）、disconnected、timeout
+    waitForOrderEvent(symbol, orderRef, timeoutMs) {
+        const ref = String(orderRef);
+        return new Promise(resolve => {
+            const finish = (event) => {
+                clearTimeout(timer);
+                this.off('order', onOrder);
+                this.off('account', onAccount);
+                this.off('disconnected', onDisconnected);
+                resolve(event);
+            };
+            const onOrder = (info) => {
+                if (String(info.orderId) === ref || info.clientOrderId === ref) finish({ type: 'order', info });
+            };
+            const onAccount = (update) => {
+                if (update.symbols.includes(symbol)) finish({ type: 'account' });
+            };
+            const onDisconnected = () => finish({ type: 'disconnected' });
+            const timer = setTimeout(() => finish({ type: 'timeout' }), timeoutMs);
+            this.on('order', onOrder);
+            this.on('account', onAccount);
+            this.on('disconnected', onDisconnected);
+        });
+    }
+
+    handleClose(ws) {
+        if (ws !== this.ws) return;
+        const wasConnected = this.connected;
+        this.connected = false;
+        this.ws = null;
+        clearInterval(this.keepAliveTimer);
+        if (wasConnected) {
+            logger.log(`[${this.name}] 用户数据流已断开，回退到 REST 轮询`);
+            this.emit('disconnected');
+        }
+        this.scheduleReconnect();
+    }
+
+    scheduleReconnect() {
+        if (this.stopped || this.reconnectTimer) return;
+        this.reconnectAttempts += 1;
+        const delay = Math.min(60_000, 1000 * Math.pow(2, this.reconnectAttempts - 1));
+        this.reconnectTimer = setTimeout(async () => {
+            this.reconnectTimer = null;
+            if (this.stopped) return;
+            try {
+                await this.connect();
+            } catch (error) {
+                logger.error(`[${this.name}] 用户数据流重连失败: ${error.message}`);
+                this.scheduleReconnect();
+            }
+        }, delay);
+    }
+
+    async stop() {
+        this.stopped = true;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        clearInterval(this.keepAliveTimer);
+        if (this.ws) {
+            const ws = this.ws;
+            this.ws = null;
+            this.connected = false;
+            ws.close();
+        }
+        if (this.listenKey) {
+            try {
+                await this.client.closeListenKey();
+            } catch (error) {
+                logger.error(`[${this.name}] 关闭 listenKey 失败: ${error.message}`);
+            }
+            this.listenKey = null;
+        }
+    }
+}
+
+// 行情数据流：订阅 bookTicker / depth 推送，在本地维护买一/卖一
+// 提供与 AsterFuturesAPI 相同的 getBid1Price/getAsk1Price 接口，超过 staleMs 未更新时抛出过期错误
+class MarketDataFeed extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.wsBaseURL = options.wsBaseURL || 'wss://fstream.asterdex.com';
+        this.agent = options.agent || null;
+        this.streamType = options.stream === 'depth' ? 'depth' : 'bookTicker';
+        this.staleMs = Number.isFinite(options.staleMs) ? options.staleMs : 5000;
+        this.symbols = [];
+        this.books = new Map();
+        this.ws = null;
+        this.connected = false;
+        this.stopped = true;
+        this.reconnectTimer = null;
+        this.reconnectAttempts = 0;
+    }
+
+    streamName(symbol) {
+        const lower = symbol.toLowerCase();
+        return this.streamType === 'depth' ? `${lower}@depth5@100ms` : `${lower}@bookTicker`;
+    }
+
+    isSubscribed(symbol) {
+        return this.symbols.includes(symbol);
+    }
+
+    // 连接并等待每个币种收到首个盘口推送
+    async start(symbols, readyTimeoutMs = 10_000) {
+        this.symbols = [...new Set(symbols)];
+        this.stopped = false;
+        await this.connect();
+        await Promise.all(this.symbols.map(symbol => this.waitForBook(symbol, readyTimeoutMs)));
+    }
+
+    connect() {
+        const streams = this.symbols.map(symbol => this.streamName(symbol)).join('/');
+        const url = `${this.wsBaseURL}/stream?streams=${streams}`;
+        const options = this.agent ? { agent: this.agent } : {};
+
+        return new Promise((resolve, reject) => {
+            const ws = new WebSocket(url, options);
+            this.ws = ws;
+            ws.once('open', () => {
+                this.connected = true;
+                this.reconnectAttempts = 0;
+                logger.log(`📡 行情数据流已连接: ${streams}`);
+                resolve();
+            });
+            ws.on('message', data => this.handleMessage(data));
+            ws.on('close', () => this.handleClose(ws));
+            ws.on('error', err => {
+                logger.error(`行情数据流错误: ${err.message}`);
+                if (!this.connected) reject(err);
+            });
+        });
+    }
+
+    handleMessage(data) {
+        let msg;
+        try {
+            msg = JSON.parse(data.toString());
+        } catch (e) {
+            return;
+        }
+        const payload = msg.data || msg;
+        const symbol = payload.s;
+        if (!symbol) return;
+
+        let bid;
+        let ask;
+        if (payload.e === 'bookTicker') {
+            bid = parseFloat(payload.b);
+            ask = parseFloat(payload.a);
+        } else if (payload.e === 'depthUpdate') {
+            bid = payload.b && payload.b.length > 0 ? parseFloat(payload.b[0][0]) : NaN;
+            ask = payload.a && payload.a.length > 0 ? parseFloat(payload.a[0][0]) : NaN;
+        } else {
+            return;
+        }
+        if (!Number.isFinite(bid) || !Number.isFinite(ask)) return;
+
+        const book = { symbol, bid, ask, updatedAt: Date.now() };
+        this.books.set(symbol, book);
+        this.emit('book', book);
+    }
+
+    waitForBook(symbol, timeoutMs) {
+        if (this.books.has(symbol)) return Promise.resolve(this.books.get(symbol));
+        return new Promise((resolve, reject) => {
+            const onBook = (book) => {
+                if (book.symbol !== symbol) return;
+                clearTimeout(timer);
+                this.off('book', onBook);
+                resolve(book);
+            };
+            const timer = setTimeout(() => {
+                this.off('book', onBook);
+                reject(new Error(`${symbol} 行情数据流 ${timeoutMs}ms 内未收到盘口推送`));
+            }, timeoutMs);
+            this.on('book', onBook);
+        });
+    }
+
+    // 最近一次盘口（不做过期检查），无数据时返回 null
+    peek(symbol) {
+        return this.books.get(symbol) || null;
+    }
+
+    getFreshBook(symbol) {
+        const book = this.books.get(symbol);
+        if (!book) {
+            throw new Error(`${symbol} 暂无行情数据流盘口`);
+        }
+        const age = Date.now() - book.updatedAt;
+        if (age > this.staleMs) {
+            const err = new Error(`${symbol} 盘口数据已过期: ${age}ms 未更新（阈值 ${this.staleMs}ms）`);
+            err.code = 'STALE_MARKET_DATA';
+            throw err;
+        }
+        return book;
+    }
+
+    async getBid1Price(symbol) {
+        return this.getFreshBook(symbol).bid;
+    }
+
+    async getAsk1Price(symbol) {
+        return this.getFreshBook(symbol).ask;
+    }
+
+    handleClose(ws) {
+        if (ws !== this.ws) return;
+        const wasConnected = this.connected;
+        this.connected = false;
+        this.ws = null;
+        if (wasConnected) {
+            logger.log(`📡 行情数据流已断开，准备重连`);
+        }
+        this.scheduleReconnect();
+    }
+
+    scheduleReconnect() {
+        if (this.stopped || this.reconnectTimer) return;
+        this.reconnectAttempts += 1;
+        const delay = Math.min(30_000, 500 * Math.pow(2, this.reconnectAttempts - 1));
+        this.reconnectTimer = setTimeout(async () => {
+            this.reconnectTimer = null;
+            if (this.stopped) return;
+            try {
+                await this.connect();
+            } catch (error) {
+                logger.error(`行情数据流重连失败: ${error.message}`);
+                this.scheduleReconnect();
+            }
+        }, delay);
+    }
+
+    stop() {
+        this.stopped = true;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        if (this.ws) {
+            const ws = this.ws;
+            this.ws = null;
+            this.connected = false;
+            ws.close();
+        }
     }
 }
 
@@ -79,14 +693,25 @@ class AsterFuturesAPI {
         this.apiKey = apiKey;
         this.apiSecret = apiSecret;
         this.accountName = accountName;
-        this.baseURL = 'https://fapi.asterdex.com';
+        this.baseURL = api.baseURL || 'https://fapi.asterdex.com';
         this.proxyUrl = null;
         this.proxyAgent = null;
         this.proxyConfig = proxyConfig;
         // 服务器时间偏移（serverTime - localTime）
         this.timeOffsetMs = 0;
         this.lastTimeSyncAt = 0;
+        // exchangeInfo 缓存与最近盘口价格（用于下单过滤器校验）
+        this.exchangeInfo = null;
+        this.exchangeInfoFetchedAt = 0;
+        this.lastPrices = new Map();
+        // 用户数据流（订单/账户推送），未启动时订单监控使用 REST 轮询
+        this.wsBaseURL = api.wsBaseURL || 'wss://fstream.asterdex.com';
+        this.userStream = null;
+        // 共享行情数据流（由工具类挂载），已订阅的币种优先使用本地盘口
+        this.priceFeed = null;
         this.initProxy();
+        // 同一出口 IP（直连或同一代理）的账号共享限频调度器
+        this.rateLimiter = getRateLimiter(this.proxyUrl);
     }
 
     // 初始化代理设置
@@ -112,10 +737,12 @@ class AsterFuturesAPI {
             if (proxyUrl) {
                 this.proxyUrl = proxyUrl;
                 this.proxyAgent = new HttpsProxyAgent(proxyUrl);
+                this.rateLimiter = getRateLimiter(proxyUrl);
                 logger.log(`[${this.accountName}] 代理已更新: ${proxyUrl}`);
             } else {
                 this.proxyUrl = null;
                 this.proxyAgent = null;
+                this.rateLimiter = getRateLimiter(null);
                 logger.log(`[${this.accountName}] 代理已禁用`);
             }
         } catch (error) {
@@ -134,6 +761,7 @@ class AsterFuturesAPI {
 
     async syncTime() {
         try {
+            await this.rateLimiter.acquire({ priority: 'order', account: this.accountName });
             const url = `${this.baseURL}/fapi/v1/time`;
             const opts = { method: 'GET' };
             if (this.proxyAgent) opts.agent = this.proxyAgent;
@@ -141,6 +769,7 @@ class AsterFuturesAPI {
             const data = await res.json();
             if (data && typeof data.serverTime === 'number') {
                 this.timeOffsetMs = data.serverTime - Date.now();
+                metrics.timeOffset.set({ account: this.accountName }, this.timeOffsetMs / 1000);
                 this.lastTimeSyncAt = Date.now();
                 logger.log(`[${this.accountName}] 时间同步: 偏移 ${this.timeOffsetMs} ms`);
             }
@@ -153,16 +782,31 @@ class AsterFuturesAPI {
         return crypto.createHmac('sha256', this.apiSecret).update(queryString).digest('hex');
     }
 
-    async makeRequest(method, endpoint, params = {}, needAuth = false) {
-        const maxRetries = Number.isFinite(api.requestRetries) ? Math.max(0, api.requestRetries) : 3;
+    // options.retries 覆盖重试次数，options.alert=false 时最终失败不发送 Telegram 报警
+    // options.apiKey=true 时无需签名但携带 API Key（listenKey 等 USER_STREAM 接口）
+    // options.priority 为限频排队优先级：order / normal / low，默认下单类为 order、其余为 normal
+    async makeRequest(method, endpoint, params = {}, needAuth = false, options = {}) {
+        const configuredRetries = Number.isFinite(api.requestRetries) ? Math.max(0, api.requestRetries) : 3;
+        const maxRetries = Number.isFinite(options.retries) ? Math.max(0, options.retries) : configuredRetries;
+        const alertOnFailure = options.alert !== false;
         const baseDelayMs = Number.isFinite(api.requestRetryDelayMs) ? Math.max(50, api.requestRetryDelayMs) : 800;
         const recvWindowDefault = Number.isFinite(api.recvWindow) ? Math.max(1000, api.recvWindow) : 10000;
         let attempt = 0;
         let lastError = null;
         const origParams = Object.assign({}, params);
+        // 带客户端订单号的下单请求：网络错误/5xx 后重试前先按订单号确认是否已下单，避免重复成交
+        const isIdempotentOrder = method === 'POST' && endpoint === '/fapi/v1/order' && !!origParams.newClientOrderId;
+        const isOrder = isOrderRequest(method, endpoint);
+        const permit = {
+            weight: requestWeight(method, endpoint, origParams),
+            isOrder,
+            priority: options.priority || (isOrder ? 'order' : 'normal'),
+            account: this.accountName
+        };
+        let pendingOrderLookup = false;
         const shouldRetry = (err, status) => {
             const msg = String(err?.message || '').toLowerCase();
-            const net = ['etimedout', 'econnreset', 'eai_again', 'fetch failed', 'network', 'socket hang up'].some(k => msg.includes(k));
+            const net = isNetworkError(err);
             const httpRetry = status && (status === 429 || (status >= 500 && status < 600));
             const tsSkew = msg.includes('-1021') || msg.includes('recvwindow');
             return net || httpRetry || tsSkew;
@@ -170,6 +814,24 @@ class AsterFuturesAPI {
 
         while (attempt <= maxRetries) {
             try {
+                if (pendingOrderLookup) {
+                    const existing = await this.findOrderByClientId(origParams.symbol, origParams.newClientOrderId);
+                    if (existing) {
+                        logger.log(`[${this.accountName}] 订单 ${origParams.newClientOrderId} 已存在于交易所（状态: ${existing.status}），跳过重复下单`);
+                        return existing;
+                    }
+                    // 已确认订单不存在，可以安全重发
+                    pendingOrderLookup = false;
+                }
+
+                // 限频排队需在生成时间戳之前完成，避免等待后时间戳过期
+                await this.rateLimiter.acquire(permit);
+
+                // 如长时间未同步则先同步时间（需在生成时间戳之前）
+                if (needAuth && (!this.lastTimeSyncAt || (Date.now() - this.lastTimeSyncAt) > 60_000)) {
+                    await this.syncTime();
+                }
+
                 // 每次尝试都重建参数，刷新时间戳
                 const reqParams = Object.assign({}, origParams);
                 let url = `${this.baseURL}${endpoint}`;
@@ -187,6 +849,8 @@ class AsterFuturesAPI {
                     reqParams.timestamp = now;
                     reqParams.recvWindow = reqParams.recvWindow || recvWindowDefault;
                     headers['X-MBX-APIKEY'] = this.apiKey;
+                } else if (options.apiKey) {
+                    headers['X-MBX-APIKEY'] = this.apiKey;
                 }
 
                 if (Object.keys(reqParams).length > 0) {
@@ -217,12 +881,28 @@ class AsterFuturesAPI {
                     fetchOptions.agent = this.proxyAgent;
                 }
 
-                // 首次尝试前，如长时间未同步则同步时间
-                if (needAuth && (!this.lastTimeSyncAt || (Date.now() - this.lastTimeSyncAt) > 60_000)) {
-                    await this.syncTime();
-                }
-
+                const requestStartedAt = Date.now();
                 const response = await nodeFetch(url, fetchOptions);
+                const latency = Date.now() - requestStartedAt;
+                metrics.requestDuration.observe({ account: this.accountName, method, endpoint }, latency / 1000);
+                logger.debug(`[${this.accountName}] ${method} ${endpoint} ${response.status} ${latency}ms`, {
+                    account: this.accountName, method, endpoint, status: response.status, latency, symbol: origParams.symbol
+                });
+                this.rateLimiter.updateFromHeaders(response.headers, this.accountName);
+
+                if (response.status === 429 || response.status === 418) {
+                    const retryAfterSec = parseFloat(response.headers.get('retry-after'));
+                    const retryAfterMs = Number.isFinite(retryAfterSec) ? retryAfterSec * 1000 : null;
+                    if (response.status === 418) {
+                        this.rateLimiter.ban(retryAfterMs || 120_000);
+                        const banErr = this.rateLimiter.bannedError();
+                        banErr.status = 418;
+                        logger.error(`🚫 [${this.accountName}] ${banErr.message}`, { account: this.accountName, method, endpoint, status: 418 });
+                        await sendAlert('critical', `ip-ban:${this.rateLimiter.name}`, `🚫 报警：IP 被交易所封禁 (418)\n出口: ${this.rateLimiter.name}\n账号: ${this.accountName}\n请求: ${method} ${endpoint}\n封禁至: ${new Date(this.rateLimiter.bannedUntil).toLocaleString('zh-CN')}\n期间该出口的所有请求将直接失败`);
+                        throw banErr;
+                    }
+                    this.rateLimiter.block(retryAfterMs || baseDelayMs);
+                }
 
                 if (!response.ok) {
                     let errorMessage = `HTTP error! status: ${response.status}`;
@@ -245,23 +925,42 @@ class AsterFuturesAPI {
                 const msg = String(error?.message || '').toLowerCase();
                 attempt += 1;
 
+                // IP 封禁：硬停止，不重试（报警已在收到 418 时发送）
+                if (error.rateLimitBanned) {
+                    throw error;
+                }
+
                 // 碰到时间戳误差时，先同步时间再重试
                 if (msg.includes('-1021') || msg.includes('recvwindow')) {
                     await this.syncTime();
                 }
 
+                // 下单请求可能已到达交易所：下次尝试前先查询，查询本身失败时保持待查状态
+                if (isIdempotentOrder && (isNetworkError(error) || (status >= 500 && status < 600))) {
+                    pendingOrderLookup = true;
+                }
+
                 if (attempt > maxRetries || !shouldRetry(error, status)) {
-                    logger.error(`[${this.accountName}] 请求失败: ${error.message}`);
+                    if (pendingOrderLookup) {
+                        error.clientOrderId = origParams.newClientOrderId;
+                        error.orderStatusUnknown = true;
+                    }
+                    logger.error(`[${this.accountName}] 请求失败: ${error.message}`, { account: this.accountName, method, endpoint, status, symbol: origParams.symbol });
+                    if (!alertOnFailure) {
+                        throw error;
+                    }
                     const bpObj = Object.assign({}, origParams);
                     delete bpObj.signature;
                     const briefParams = Object.keys(bpObj).length ? `?${new URLSearchParams(bpObj).toString()}` : '';
                     const alertMsg = `⚠️ 报警：账号 ${this.accountName} API 请求失败\n${method} ${endpoint}${briefParams}\n错误: ${error.message}`;
-                    await sendTelegramAlert(alertMsg);
+                    // 按接口去重：交易所故障时各账号的同类失败合并为摘要
+                    await sendAlert('warn', `request-failed:${method} ${endpoint}`, alertMsg);
                     throw error;
                 }
                 const jitter = Math.floor(Math.random() * 200);
                 const delay = Math.min(15_000, baseDelayMs * Math.pow(2, attempt - 1)) + jitter;
-                logger.log(`[${this.accountName}] 请求重试(${attempt}/${maxRetries}) ${method} ${endpoint}: ${error.message}，${delay}ms 后重试`);
+                logger.warn(`[${this.accountName}] 请求重试(${attempt}/${maxRetries}) ${method} ${endpoint}: ${error.message}，${delay}ms 后重试`, { account: this.accountName, method, endpoint, status, attempt });
+                metrics.requestRetries.inc({ account: this.accountName, method, endpoint });
                 await new Promise(r => setTimeout(r, delay));
             }
         }
@@ -283,9 +982,16 @@ class AsterFuturesAPI {
 
     async getBid1Price(symbol) {
         try {
+            if (this.priceFeed && this.priceFeed.isSubscribed(symbol)) {
+                const bid1Price = await this.priceFeed.getBid1Price(symbol);
+                this.lastPrices.set(symbol, bid1Price);
+                logger.log(`[${this.accountName}] ${symbol} 买1价格: ${bid1Price} (行情流)`);
+                return bid1Price;
+            }
             const orderBook = await this.getOrderBook(symbol, 5);
             if (orderBook.bids && orderBook.bids.length > 0) {
                 const bid1Price = parseFloat(orderBook.bids[0][0]);
+                this.lastPrices.set(symbol, bid1Price);
                 logger.log(`[${this.accountName}] ${symbol} 买1价格: ${bid1Price}`);
                 return bid1Price;
             }
@@ -298,9 +1004,16 @@ class AsterFuturesAPI {
 
     async getAsk1Price(symbol) {
         try {
+            if (this.priceFeed && this.priceFeed.isSubscribed(symbol)) {
+                const ask1Price = await this.priceFeed.getAsk1Price(symbol);
+                this.lastPrices.set(symbol, ask1Price);
+                logger.log(`[${this.accountName}] ${symbol} 卖1价格: ${ask1Price} (行情流)`);
+                return ask1Price;
+            }
             const orderBook = await this.getOrderBook(symbol, 5);
             if (orderBook.asks && orderBook.asks.length > 0) {
                 const ask1Price = parseFloat(orderBook.asks[0][0]);
+                this.lastPrices.set(symbol, ask1Price);
                 logger.log(`[${this.accountName}] ${symbol} 卖1价格: ${ask1Price}`);
                 return ask1Price;
             }
@@ -311,9 +1024,15 @@ class AsterFuturesAPI {
         }
     }
 
-    async getPositions(symbol = null) {
+    // options 透传给 makeRequest（如信息类查询使用 { priority: 'low' }）
+    async getPositions(symbol = null, options = {}) {
         const params = symbol ? { symbol } : {};
-        const response = await this.makeRequest('GET', '/fapi/v2/positionRisk', params, true);
+        const response = await this.makeRequest('GET', '/fapi/v2/positionRisk', params, true, options);
+        (Array.isArray(response) ? response : []).forEach(pos => {
+            const notional = Math.abs(parseFloat(pos.notional));
+            const value = Number.isFinite(notional) ? notional : Math.abs(parseFloat(pos.positionAmt) * parseFloat(pos.markPrice));
+            metrics.positionNotional.set({ account: this.accountName, symbol: pos.symbol }, value);
+        });
         return response;
     }
 
@@ -325,25 +1044,145 @@ class AsterFuturesAPI {
         return response;
     }
 
+    // 获取并缓存交易规则（默认缓存 1 小时，可通过 exchangeInfoTtlMs 配置）
+    // 过期后刷新失败时继续使用旧缓存，避免短暂故障阻塞下单与紧急平仓；从未获取成功时才抛出
+    async getExchangeInfo(forceRefresh = false) {
+        const ttlMs = Number.isFinite(api.exchangeInfoTtlMs) ? api.exchangeInfoTtlMs : 3_600_000;
+        if (!forceRefresh && this.exchangeInfo && (Date.now() - this.exchangeInfoFetchedAt) < ttlMs) {
+            return this.exchangeInfo;
+        }
+        let response;
+        try {
+            response = await this.makeRequest('GET', '/fapi/v1/exchangeInfo');
+        } catch (error) {
+            if (!this.exchangeInfo) throw error;
+            const ageMinutes = ((Date.now() - this.exchangeInfoFetchedAt) / 60000).toFixed(1);
+            logger.warn(`⚠️ [${this.accountName}] 刷新 exchangeInfo 失败: ${error.message}，继续使用 ${ageMinutes} 分钟前的缓存`, { account: this.accountName });
+            return this.exchangeInfo;
+        }
+        this.rateLimiter.applyExchangeLimits(response?.rateLimits);
+        this.exchangeInfo = response;
+        this.exchangeInfoFetchedAt = Date.now();
+        return response;
+    }
+
+    // 解析交易对的 LOT_SIZE / MARKET_LOT_SIZE / PRICE_FILTER / MIN_NOTIONAL 过滤器
+    async getSymbolFilters(symbol) {
+        const info = await this.getExchangeInfo();
+        const symbolInfo = (info?.symbols || []).find(s => s.symbol === symbol);
+        if (!symbolInfo) {
+            throw new Error(`exchangeInfo 中未找到交易对 ${symbol}`);
+        }
+
+        const byType = new Map((symbolInfo.filters || []).map(f => [f.filterType, f]));
+        const num = (v, fallback) => {
+            const n = parseFloat(v);
+            return Number.isFinite(n) && n > 0 ? n : fallback;
+        };
+        const lot = byType.get('LOT_SIZE') || {};
+        const marketLot = byType.get('MARKET_LOT_SIZE') || lot;
+        const priceFilter = byType.get('PRICE_FILTER') || {};
+        const notional = byType.get('MIN_NOTIONAL') || {};
+
+        const stepSize = num(lot.stepSize, DEFAULT_SYMBOL_FILTERS.stepSize);
+        return {
+            stepSize,
+            minQty: num(lot.minQty, stepSize),
+            maxQty: num(lot.maxQty, Infinity),
+            marketStepSize: num(marketLot.stepSize, stepSize),
+            marketMinQty: num(marketLot.minQty, num(lot.minQty, stepSize)),
+            marketMaxQty: num(marketLot.maxQty, num(lot.maxQty, Infinity)),
+            tickSize: num(priceFilter.tickSize, DEFAULT_SYMBOL_FILTERS.tickSize),
+            minPrice: num(priceFilter.minPrice, 0),
+            maxPrice: num(priceFilter.maxPrice, Infinity),
+            minNotional: num(notional.notional ?? notional.minNotional, 0)
+        };
+    }
+
+    // 按交易对过滤器规整订单数量与价格，不满足最小/最大限制时抛出明确错误
+    async normalizeOrderParams(orderParams) {
+        const { symbol, type } = orderParams;
+        const filters = await this.getSymbolFilters(symbol);
+        const isMarket = type === 'MARKET';
+        const stepSize = isMarket ? filters.marketStepSize : filters.stepSize;
+        const minQty = isMarket ? filters.marketMinQty : filters.minQty;
+        const maxQty = isMarket ? filters.marketMaxQty : filters.maxQty;
+        const normalized = Object.assign({}, orderParams);
+
+        const rawQty = parseFloat(orderParams.quantity);
+        const qty = floorToStep(rawQty, stepSize);
+        if (!(qty >= minQty)) {
+            const err = new Error(`${symbol} 下单数量 ${rawQty} 按步长 ${stepSize} 取整后为 ${qty}，低于最小下单量 ${minQty}`);
+            err.code = 'FILTER_MIN_QTY';
+            throw err;
+        }
+        if (qty > maxQty) {
+            const err = new Error(`${symbol} 下单数量 ${qty} 超过最大下单量 ${maxQty}`);
+            err.code = 'FILTER_MAX_QTY';
+            throw err;
+        }
+        normalized.quantity = qty.toFixed(stepDecimals(stepSize));
+
+        const feedBook = this.priceFeed ? this.priceFeed.peek(symbol) : null;
+        let refPrice = this.lastPrices.get(symbol) || (feedBook ? feedBook.bid : 0);
+        if (orderParams.price !== undefined && orderParams.price !== null) {
+            const price = roundToStep(parseFloat(orderParams.price), filters.tickSize);
+            if (price < filters.minPrice || price > filters.maxPrice) {
+                const err = new Error(`${symbol} 价格 ${price} 超出允许范围 [${filters.minPrice}, ${filters.maxPrice}]`);
+                err.code = 'FILTER_PRICE';
+                throw err;
+            }
+            normalized.price = price.toFixed(stepDecimals(filters.tickSize));
+            refPrice = price;
+        }
+
+        // 减仓单不受最小名义价值限制；市价单使用最近一次盘口价格估算
+        const isReduceOnly = String(orderParams.reduceOnly) === 'true';
+        if (!isReduceOnly && filters.minNotional > 0 && refPrice > 0 && qty * refPrice < filters.minNotional) {
+            const err = new Error(`${symbol} 订单名义价值 ${(qty * refPrice).toFixed(4)} 低于最小名义价值 ${filters.minNotional}`);
+            err.code = 'FILTER_MIN_NOTIONAL';
+            throw err;
+        }
+
+        return normalized;
+    }
+
+    // 按客户端订单号查询订单，订单不存在（-2013）时返回 null
+    async findOrderByClientId(symbol, clientOrderId) {
+        try {
+            return await this.makeRequest('GET', '/fapi/v1/order', {
+                symbol,
+                origClientOrderId: clientOrderId
+            }, true, { retries: 0, alert: false });
+        } catch (error) {
+            if (String(error.message || '').includes('-2013')) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
     async placeOrder(orderParams) {
-        const response = await this.makeRequest('POST', '/fapi/v1/order', orderParams, true);
+        const normalized = await this.normalizeOrderParams(orderParams);
+        if (!normalized.newClientOrderId) {
+            normalized.newClientOrderId = generateClientOrderId();
+        }
+        const response = await this.makeRequest('POST', '/fapi/v1/order', normalized, true);
         return response;
     }
 
     async buyOrder(symbol, quantity, price = null, type = 'MARKET', positionSide = 'BOTH') {
-        // BTC市场限制为3位小数
-        const formattedQuantity = parseFloat(quantity).toFixed(3);
-        
+        // 数量与价格精度由 placeOrder 按交易对过滤器统一处理
         const orderParams = {
             symbol: symbol,
             side: 'BUY',
             type: type,
-            quantity: formattedQuantity,
+            quantity: quantity,
             positionSide: positionSide
         };
 
         if (type === 'LIMIT' && price) {
-            orderParams.price = price.toString();
+            orderParams.price = price;
             orderParams.timeInForce = 'GTC';
         }
 
@@ -351,19 +1190,17 @@ class AsterFuturesAPI {
     }
 
     async sellOrder(symbol, quantity, price = null, type = 'MARKET', positionSide = 'BOTH') {
-        // BTC市场限制为3位小数
-        const formattedQuantity = parseFloat(quantity).toFixed(3);
-        
+        // 数量与价格精度由 placeOrder 按交易对过滤器统一处理
         const orderParams = {
             symbol: symbol,
             side: 'SELL',
             type: type,
-            quantity: formattedQuantity,
+            quantity: quantity,
             positionSide: positionSide
         };
 
         if (type === 'LIMIT' && price) {
-            orderParams.price = price.toString();
+            orderParams.price = price;
             orderParams.timeInForce = 'GTC';
         }
 
@@ -383,9 +1220,8 @@ class AsterFuturesAPI {
                 const positionAmt = parseFloat(position.positionAmt);
                 if (positionAmt === 0) continue;
 
+                // 精度由 placeOrder 按交易对过滤器统一处理
                 const closeQuantity = quantity || Math.abs(positionAmt);
-                // BTC市场限制为3位小数
-                const formattedCloseQuantity = parseFloat(closeQuantity).toFixed(3);
                 let orderParams;
 
                 if (positionAmt > 0) {
@@ -393,7 +1229,7 @@ class AsterFuturesAPI {
                         symbol: symbol,
                         side: 'SELL',
                         type: 'MARKET',
-                        quantity: formattedCloseQuantity,
+                        quantity: closeQuantity,
                         reduceOnly: 'true',
                         positionSide: position.positionSide
                     };
@@ -402,7 +1238,7 @@ class AsterFuturesAPI {
                         symbol: symbol,
                         side: 'BUY',
                         type: 'MARKET',
-                        quantity: formattedCloseQuantity,
+                        quantity: closeQuantity,
                         reduceOnly: 'true',
                         positionSide: position.positionSide
                     };
@@ -410,7 +1246,7 @@ class AsterFuturesAPI {
 
                 try {
                     const result = await this.placeOrder(orderParams);
-                    logger.log(`[${this.accountName}] 平仓成功: ${closeQuantity} ${symbol}`);
+                    logger.log(`[${this.accountName}] 平仓成功: ${closeQuantity} ${symbol} (clientOrderId=${result.clientOrderId})`);
                     return result;
                 } catch (err) {
                     const msg = String(err.message || '').toLowerCase();
@@ -430,14 +1266,28 @@ class AsterFuturesAPI {
         }
     }
 
-    async getOrderStatus(symbol, orderId) {
+    // orderRef 可为交易所 orderId 或客户端订单号
+    async getOrderStatus(symbol, orderRef) {
         const response = await this.makeRequest('GET', '/fapi/v1/order', {
             symbol,
-            orderId
+            ...orderRefParams(orderRef)
         }, true);
         return response;
     }
 
+    // 读取订单的成交数量与均价；下单响应中没有最终成交信息（如市价单 ACK）时按订单号补查
+    async getOrderFill(symbol, order) {
+        let info = order || {};
+        const finalStatuses = ['FILLED', 'CANCELED', 'REJECTED', 'EXPIRED'];
+        const hasFill = parseFloat(info.executedQty) > 0 && parseFloat(info.avgPrice) > 0;
+        if (!hasFill && !finalStatuses.includes(info.status)) {
+            info = await this.getOrderStatus(symbol, info.clientOrderId || info.orderId);
+        }
+        const executedQty = parseFloat(info.executedQty) || 0;
+        const avgPrice = parseFloat(info.avgPrice) || 0;
+        return { executedQty, avgPrice, notional: executedQty * avgPrice };
+    }
+
     async getOpenOrders(symbol = null) {
         const params = symbol ? { symbol } : {};
         const response = await this.makeRequest('GET', '/fapi/v1/openOrders', params, true);
@@ -445,15 +1295,53 @@ class AsterFuturesAPI {
     }
 
     // 账户信息 v4（包含总余额与资产明细）
-    async getAccountInfoV4() {
-        const response = await this.makeRequest('GET', '/fapi/v4/account', {}, true);
+    async getAccountInfoV4(options = {}) {
+        const response = await this.makeRequest('GET', '/fapi/v4/account', {}, true, options);
+        metrics.walletBalance.set({ account: this.accountName }, parseFloat(response?.totalWalletBalance));
         return response;
     }
 
-    async cancelOrder(symbol, orderId) {
+    // 资金流水（收益历史），按时间窗口分段并分页拉取 [startTime, endTime] 内的全部记录
+    async getIncomeHistory({ symbol = null, incomeType = null, startTime, endTime = Date.now(), limit = 1000 } = {}, options = {}) {
+        const windowMs = 7 * 24 * 3600 * 1000;
+        const from = Number.isFinite(startTime) ? startTime : endTime - windowMs;
+        const seen = new Set();
+        const records = [];
+
+        for (let windowStart = from; windowStart <= endTime; windowStart += windowMs) {
+            const windowEnd = Math.min(windowStart + windowMs - 1, endTime);
+            let cursor = windowStart;
+
+            while (cursor <= windowEnd) {
+                const params = { startTime: cursor, endTime: windowEnd, limit };
+                if (symbol) params.symbol = symbol;
+                if (incomeType) params.incomeType = incomeType;
+                const page = await this.makeRequest('GET', '/fapi/v1/income', params, true, options);
+                if (!Array.isArray(page) || page.length === 0) break;
+
+                let added = 0;
+                page.forEach(item => {
+                    // 同一毫秒可能有多条记录，下一页从最后一条的时间开始并按 tranId 去重
+                    const key = `${item.tranId}-${item.incomeType}-${item.asset}-${item.time}`;
+                    if (seen.has(key)) return;
+                    seen.add(key);
+                    records.push(item);
+                    added += 1;
+                });
+
+                if (page.length < limit || added === 0) break;
+                cursor = Number(page[page.length - 1].time);
+            }
+        }
+
+        return records.sort((a, b) => Number(a.time) - Number(b.time));
+    }
+
+    // orderRef 可为交易所 orderId 或客户端订单号
+    async cancelOrder(symbol, orderRef) {
         const response = await this.makeRequest('DELETE', '/fapi/v1/order', {
             symbol,
-            orderId
+            ...orderRefParams(orderRef)
         }, true);
         return response;
     }
@@ -464,61 +1352,656 @@ class AsterFuturesAPI {
         return response;
     }
 
-    async monitorOrderStatus(symbol, orderId, maxWaitTime = 300000) {
-        const startTime = Date.now();
-        logger.log(`[${this.accountName}] 开始监控订单 ${orderId} 状态...`);
-        
-        while (Date.now() - startTime < maxWaitTime) {
+    // 用户数据流 listenKey 管理
+    async createListenKey() {
+        const response = await this.makeRequest('POST', '/fapi/v1/listenKey', {}, false, { apiKey: true });
+        return response.listenKey;
+    }
+
+    async keepAliveListenKey() {
+        return await this.makeRequest('PUT', '/fapi/v1/listenKey', {}, false, { apiKey: true });
+    }
+
+    async closeListenKey() {
+        return await this.makeRequest('DELETE', '/fapi/v1/listenKey', {}, false, { apiKey: true, alert: false, retries: 0 });
+    }
+
+    async startUserDataStream() {
+        if (!this.userStream) {
+            this.userStream = new UserDataStream(this);
+        }
+        await this.userStream.start();
+    }
+
+    async stopUserDataStream() {
+        if (this.userStream) {
+            await this.userStream.stop();
+        }
+    }
+
+    // orderRef 建议使用客户端订单号，便于在日志与交易所记录中对应
+    // 用户数据流已连接时等待推送，断线或未启用时回退到 REST 轮询（默认每 3 秒，可通过 orderPollIntervalMs 配置）
+    async monitorOrderStatus(symbol, orderRef, maxWaitTime = 300000) {
+        const startTime = Date.now();
+        const pollIntervalMs = Number.isFinite(api.orderPollIntervalMs) ? Math.max(50, api.orderPollIntervalMs) : 3000;
+        const terminalStatuses = ['FILLED', 'CANCELED', 'REJECTED', 'EXPIRED'];
+        const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+        const remainingTime = () => Math.max(0, maxWaitTime - (Date.now() - startTime));
+        logger.log(`[${this.accountName}] 开始监控订单 ${orderRef} 状态...`);
+
+        const evaluate = (orderInfo) => {
+            logger.log(`[${this.accountName}] 订单状态: ${orderInfo.status}, 已成交: ${orderInfo.executedQty}/${orderInfo.origQty}`);
+
+            if (orderInfo.status === 'FILLED') {
+                logger.log(`✅ [${this.accountName}] 订单 ${orderRef} 完全成交！`, { account: this.accountName, orderId: orderInfo.orderId, clientOrderId: orderInfo.clientOrderId, symbol });
+                return { success: true, orderInfo, filled: true };
+            }
+
+            if (orderInfo.status === 'PARTIALLY_FILLED') {
+                logger.log(`⏳ [${this.accountName}] 订单 ${orderRef} 部分成交，继续监控...`);
+            }
+
+            if (['CANCELED', 'REJECTED', 'EXPIRED'].includes(orderInfo.status)) {
+                logger.log(`❌ [${this.accountName}] 订单 ${orderRef} 状态: ${orderInfo.status}`);
+                return { success: false, orderInfo, filled: false };
+            }
+            return null;
+        };
+
+        // 首次、收到账户推送以及数据流（重新）连接时都用 REST 确认一次，避免遗漏未推送到的状态变化
+        let needRestCheck = true;
+        let wasStreaming = false;
+        while (Date.now() - startTime < maxWaitTime) {
+            const streaming = !!(this.userStream && this.userStream.connected);
+            if (streaming && !wasStreaming) needRestCheck = true;
+            wasStreaming = streaming;
             try {
-                const orderInfo = await this.getOrderStatus(symbol, orderId);
-                logger.log(`[${this.accountName}] 订单状态: ${orderInfo.status}, 已成交: ${orderInfo.executedQty}/${orderInfo.origQty}`);
-                
-                if (orderInfo.status === 'FILLED') {
-                    logger.log(`✅ [${this.accountName}] 订单 ${orderId} 完全成交！`);
-                    return { success: true, orderInfo, filled: true };
-                }
-                
-                if (orderInfo.status === 'PARTIALLY_FILLED') {
-                    logger.log(`⏳ [${this.accountName}] 订单 ${orderId} 部分成交，继续监控...`);
+                if (streaming && !needRestCheck) {
+                    const cached = this.userStream.getOrderUpdate(orderRef);
+                    if (cached && terminalStatuses.includes(cached.status)) {
+                        return evaluate(cached);
+                    }
+
+                    const event = await this.userStream.waitForOrderEvent(symbol, orderRef, remainingTime());
+                    if (event.type === 'order') {
+                        const result = evaluate(event.info);
+                        if (result) return result;
+                    } else if (event.type === 'account' || event.type === 'disconnected') {
+                        needRestCheck = true;
+                    }
+                    continue;
                 }
-                
-                if (['CANCELED', 'REJECTED', 'EXPIRED'].includes(orderInfo.status)) {
-                    logger.log(`❌ [${this.accountName}] 订单 ${orderId} 状态: ${orderInfo.status}`);
-                    return { success: false, orderInfo, filled: false };
+
+                const orderInfo = await this.getOrderStatus(symbol, orderRef);
+                const result = evaluate(orderInfo);
+                if (result) return result;
+                needRestCheck = false;
+
+                // 等待不超过剩余监控时间，保证调用方（追价、Maker 对冲超时）按时收到结果
+                if (!streaming) {
+                    await sleep(Math.min(pollIntervalMs, remainingTime()));
                 }
-                
-                await new Promise(resolve => setTimeout(resolve, 3000));
-                
             } catch (error) {
                 logger.error(`[${this.accountName}] 查询订单状态失败: ${error.message}`);
-                await new Promise(resolve => setTimeout(resolve, 5000));
+                await sleep(Math.min(5000, remainingTime()));
             }
         }
-        
-        logger.log(`⏰ [${this.accountName}] 监控订单 ${orderId} 超时`);
+
+        logger.log(`⏰ [${this.accountName}] 监控订单 ${orderRef} 超时`);
         return { success: false, orderInfo: null, filled: false, timeout: true };
     }
+
+    // 追价限价单：每 intervalSeconds 秒检查一次，未成交且盘口向不利方向偏离超过 minTicks 个价位时，
+    // 撤单并按最新买一（卖单为卖一）重新挂剩余数量；最多追价 maxReprices 次，新价格相对首次挂单价
+    // 偏离超过 maxDriftPercent% 时停止追价。返回结构与 monitorOrderStatus 一致，orderInfo 为所有订单的累计成交
+    async chaseLimitOrder(symbol, side, quantity, price, { positionSide = 'BOTH', maxWaitTime = 300000, chase = {} } = {}) {
+        const startTime = Date.now();
+        const filters = await this.getSymbolFilters(symbol);
+        const intervalMs = Math.max(0.1, Number.isFinite(chase.intervalSeconds) ? chase.intervalSeconds : 10) * 1000;
+        const minTicks = Number.isFinite(chase.minTicks) ? Math.max(1, chase.minTicks) : 2;
+        const maxReprices = Number.isFinite(chase.maxReprices) ? Math.max(0, chase.maxReprices) : 5;
+        const maxDriftPercent = Number.isFinite(chase.maxDriftPercent) ? Math.max(0, chase.maxDriftPercent) : 0.2;
+        const isBuy = side === 'BUY';
+        const initialPrice = price;
+        const priceLimit = isBuy ? initialPrice * (1 + maxDriftPercent / 100) : initialPrice * (1 - maxDriftPercent / 100);
+
+        // 已撤销订单的累计成交（不含当前挂单）
+        let settledQty = 0;
+        let settledQuote = 0;
+        let reprices = 0;
+        let chasing = maxReprices > 0;
+        let currentPrice = price;
+        let order = await this.placeOrder({ symbol, side, type: 'LIMIT', quantity, price, timeInForce: 'GTC', positionSide });
+        logger.log(`[${this.accountName}] 追价模式挂单: clientOrderId=${order.clientOrderId}, 价格=${price}, 数量=${quantity}`);
+
+        // 已成交数量能否按单腿最小数量/名义价值对冲；不能对冲时返回失败，由调用方撤单平仓
+        const hedgeable = (qty, refPrice) => {
+            const minQty = filters.marketMinQty || filters.minQty;
+            const minNotionalQty = filters.minNotional > 0 && refPrice > 0 ? filters.minNotional / refPrice : 0;
+            return qty > 0 && qty >= Math.max(minQty, minNotionalQty) - 1e-12;
+        };
+
+        const buildResult = (success, info, extra = {}) => {
+            const activeQty = info ? parseFloat(info.executedQty) || 0 : 0;
+            const activeQuote = info ? activeQty * (parseFloat(info.avgPrice) || 0) : 0;
+            const executedQty = Number((settledQty + activeQty).toFixed(10));
+            const avgPrice = executedQty > 0 ? (settledQuote + activeQuote) / executedQty : 0;
+            return Object.assign({
+                success,
+                filled: success,
+                order,
+                reprices,
+                settledQty,
+                settledQuote,
+                orderInfo: Object.assign({}, info, {
+                    status: info ? info.status : (settledQty > 0 ? 'PARTIALLY_FILLED' : 'NEW'),
+                    origQty: quantity,
+                    executedQty,
+                    avgPrice,
+                    clientOrderId: order.clientOrderId
+                })
+            }, extra);
+        };
+
+        while (true) {
+            const remainingTime = maxWaitTime - (Date.now() - startTime);
+            if (remainingTime <= 0) {
+                logger.log(`⏰ [${this.accountName}] 追价订单超时，共追价 ${reprices} 次`);
+                // 撤销当前挂单，结果计入其部分成交
+                const ref = order.clientOrderId || order.orderId;
+                try {
+                    await this.cancelOrder(symbol, ref);
+                } catch (error) {
+                    logger.error(`[${this.accountName}] 超时撤单失败: ${error.message}`);
+                }
+                let info = null;
+                try {
+                    info = await this.getOrderStatus(symbol, ref);
+                } catch (error) {
+                    logger.error(`[${this.accountName}] 超时后查询订单失败: ${error.message}`);
+                }
+                return buildResult(false, info, { timeout: true });
+            }
+
+            const ref = order.clientOrderId || order.orderId;
+            const monitor = await this.monitorOrderStatus(symbol, ref, chasing ? Math.min(intervalMs, remainingTime) : remainingTime);
+            if (monitor.success) {
+                return buildResult(true, monitor.orderInfo);
+            }
+            if (!monitor.timeout) {
+                return buildResult(false, monitor.orderInfo);
+            }
+            if (!chasing) continue;
+
+            let bookPrice;
+            try {
+                bookPrice = isBuy ? await this.getBid1Price(symbol) : await this.getAsk1Price(symbol);
+            } catch (error) {
+                logger.error(`[${this.accountName}] 追价获取盘口失败，继续等待: ${error.message}`);
+                continue;
+            }
+            const movedTicks = (isBuy ? bookPrice - currentPrice : currentPrice - bookPrice) / filters.tickSize;
+            if (movedTicks < minTicks - 1e-9) continue;
+            if (isBuy ? bookPrice > priceLimit : bookPrice < priceLimit) {
+                logger.log(`⚠️ [${this.accountName}] 盘口 ${bookPrice} 超出追价上限 ${roundToStep(priceLimit, filters.tickSize)}（首次挂单价 ${initialPrice}），停止追价`);
+                chasing = false;
+                continue;
+            }
+
+            // 撤单后以订单最终状态为准：撤单前已完全成交则直接返回
+            try {
+                await this.cancelOrder(symbol, ref);
+            } catch (error) {
+                logger.error(`[${this.accountName}] 追价撤单失败: ${error.message}`);
+            }
+            const info = await this.getOrderStatus(symbol, ref);
+            if (info.status === 'FILLED') {
+                return buildResult(true, info);
+            }
+            if (!['CANCELED', 'EXPIRED'].includes(info.status)) {
+                logger.log(`⚠️ [${this.accountName}] 订单 ${ref} 未能撤销（${info.status}），停止追价`);
+                chasing = false;
+                continue;
+            }
+
+            const orderQty = parseFloat(info.executedQty) || 0;
+            settledQty = Number((settledQty + orderQty).toFixed(10));
+            settledQuote += orderQty * (parseFloat(info.avgPrice) || 0);
+            const remaining = floorToStep(quantity - settledQty, filters.stepSize);
+            if (remaining < filters.minQty || (filters.minNotional > 0 && remaining * bookPrice < filters.minNotional)) {
+                logger.log(`ℹ️ [${this.accountName}] 剩余数量 ${remaining} 低于最小下单限制，按已成交 ${settledQty} 结束`);
+                return buildResult(hedgeable(settledQty, bookPrice), null);
+            }
+
+            reprices += 1;
+            currentPrice = bookPrice;
+            try {
+                order = await this.placeOrder({ symbol, side, type: 'LIMIT', quantity: remaining, price: bookPrice, timeInForce: 'GTC', positionSide });
+            } catch (error) {
+                logger.error(`❌ [${this.accountName}] 追价重新挂单失败，按已成交 ${settledQty} 结束: ${error.message}`);
+                return buildResult(hedgeable(settledQty, bookPrice), null);
+            }
+            logger.log(`🏃 [${this.accountName}] 第 ${reprices}/${maxReprices} 次追价: 价格 ${bookPrice}（偏离 ${movedTicks.toFixed(0)} 个价位）, 剩余数量 ${remaining}, 已成交 ${settledQty}, clientOrderId=${order.clientOrderId}`);
+            chasing = reprices < maxReprices;
+        }
+    }
+
+    // 挂单优先：按卖一（买单为买一）挂只做 Maker 的 GTX 限价单，timeoutMs 内未完全成交则撤单并市价成交剩余数量；
+    // GTX 被拒（会立即吃单）时直接市价。返回累计成交信息，maker/taker 部分分别记录
+    async makerFirstOrder(symbol, side, quantity, { positionSide = 'BOTH', timeoutMs = 5000 } = {}) {
+        const filters = await this.getSymbolFilters(symbol);
+        const fills = { makerQty: 0, makerQuote: 0, takerQty: 0, takerQuote: 0 };
+        const orders = [];
+        let makerOrder = null;
+
+        try {
+            const price = side === 'SELL' ? await this.getAsk1Price(symbol) : await this.getBid1Price(symbol);
+            makerOrder = await this.placeOrder({ symbol, side, type: 'LIMIT', timeInForce: 'GTX', quantity, price, positionSide });
+            orders.push(makerOrder);
+            logger.log(`[${this.accountName}] Maker 挂单: clientOrderId=${makerOrder.clientOrderId}, 价格=${price}, 数量=${quantity}`);
+
+            const ref = makerOrder.clientOrderId || makerOrder.orderId;
+            let info = makerOrder;
+            if (info.status !== 'EXPIRED') {
+                const monitor = await this.monitorOrderStatus(symbol, ref, timeoutMs);
+                info = monitor.orderInfo;
+                if (!monitor.success && (!info || !['CANCELED', 'EXPIRED', 'REJECTED'].includes(info.status))) {
+                    try {
+                        await this.cancelOrder(symbol, ref);
+                    } catch (error) {
+                        logger.error(`[${this.accountName}] Maker 挂单撤销失败: ${error.message}`);
+                    }
+                    info = await this.getOrderStatus(symbol, ref);
+                }
+            } else {
+                logger.log(`[${this.accountName}] Maker 挂单会立即成交被交易所拒绝（GTX），改为市价`);
+            }
+            fills.makerQty = parseFloat(info.executedQty) || 0;
+            fills.makerQuote = fills.makerQty * (parseFloat(info.avgPrice) || 0);
+        } catch (error) {
+            // 挂单状态未知时不追加市价，交由对冲核对按实际持仓补齐
+            if (makerOrder || error.orderStatusUnknown) {
+                logger.error(`[${this.accountName}] Maker 挂单状态未知: ${error.message}`);
+                throw error;
+            }
+            logger.error(`[${this.accountName}] Maker 挂单失败，改为市价: ${error.message}`);
+        }
+
+        const remaining = floorToStep(quantity - fills.makerQty, filters.marketStepSize || filters.stepSize);
+        if (remaining >= (filters.marketMinQty || filters.minQty)) {
+            logger.log(`[${this.accountName}] Maker 成交 ${fills.makerQty}/${quantity}，剩余 ${remaining} 市价成交`);
+            const marketOrder = await this.placeOrder({ symbol, side, type: 'MARKET', quantity: remaining, positionSide });
+            orders.push(marketOrder);
+            const fill = await this.getOrderFill(symbol, marketOrder);
+            fills.takerQty = fill.executedQty;
+            fills.takerQuote = fill.notional;
+        } else if (remaining > 0) {
+            logger.log(`⚠️ [${this.accountName}] 剩余 ${remaining} 低于市价最小下单量，交由对冲核对处理`);
+        }
+
+        const executedQty = Number((fills.makerQty + fills.takerQty).toFixed(10));
+        const last = orders[orders.length - 1] || {};
+        return {
+            orderId: last.orderId,
+            clientOrderId: last.clientOrderId,
+            symbol,
+            side,
+            status: 'FILLED',
+            executedQty,
+            avgPrice: executedQty > 0 ? (fills.makerQuote + fills.takerQuote) / executedQty : 0,
+            makerQty: fills.makerQty,
+            takerQty: fills.takerQty,
+            orders
+        };
+    }
+}
+
+// 模拟盘 API：接口与 AsterFuturesAPI 一致，请求转发到本地模拟交易所，不产生任何真实网络请求
+class PaperFuturesAPI extends AsterFuturesAPI {
+    constructor(exchange, accountName = 'paper') {
+        super('paper-key', 'paper-secret', accountName, null);
+        this.exchange = exchange;
+    }
+
+    initProxy() {
+        logger.log(`[${this.accountName}] 模拟盘账号`);
+    }
+
+    async syncTime() {
+        this.timeOffsetMs = 0;
+        this.lastTimeSyncAt = Date.now();
+    }
+
+    async makeRequest(method, endpoint, params = {}) {
+        try {
+            // 深拷贝，避免调用方修改模拟交易所内部状态
+            return JSON.parse(JSON.stringify(this.exchange.handle(this.accountName, method, endpoint, params)));
+        } catch (error) {
+            if (error instanceof ExchangeError) {
+                const err = new Error(`HTTP error! status: ${error.status}, response: ${JSON.stringify({ code: error.code, msg: error.message })}`);
+                err.status = error.status;
+                logger.error(`[${this.accountName}] 请求失败: ${err.message}`);
+                throw err;
+            }
+            throw error;
+        }
+    }
+
+    async startUserDataStream() {
+        throw new Error('模拟盘不支持用户数据流');
+    }
+}
+
+// 按配置创建模拟交易所：api.paper 可覆盖余额、手续费、价格源等，默认使用当前币种与参考价随机游走
+function createPaperExchange(config = api) {
+    const paper = config.paper || {};
+    const symbols = Object.assign({}, paper.symbols);
+    if (!symbols[config.symbol]) {
+        symbols[config.symbol] = {
+            price: paper.startPrice || config.price || 100000,
+            volatility: paper.volatility,
+            priceFile: paper.priceFile
+        };
+        // 未指定的字段使用模拟交易所默认值
+        Object.keys(symbols[config.symbol]).forEach(key => {
+            if (symbols[config.symbol][key] === undefined) delete symbols[config.symbol][key];
+        });
+    }
+    return new SimulatedExchange({
+        symbols,
+        balance: paper.balance,
+        makerFee: paper.makerFee,
+        takerFee: paper.takerFee,
+        stepMs: paper.stepMs
+    });
+}
+
+// 收益报表统计的流水类型，与 Web 端导出的 Type 一致
+const INCOME_FIELDS = ['REALIZED_PNL', 'COMMISSION', 'FUNDING_FEE'];
+const INCOME_LABELS = {
+    REALIZED_PNL: '实现盈亏',
+    COMMISSION: '手续费',
+    FUNDING_FEE: '资金费',
+    NET: '净额'
+};
+const INCOME_COMBINED_LABELS = {
+    REALIZED_PNL: '合计盈亏',
+    COMMISSION: '合计手续费',
+    FUNDING_FEE: '合计资金费',
+    NET: '总净额'
+};
+
+// 汇总流水：各类型合计及净额（仅统计 INCOME_FIELDS 中的类型）
+function summarizeIncome(records) {
+    const totals = { REALIZED_PNL: 0, COMMISSION: 0, FUNDING_FEE: 0, NET: 0 };
+    records.forEach(item => {
+        const amount = parseFloat(item.income);
+        if (INCOME_FIELDS.includes(item.incomeType) && Number.isFinite(amount)) {
+            totals[item.incomeType] += amount;
+            totals.NET += amount;
+        }
+    });
+    return totals;
+}
+
+// 解析命令行日期：毫秒时间戳、YYYY-MM-DD（本地时间，endOfDay 时取当天结束）或其他 Date 可解析格式
+function parseDateArg(value, endOfDay = false) {
+    if (value === undefined || value === null || value === '') return null;
+    if (/^\d{12,}$/.test(String(value))) return Number(value);
+    const dateOnly = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+    if (dateOnly) {
+        const [, y, m, d] = dateOnly.map(Number);
+        return endOfDay ? new Date(y, m - 1, d, 23, 59, 59, 999).getTime() : new Date(y, m - 1, d).getTime();
+    }
+    const ts = new Date(value).getTime();
+    if (!Number.isFinite(ts)) {
+        throw new Error(`无法解析日期: ${value}`);
+    }
+    return ts;
+}
+
+// 本地日期键 YYYY-MM-DD，用于按自然日统计亏损
+function localDayKey(ts = Date.now()) {
+    const d = new Date(ts);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
 }
 
-// 三账号对冲交易工具类
+// 会话风控：按周期累计已实现盈亏与手续费（资金流水）、统计连续失败周期，
+// 超过本次会话亏损、当日亏损或连续失败上限时熔断；各上限为 0 或未配置时不启用
+class SessionRiskController {
+    constructor(options = {}) {
+        const limit = (value) => (Number.isFinite(value) ? Math.max(0, value) : 0);
+        this.maxSessionLoss = limit(options.maxSessionLoss);
+        this.maxDailyLoss = limit(options.maxDailyLoss);
+        this.maxConsecutiveFailures = Math.floor(limit(options.maxConsecutiveFailures));
+        // 未配置亏损上限时也按周期拉取流水（用于手续费指标）
+        this.trackIncome = !!options.trackIncome;
+        // 熔断后 exit：结束循环；pause：保持进程等待手动恢复
+        this.onTrip = options.onTrip === 'pause' ? 'pause' : 'exit';
+        this.sessionPnl = 0;
+        this.sessionCommission = 0;
+        this.dailyNet = 0;
+        this.dayKey = localDayKey();
+        this.consecutiveFailures = 0;
+        // 每个账号已统计到的流水时间，下次从此处继续查询
+        this.incomeCursors = [];
+        this.tripReason = null;
+    }
+
+    get tracksIncome() {
+        return this.trackIncome || this.maxSessionLoss > 0 || this.maxDailyLoss > 0;
+    }
+
+    get sessionNet() {
+        return this.sessionPnl + this.sessionCommission;
+    }
+
+    get tripped() {
+        return this.tripReason !== null;
+    }
+
+    // 会话开始：记录流水起点，并用当日 0 点以来的流水初始化当日盈亏
+    async start(accounts, symbol) {
+        const now = Date.now();
+        this.incomeCursors = accounts.map(() => now);
+        this.dayKey = localDayKey(now);
+        this.dailyNet = 0;
+        if (this.maxDailyLoss > 0) {
+            const midnight = new Date(now);
+            midnight.setHours(0, 0, 0, 0);
+            const results = await Promise.allSettled(accounts.map(account => (
+                account.getIncomeHistory({ symbol, startTime: midnight.getTime(), endTime: now }, { priority: 'low' })
+            )));
+            results.forEach((result, index) => {
+                if (result.status === 'fulfilled') {
+                    const summary = summarizeIncome(result.value);
+                    this.dailyNet += summary.REALIZED_PNL + summary.COMMISSION;
+                } else {
+                    logger.error(`⚠️ ${accounts[index].accountName} 查询当日流水失败: ${result.reason?.message}`);
+                }
+            });
+        }
+    }
+
+    // 拉取各账号自上次统计以来的实现盈亏与手续费；查询失败的账号下次继续从原位置查询
+    async collectIncome(accounts, symbol) {
+        const now = Date.now();
+        const totals = { REALIZED_PNL: 0, COMMISSION: 0 };
+        const results = await Promise.allSettled(accounts.map((account, index) => (
+            account.getIncomeHistory({ symbol, startTime: this.incomeCursors[index] ?? now, endTime: now }, { priority: 'low' })
+        )));
+        results.forEach((result, index) => {
+            if (result.status !== 'fulfilled') {
+                logger.error(`⚠️ ${accounts[index].accountName} 查询资金流水失败: ${result.reason?.message}`);
+                return;
+            }
+            const summary = summarizeIncome(result.value);
+            if (summary.COMMISSION < 0) metrics.fees.inc({ account: accounts[index].accountName }, -summary.COMMISSION);
+            totals.REALIZED_PNL += summary.REALIZED_PNL;
+            totals.COMMISSION += summary.COMMISSION;
+            if (result.value.length > 0) {
+                this.incomeCursors[index] = Math.max(...result.value.map(r => Number(r.time))) + 1;
+            }
+        });
+        return totals;
+    }
+
+    // 周期结束：更新连续失败次数与盈亏，返回本轮盈亏（未启用亏损上限时为 null）
+    async endCycle(accounts, symbol, failed) {
+        this.consecutiveFailures = failed ? this.consecutiveFailures + 1 : 0;
+        const today = localDayKey();
+        if (today !== this.dayKey) {
+            this.dayKey = today;
+            this.dailyNet = 0;
+        }
+        if (!this.tracksIncome) return null;
+
+        const cycle = await this.collectIncome(accounts, symbol);
+        this.sessionPnl += cycle.REALIZED_PNL;
+        this.sessionCommission += cycle.COMMISSION;
+        this.dailyNet += cycle.REALIZED_PNL + cycle.COMMISSION;
+        return cycle;
+    }
+
+    // 返回触发的熔断原因，未触发返回 null
+    check() {
+        if (this.maxSessionLoss > 0 && -this.sessionNet >= this.maxSessionLoss) {
+            return `本次会话亏损 ${(-this.sessionNet).toFixed(4)} USDT 达到上限 ${this.maxSessionLoss} USDT`;
+        }
+        if (this.maxDailyLoss > 0 && -this.dailyNet >= this.maxDailyLoss) {
+            return `当日亏损 ${(-this.dailyNet).toFixed(4)} USDT 达到上限 ${this.maxDailyLoss} USDT`;
+        }
+        if (this.maxConsecutiveFailures > 0 && this.consecutiveFailures >= this.maxConsecutiveFailures) {
+            return `连续失败 ${this.consecutiveFailures} 轮达到上限 ${this.maxConsecutiveFailures} 轮`;
+        }
+        return null;
+    }
+
+    trip(reason) {
+        this.tripReason = reason;
+    }
+
+    // 手动恢复：重新开始会话亏损与连续失败统计（当日亏损仍然累计）
+    resume() {
+        this.tripReason = null;
+        this.sessionPnl = 0;
+        this.sessionCommission = 0;
+        this.consecutiveFailures = 0;
+    }
+
+    summary() {
+        return `会话盈亏 ${this.sessionNet.toFixed(4)} USDT (实现盈亏 ${this.sessionPnl.toFixed(4)}, 手续费 ${this.sessionCommission.toFixed(4)}), 当日 ${this.dailyNet.toFixed(4)} USDT, 连续失败 ${this.consecutiveFailures} 轮`;
+    }
+}
+
+// 多账号对冲交易工具类（账号数量由配置决定，至少 2 个）
 class ThreeAccountHedgeTool {
-    constructor() {
-        this.account1 = new AsterFuturesAPI(api.api1.apiKey, api.api1.apiSecret, '账号1', api.api1.proxy);
-        this.account2 = new AsterFuturesAPI(api.api2.apiKey, api.api2.apiSecret, '账号2', api.api2.proxy);
-        this.account3 = new AsterFuturesAPI(api.api3.apiKey, api.api3.apiSecret, '账号3', api.api3.proxy);
-        this.accounts = [this.account1, this.account2, this.account3];
+    // options.exchange 传入模拟交易所时进入模拟盘模式，所有账号使用 PaperFuturesAPI
+    constructor(accountConfigs = resolveAccountConfigs(api), options = {}) {
+        if (!Array.isArray(accountConfigs) || accountConfigs.length < 1) {
+            throw new Error('未配置任何账号');
+        }
+        this.paperExchange = options.exchange || null;
+        this.accounts = accountConfigs.map(acc => (
+            this.paperExchange
+                ? new PaperFuturesAPI(this.paperExchange, acc.label)
+                : new AsterFuturesAPI(acc.apiKey, acc.apiSecret, acc.label, acc.proxy)
+        ));
+        this.marketData = null;
+        // 累计成交额（USDT），perAccount 与 this.accounts 顺序一致
+        this.volumeStats = { total: 0, perAccount: this.accounts.map(() => 0) };
+        // 启用控制接口（含 /metrics）或 Telegram 命令（/stats）时按周期统计手续费
+        const trackIncome = !!((api.control && api.control.enabled) || (api.telegram && api.telegram.commands));
+        this.riskController = new SessionRiskController({ ...api.riskControl, trackIncome });
+        this.metricsRefreshedAt = 0;
         // 避免重复平仓/退出的状态标记
         this.isClosing = false;
         this.exitRequested = false;
+        // 手动暂停（控制接口）：当前周期结束后停在空仓状态，resume 后继续
+        this.pauseRequested = false;
+        // 循环运行状态，供控制接口查询
+        this.loopState = { running: false, symbol: null, cycle: 0, phase: 'idle', phaseSince: Date.now(), startedAt: null };
+    }
+
+    setPhase(phase) {
+        this.loopState.phase = phase;
+        this.loopState.phaseSince = Date.now();
+    }
+
+    // 对账号池中每个账号并发执行操作，结果顺序与 this.accounts 一致
+    async forEachAccount(fn) {
+        return Promise.allSettled(this.accounts.map((account, index) => fn(account, index)));
+    }
+
+    // 启动所有账号的用户数据流；失败的账号回退到 REST 轮询，不影响交易
+    async startUserDataStreams() {
+        if (this.paperExchange) {
+            logger.log(`ℹ️ 模拟盘模式，订单监控使用轮询`);
+            return [];
+        }
+        if (api.userDataStream && api.userDataStream.enabled === false) {
+            logger.log(`ℹ️ 用户数据流已禁用，订单监控使用 REST 轮询`);
+            return [];
+        }
+        const results = await this.forEachAccount(account => account.startUserDataStream());
+        results.forEach((result, index) => {
+            if (result.status === 'fulfilled') {
+                logger.log(`✅ ${this.accounts[index].accountName} 用户数据流已启动`);
+            } else {
+                logger.log(`⚠️ ${this.accounts[index].accountName} 用户数据流启动失败，使用 REST 轮询: ${result.reason?.message}`);
+            }
+        });
+        return results;
+    }
+
+    async stopUserDataStreams() {
+        return this.forEachAccount(account => account.stopUserDataStream());
+    }
+
+    // 启动行情数据流并挂载到所有账号；启动失败时继续使用 REST 盘口
+    async startMarketData(symbols) {
+        const options = api.marketData || {};
+        if (this.paperExchange) {
+            logger.log(`ℹ️ 模拟盘模式，盘口价格来自模拟交易所`);
+            return null;
+        }
+        if (options.enabled === false) {
+            logger.log(`ℹ️ 行情数据流已禁用，盘口价格使用 REST 查询`);
+            return null;
+        }
+        const feed = new MarketDataFeed({
+            wsBaseURL: api.wsBaseURL,
+            agent: this.accounts[0].proxyAgent,
+            stream: options.stream,
+            staleMs: options.staleMs
+        });
+        try {
+            await feed.start(symbols, options.readyTimeoutMs);
+        } catch (error) {
+            feed.stop();
+            logger.log(`⚠️ 行情数据流启动失败，盘口价格使用 REST 查询: ${error.message}`);
+            return null;
+        }
+        this.marketData = feed;
+        this.accounts.forEach(account => { account.priceFeed = feed; });
+        return feed;
+    }
+
+    stopMarketData() {
+        if (this.marketData) {
+            this.marketData.stop();
+            this.accounts.forEach(account => { account.priceFeed = null; });
+            this.marketData = null;
+        }
     }
 
     formatTime() {
         return new Date().toLocaleString('zh-CN');
     }
 
-    // 生成随机数量（基于参考价的安全检查）
-    generateRandomQuantity() {
-        const min = api.minQuantity || 0.001;
+    // 生成随机数量（基于参考价的安全检查），按交易对步长向下取整
+    generateRandomQuantity(filters = DEFAULT_SYMBOL_FILTERS) {
+        const min = api.minQuantity || filters.minQty;
         const max = api.maxQuantity || 0.01;
         const quantity = Math.random() * (max - min) + min;
 
@@ -529,100 +2012,536 @@ class ThreeAccountHedgeTool {
             const maxValue = api.maxPositionValue || 2000;
 
             if (positionValue > maxValue) {
-                const safeQuantity = maxValue / price;
-                logger.log(`⚠️ 下单金额 ${positionValue.toFixed(2)} USDT 超过限制 ${maxValue} USDT，调整为 ${safeQuantity.toFixed(3)}`);
-                return parseFloat(safeQuantity.toFixed(3));
+                const safeQuantity = floorToStep(maxValue / price, filters.stepSize);
+                logger.log(`⚠️ 下单金额 ${positionValue.toFixed(2)} USDT 超过限制 ${maxValue} USDT，调整为 ${safeQuantity}`);
+                return safeQuantity;
+            }
+        }
+
+        return floorToStep(quantity, filters.stepSize);
+    }
+
+    // 单个辅账号（市价单）至少需要的步长单位数：同时满足最小下单量与最小名义价值
+    minUnitsPerLeg(filters, price = 0) {
+        const step = filters.marketStepSize || filters.stepSize;
+        let minQty = filters.marketMinQty || filters.minQty;
+        if (price > 0 && filters.minNotional > 0) {
+            minQty = Math.max(minQty, filters.minNotional / price);
+        }
+        return Math.max(1, Math.ceil(minQty / step - 1e-9));
+    }
+
+    // 按步长单位拆分数量：每份至少 minUnits 个单位，剩余按 1~4 的随机权重分配，总和严格等于 totalUnits
+    splitUnits(totalUnits, count, minUnits) {
+        // 数量不足以分给所有份时，只分配给前 parts 份，其余为 0
+        const parts = Math.max(1, Math.min(count, Math.floor(totalUnits / minUnits)));
+        const weights = Array.from({ length: parts }, () => Math.random() * 3 + 1);
+        const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+        const spareUnits = Math.max(totalUnits - parts * minUnits, 0);
+
+        const units = weights.map(w => minUnits + Math.floor(spareUnits * w / totalWeight));
+        // 舍入余量归最后一份
+        units[parts - 1] += totalUnits - units.reduce((sum, u) => sum + u, 0);
+
+        return Array.from({ length: count }, (_, i) => (i < parts ? units[i] : 0));
+    }
+
+    // 随机分配金额：主账号随机金额，辅账号金额总和等于主账号
+    generateQuantityDistribution(helperCount = 2, filters = DEFAULT_SYMBOL_FILTERS, price = 0) {
+        const step = filters.marketStepSize || filters.stepSize;
+        const decimals = stepDecimals(step);
+        const mainQuantity = floorToStep(this.generateRandomQuantity(filters), step);
+        const totalUnits = Math.round(mainQuantity / step);
+        const minUnits = this.minUnitsPerLeg(filters, price);
+
+        if (mainQuantity < filters.minQty || totalUnits < minUnits) {
+            throw new Error(`主账号数量 ${mainQuantity} 低于最小下单要求（最小数量 ${filters.minQty}，单腿最小 ${Number((minUnits * step).toFixed(decimals))}），请调整 minQuantity/maxQuantity`);
+        }
+
+        // 避免极端分配（如99%和1%），两个辅账号时比例大致落在 20%~80%
+        const units = this.splitUnits(totalUnits, helperCount, minUnits);
+
+        return {
+            mainQuantity: Number((totalUnits * step).toFixed(decimals)),
+            quantities: units.map(u => Number((u * step).toFixed(decimals)))
+        };
+    }
+
+    // 按主账号实际成交数量重新计算辅账号数量，保持原分配比例且总和等于成交数量
+    scaleHedgeQuantities(quantities, executedQty, filters = DEFAULT_SYMBOL_FILTERS, price = 0) {
+        const step = filters.marketStepSize || filters.stepSize;
+        const decimals = stepDecimals(step);
+        const totalUnits = Math.round(floorToStep(executedQty, step) / step);
+        const minUnits = this.minUnitsPerLeg(filters, price);
+
+        if (totalUnits < minUnits) {
+            throw new Error(`成交数量 ${executedQty} 低于单腿最小下单要求 ${Number((minUnits * step).toFixed(decimals))}，无法对冲`);
+        }
+
+        const total = quantities.reduce((sum, qty) => sum + qty, 0);
+        const units = [];
+        let allocated = 0;
+        quantities.forEach((qty, index) => {
+            if (index === quantities.length - 1) {
+                units.push(totalUnits - allocated);
+                return;
+            }
+            const u = Math.max(minUnits, Math.floor(totalUnits * qty / total));
+            units.push(u);
+            allocated += u;
+        });
+
+        // 比例缩放后若有辅账号不足最小单位，则整体重新拆分
+        if (units.some(u => u < minUnits)) {
+            return this.splitUnits(totalUnits, quantities.length, minUnits)
+                .map(u => Number((u * step).toFixed(decimals)));
+        }
+        return units.map(u => Number((u * step).toFixed(decimals)));
+    }
+
+    // 汇总所有账号在 symbol 上的净持仓（任一账号查询失败则抛出，避免基于不完整数据判断敞口）
+    async getNetPosition(symbol) {
+        const results = await this.forEachAccount(account => account.getPositions(symbol));
+        let net = 0;
+        results.forEach((result, index) => {
+            if (result.status !== 'fulfilled' || !Array.isArray(result.value)) {
+                throw new Error(`${this.accounts[index].accountName} 查询持仓失败: ${result.reason?.message || '未知错误'}`);
+            }
+            result.value
+                .filter(pos => !pos.symbol || pos.symbol === symbol)
+                .forEach(pos => {
+                    const amt = parseFloat(pos.positionAmt);
+                    if (!Number.isNaN(amt)) net += amt;
+                });
+        });
+        // 去除浮点累加误差（及 -0）
+        return Number(net.toFixed(10)) || 0;
+    }
+
+    // 对冲后核对净敞口：在成功的辅账号上补单，仍无法在容差内中和时立即平掉主账号并报警
+    // 返回 { hedged, netPosition }，hedged=false 时调用方应跳过持仓等待直接平仓
+    async reconcileHedgeExposure(symbol, { mainAccount, survivingHelpers, filters, positionSide = 'BOTH' }) {
+        const tolerance = Number.isFinite(api.hedgeTolerance) ? Math.max(0, api.hedgeTolerance) : 0;
+        const maxAttempts = Number.isFinite(api.hedgeRepairAttempts) ? Math.max(0, api.hedgeRepairAttempts) : 2;
+        const step = filters.marketStepSize || filters.stepSize;
+        const minQty = filters.marketMinQty || filters.minQty;
+        const isBalanced = (net) => Math.abs(net) <= tolerance + 1e-12;
+
+        logger.log(`\n🔍 对冲核对: 容差 ${tolerance} ${symbol}`);
+
+        let net;
+        try {
+            net = await this.getNetPosition(symbol);
+        } catch (error) {
+            logger.error(`❌ 对冲核对失败，无法确认净敞口: ${error.message}`);
+            net = null;
+        }
+
+        for (let attempt = 1; net !== null && !isBalanced(net) && attempt <= maxAttempts; attempt++) {
+            const missing = floorToStep(Math.abs(net), step);
+            logger.log(`⚠️ 净敞口 ${net.toFixed(stepDecimals(step))} ${symbol}，第 ${attempt}/${maxAttempts} 次补单 ${missing}`);
+            if (missing < minQty) {
+                logger.log(`⚠️ 缺口 ${missing} 低于最小下单量 ${minQty}，无法补单`);
+                break;
+            }
+            if (survivingHelpers.length === 0) {
+                logger.log(`⚠️ 没有可用的辅账号进行补单`);
+                break;
+            }
+
+            for (const helper of survivingHelpers) {
+                try {
+                    const order = net > 0
+                        ? await helper.sellOrder(symbol, missing, null, 'MARKET', positionSide)
+                        : await helper.buyOrder(symbol, missing, null, 'MARKET', positionSide);
+                    logger.log(`✅ ${helper.accountName} 补单完成: clientOrderId=${order.clientOrderId}, 数量=${missing}`);
+                    await this.trackOrderVolume(helper, symbol, order);
+                    break;
+                } catch (error) {
+                    logger.error(`❌ ${helper.accountName} 补单失败: ${error.message}`);
+                }
+            }
+
+            try {
+                net = await this.getNetPosition(symbol);
+            } catch (error) {
+                logger.error(`❌ 补单后核对失败: ${error.message}`);
+                net = null;
+            }
+        }
+
+        if (net !== null && isBalanced(net)) {
+            logger.log(`✅ 对冲核对通过，净敞口 ${net.toFixed(stepDecimals(step))} ${symbol}`);
+            return { hedged: true, netPosition: net };
+        }
+
+        // 无法中和：立即平掉主账号仓位
+        const netText = net === null ? '未知' : net.toFixed(stepDecimals(step));
+        logger.error(`🚨 净敞口 ${netText} ${symbol} 无法在容差内中和，立即平掉主账号 ${mainAccount.accountName} 仓位`);
+        let flattenText = '主账号已平仓';
+        try {
+            await mainAccount.closePosition(symbol);
+        } catch (error) {
+            flattenText = `主账号平仓失败: ${error.message}`;
+            logger.error(`❌ ${mainAccount.accountName} 紧急平仓失败: ${error.message}`);
+        }
+        await sendAlert('critical', `exposure:${symbol}`, `🚨 报警：对冲敞口无法中和\n币种: ${symbol}\n主账号: ${mainAccount.accountName}\n净敞口: ${netText}\n${flattenText}`);
+        return { hedged: false, netPosition: net };
+    }
+
+    // 设置杠杆
+    async setLeverage(symbol, leverage) {
+        logger.log(`\n=== [${this.formatTime()}] 设置杠杆 ===`);
+        logger.log(`币种: ${symbol}, 杠杆: ${leverage}x`);
+
+        try {
+            const results = await this.forEachAccount(account => account.setLeverage(symbol, leverage));
+
+            results.forEach((result, index) => {
+                if (result.status === 'fulfilled') {
+                    logger.log(`✅ ${this.accounts[index].accountName} 设置 ${leverage}x 杠杆成功`);
+                } else {
+                    logger.log(`❌ ${this.accounts[index].accountName} 设置杠杆失败: ${result.reason?.message || '未知错误'}`);
+                }
+            });
+
+            return results;
+        } catch (error) {
+            logger.error(`设置杠杆失败: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // 按订单成交数量 × 成交均价累计账号成交额；查询失败只记录日志，不影响对冲流程
+    async trackOrderVolume(account, symbol, order) {
+        if (!order || order.skipped) return 0;
+        try {
+            const { notional } = await account.getOrderFill(symbol, order);
+            this.recordVolume(account, notional);
+            return notional;
+        } catch (error) {
+            logger.error(`⚠️ ${account.accountName} 统计成交额失败 (${order.clientOrderId || order.orderId}): ${error.message}`);
+            return 0;
+        }
+    }
+
+    recordVolume(account, notional) {
+        metrics.volume.inc({ account: account.accountName }, notional);
+        const index = this.accounts.indexOf(account);
+        if (index >= 0) this.volumeStats.perAccount[index] += notional;
+        this.volumeStats.total += notional;
+    }
+
+    // 总量与单账号目标同时配置时需全部达成；未配置（0）视为不限
+    isVolumeTargetReached({ targetVolume = 0, targetVolumePerAccount = 0 } = {}) {
+        if (!(targetVolume > 0) && !(targetVolumePerAccount > 0)) return false;
+        const totalReached = !(targetVolume > 0) || this.volumeStats.total >= targetVolume;
+        const perAccountReached = !(targetVolumePerAccount > 0)
+            || this.volumeStats.perAccount.every(volume => volume >= targetVolumePerAccount);
+        return totalReached && perAccountReached;
+    }
+
+    logVolumeProgress({ targetVolume = 0, targetVolumePerAccount = 0 } = {}, cycleVolume = null) {
+        const progress = (volume, target) => (
+            target > 0 ? `${volume.toFixed(2)} / ${target} USDT (${Math.min(100, volume / target * 100).toFixed(1)}%)` : `${volume.toFixed(2)} USDT`
+        );
+        const cycleText = cycleVolume === null ? '' : `本轮 ${cycleVolume.toFixed(2)} USDT, `;
+        logger.log(`📈 成交额: ${cycleText}累计 ${progress(this.volumeStats.total, targetVolume)}`);
+        this.accounts.forEach((account, index) => {
+            logger.log(`   ${account.accountName}: ${progress(this.volumeStats.perAccount[index], targetVolumePerAccount)}`);
+        });
+    }
+
+    // 风控熔断：停止开新仓，清理所有挂单与持仓并报警
+    async handleRiskTrip(symbol, reason) {
+        this.riskController.trip(reason);
+        logger.error(`\n🛑 风控熔断: ${reason}`);
+        logger.log(`📊 ${this.riskController.summary()}`);
+
+        let cleanupText = '已确认无持仓与挂单';
+        try {
+            await this.ensureNoPositionsAndOrders(symbol);
+        } catch (error) {
+            cleanupText = `清理失败: ${error.message}`;
+            logger.error(`❌ 熔断后清理挂单/仓位失败: ${error.message}`);
+        }
+
+        const action = this.riskController.onTrip === 'pause' ? '已暂停，等待手动恢复' : '循环已停止';
+        await sendAlert('critical', 'risk-trip', `🛑 报警：风控熔断\n币种: ${symbol}\n原因: ${reason}\n${this.riskController.summary()}\n${cleanupText}\n${action}`);
+    }
+
+    // 开仓前检查各账号余额与保证金（balanceCheck.enabled=false 时跳过）：可用余额低于 minAccountBalance、
+    // 不足以覆盖本轮最大名义价值所需保证金或保证金率过高的账号，本轮不参与主/辅账号选择；
+    // 没有可用价格时返回 skipReason，调用方应跳过本轮
+    async checkAccountEligibility(symbol, leverage) {
+        const check = api.balanceCheck || {};
+        if (check.enabled === false) return { eligible: [...this.accounts], excluded: [] };
+        const minBalance = Number.isFinite(api.minAccountBalance) ? api.minAccountBalance : 100;
+        const maxMarginRatio = Number.isFinite(check.maxMarginRatio) ? check.maxMarginRatio : 0.8;
+        const marginBuffer = Number.isFinite(check.marginBuffer) ? Math.max(1, check.marginBuffer) : 1.2;
+
+        // 盘口不可用时使用配置参考价 price；都没有时无法估算保证金，本轮不选择任何账号
+        let price = 0;
+        try {
+            price = await this.accounts[0].getBid1Price(symbol);
+        } catch (error) {
+            logger.error(`⚠️ 获取盘口失败: ${error.message}`);
+        }
+        if (!(price > 0) && api.price > 0) {
+            logger.log(`ℹ️ 按配置参考价 ${api.price} 估算保证金`);
+            price = api.price;
+        }
+        if (!(price > 0)) {
+            return { eligible: [], excluded: [], skipReason: `无法获取 ${symbol} 盘口价格且未配置参考价 price，无法估算所需保证金` };
+        }
+        const plannedNotional = (api.maxQuantity || 0.01) * price;
+        const requiredMargin = plannedNotional / leverage * marginBuffer;
+
+        const results = await this.forEachAccount(account => account.getAccountInfoV4({ priority: 'low', alert: false }));
+        const eligible = [];
+        const excluded = [];
+        results.forEach((result, index) => {
+            const account = this.accounts[index];
+            let reason = null;
+            if (result.status !== 'fulfilled') {
+                reason = `查询账户失败: ${result.reason?.message}`;
+            } else {
+                const info = result.value || {};
+                const available = parseFloat(info.availableBalance);
+                const marginBalance = parseFloat(info.totalMarginBalance);
+                const marginRatio = marginBalance > 0 ? (parseFloat(info.totalMaintMargin) || 0) / marginBalance : Infinity;
+                if (!Number.isFinite(available)) {
+                    reason = '账户信息缺少 availableBalance';
+                } else if (available < minBalance) {
+                    reason = `可用余额 ${available.toFixed(2)} USDT 低于最低要求 ${minBalance} USDT`;
+                } else if (available < requiredMargin) {
+                    reason = `可用余额 ${available.toFixed(2)} USDT 不足以覆盖保证金 ${requiredMargin.toFixed(2)} USDT（名义价值 ${plannedNotional.toFixed(2)} / ${leverage}x × ${marginBuffer}）`;
+                } else if (marginRatio > maxMarginRatio) {
+                    reason = `保证金率 ${(marginRatio * 100).toFixed(1)}% 超过上限 ${(maxMarginRatio * 100).toFixed(1)}%`;
+                }
             }
+            if (reason) excluded.push({ account, reason });
+            else eligible.push(account);
+        });
+        return { eligible, excluded, requiredMargin };
+    }
+
+    // 持仓期间按 holdMonitor.intervalSeconds 轮询各账号 positionRisk（holdMonitor.enabled=false 时只固定等待）：
+    // 任一持仓腿标记价格距强平价小于 minLiquidationDistancePercent%、保证金率（接口返回 marginRatio 时）超过 maxMarginRatio，
+    // 或单腿浮亏超过 maxLegLoss USDT 时提前结束持仓，返回原因；持满 holdMs 返回 null
+    async holdWithMonitoring(symbol, holdMs) {
+        const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+        const monitor = api.holdMonitor || {};
+        if (monitor.enabled === false) {
+            await sleep(holdMs);
+            return null;
+        }
+        const intervalMs = (Number.isFinite(monitor.intervalSeconds) ? Math.max(0.1, monitor.intervalSeconds) : 2) * 1000;
+        const minDistance = Number.isFinite(monitor.minLiquidationDistancePercent) ? monitor.minLiquidationDistancePercent : 2;
+        const maxMarginRatio = Number.isFinite(monitor.maxMarginRatio) ? monitor.maxMarginRatio : 0.8;
+        const maxLegLoss = Number.isFinite(monitor.maxLegLoss) ? monitor.maxLegLoss : 0;
+
+        const deadline = Date.now() + holdMs;
+        while (Date.now() < deadline) {
+            const results = await this.forEachAccount(account => account.getPositions(symbol, { priority: 'low', alert: false }));
+            for (let index = 0; index < results.length; index++) {
+                const name = this.accounts[index].accountName;
+                if (results[index].status !== 'fulfilled') {
+                    logger.warn(`⚠️ ${name} 持仓监控查询失败: ${results[index].reason?.message}`, { account: name });
+                    continue;
+                }
+                const legs = (Array.isArray(results[index].value) ? results[index].value : [])
+                    .filter(pos => pos.symbol === symbol && parseFloat(pos.positionAmt) !== 0);
+                for (const pos of legs) {
+                    const amount = parseFloat(pos.positionAmt);
+                    const mark = parseFloat(pos.markPrice);
+                    const liquidation = parseFloat(pos.liquidationPrice);
+                    const marginRatio = parseFloat(pos.marginRatio);
+                    const pnl = parseFloat(pos.unRealizedProfit);
+                    if (liquidation > 0 && mark > 0) {
+                        const distance = (amount > 0 ? mark - liquidation : liquidation - mark) / mark * 100;
+                        if (distance < minDistance) {
+                            return `${name} 标记价格 ${mark} 距强平价 ${liquidation} 仅 ${distance.toFixed(2)}%（阈值 ${minDistance}%）`;
+                        }
+                    }
+                    if (Number.isFinite(marginRatio) && marginRatio > maxMarginRatio) {
+                        return `${name} 保证金率 ${(marginRatio * 100).toFixed(1)}% 超过上限 ${(maxMarginRatio * 100).toFixed(1)}%`;
+                    }
+                    if (maxLegLoss > 0 && pnl < -maxLegLoss) {
+                        return `${name} 浮亏 ${(-pnl).toFixed(2)} USDT 超过单腿上限 ${maxLegLoss} USDT（标记价格 ${mark}）`;
+                    }
+                }
+            }
+            const remaining = deadline - Date.now();
+            if (remaining > 0) await sleep(Math.min(intervalMs, remaining));
+        }
+        return null;
+    }
+
+    // 手动暂停：当前周期结束（平仓）后不再开新仓，直到 resume
+    pause() {
+        if (this.pauseRequested) {
+            logger.log(`ℹ️ 已处于暂停状态`);
+            return false;
+        }
+        this.pauseRequested = true;
+        logger.log(`⏸️ 收到暂停请求，当前周期结束后暂停`);
+        return true;
+    }
+
+    // 手动恢复暂停或熔断后暂停的循环（SIGUSR2、控制接口或编程调用）
+    resume() {
+        const wasPaused = this.pauseRequested;
+        this.pauseRequested = false;
+        if (this.riskController.tripped) {
+            logger.log(`▶️ 手动恢复循环，重新开始会话风控统计（原熔断原因: ${this.riskController.tripReason}）`);
+            this.riskController.resume();
+            return true;
+        }
+        if (wasPaused) {
+            logger.log(`▶️ 手动恢复循环`);
+            return true;
         }
-
-        // 市场常见精度为3位小数
-        return parseFloat(quantity.toFixed(3));
+        logger.log(`ℹ️ 当前未处于暂停状态`);
+        return false;
     }
 
-    // 随机分配金额：主账号随机金额，辅账号金额总和等于主账号
-    generateQuantityDistribution() {
-        const mainQuantity = this.generateRandomQuantity();
-        const remainingQuantity = mainQuantity;
-        
-        // 优化分配逻辑：确保两个辅账号都有合理的数量
-        // 避免极端分配（如99%和1%），使用更均匀的分配
-        const minRatio = 0.2; // 最小比例20%
-        const maxRatio = 0.8; // 最大比例80%
-        
-        const ratio1 = Math.random() * (maxRatio - minRatio) + minRatio;
-        const ratio2 = 1 - ratio1;
-        
-        const quantity1 = remainingQuantity * ratio1;
-        const quantity2 = remainingQuantity * ratio2;
-        
-        // 确保最小数量要求
-        const minQuantity = 0.001; // 最小交易单位
-        const finalQuantity1 = Math.max(quantity1, minQuantity);
-        const finalQuantity2 = Math.max(quantity2, minQuantity);
-        
-        // 如果调整后总和超过主数量，按比例缩减
-        const totalAdjusted = finalQuantity1 + finalQuantity2;
-        if (totalAdjusted > mainQuantity) {
-            const scaleFactor = mainQuantity / totalAdjusted;
-            return {
-                mainQuantity: parseFloat(mainQuantity.toFixed(3)),
-                quantities: [
-                    parseFloat((finalQuantity1 * scaleFactor).toFixed(3)),
-                    parseFloat((finalQuantity2 * scaleFactor).toFixed(3))
-                ]
-            };
+    async waitForResume(pollMs = 1000) {
+        while ((this.riskController.tripped || this.pauseRequested) && !this.exitRequested) {
+            await new Promise(r => setTimeout(r, pollMs));
         }
-        
-        return {
-            mainQuantity: parseFloat(mainQuantity.toFixed(3)),
-            quantities: [
-                parseFloat(finalQuantity1.toFixed(3)),
-                parseFloat(finalQuantity2.toFixed(3))
-            ]
-        };
     }
 
-    // 设置杠杆
-    async setLeverage(symbol, leverage) {
-        logger.log(`\n=== [${this.formatTime()}] 设置杠杆 ===`);
-        logger.log(`币种: ${symbol}, 杠杆: ${leverage}x`);
-
+    // 立即撤销所有挂单并平仓；已在平仓中（循环内或其他请求）时只撤单
+    // 返回 { started: false, reason: 'already-closing' }，或 { started: true, remaining }：remaining 为平仓后仍有持仓（或无法确认）的账号
+    async flattenAll(symbol = api.symbol) {
+        logger.log('🚫 正在取消所有未成交订单...');
+        await this.cancelAllOpenOrders(symbol);
+        if (this.isClosing) {
+            logger.log('⏳ 已在平仓中，跳过重复平仓');
+            return { started: false, reason: 'already-closing' };
+        }
+        this.isClosing = true;
         try {
-            const results = await Promise.allSettled([
-                this.account1.setLeverage(symbol, leverage),
-                this.account2.setLeverage(symbol, leverage),
-                this.account3.setLeverage(symbol, leverage)
-            ]);
+            logger.log('📋 正在平仓所有持仓...');
+            await this.closeAllPositions(symbol);
+        } finally {
+            this.isClosing = false;
+        }
 
-            results.forEach((result, index) => {
-                if (result.status === 'fulfilled') {
-                    logger.log(`✅ 账号${index + 1} 设置 ${leverage}x 杠杆成功`);
-                } else {
-                    logger.log(`❌ 账号${index + 1} 设置杠杆失败: ${result.reason?.message || '未知错误'}`);
-                }
-            });
+        const results = await this.forEachAccount(account => account.getPositions(symbol));
+        const remaining = this.accounts
+            .filter((_, index) => results[index].status !== 'fulfilled'
+                || (results[index].value || []).some(p => parseFloat(p.positionAmt) !== 0))
+            .map(account => account.accountName);
+        if (remaining.length > 0) {
+            logger.error(`❌ 平仓后仍有持仓或无法确认: ${remaining.join(', ')}`);
+        }
+        return { started: true, remaining };
+    }
 
-            return results;
+    // 控制接口 close-all：先请求暂停避免开新仓，再立即平仓；循环进入暂停时会再次确认空仓
+    async closeAllAndPause(symbol = api.symbol) {
+        this.pauseRequested = true;
+        logger.log(`🧹 收到全部平仓请求，平仓后暂停循环`);
+        return this.flattenAll(symbol);
+    }
+
+    // 安全退出：停止循环、撤单平仓并关闭数据流（SIGINT 与控制接口 stop 共用）
+    async shutdown(symbol = api.symbol) {
+        this.exitRequested = true;
+        try {
+            await this.flattenAll(symbol);
+            this.stopMarketData();
+            await this.stopUserDataStreams();
+            await getAlertRouter().flush();
+            logger.log('✅ 安全退出完成');
         } catch (error) {
-            logger.error(`设置杠杆失败: ${error.message}`);
-            throw error;
+            logger.error(`退出时操作失败: ${error.message}`);
         }
     }
 
-    // 三账号循环对冲
+    // 刷新余额与持仓指标（/metrics 抓取时调用），maxAgeMs 内的重复抓取直接使用上次结果
+    async refreshMetrics(symbol = this.loopState.symbol || api.symbol, maxAgeMs = 10_000) {
+        if (Date.now() - this.metricsRefreshedAt < maxAgeMs) return;
+        this.metricsRefreshedAt = Date.now();
+        const options = { priority: 'low', retries: 0, alert: false };
+        await this.forEachAccount(account => Promise.all([
+            account.getAccountInfoV4(options),
+            account.getPositions(symbol, options)
+        ]));
+    }
+
+    // 运行状态快照：周期、阶段、暂停/熔断、会话统计、成交额与当前持仓
+    async getStatus(symbol = this.loopState.symbol || api.symbol) {
+        const results = await this.forEachAccount(account => account.getPositions(symbol, { priority: 'low' }));
+        const positions = results.map((result, index) => {
+            const account = this.accounts[index].accountName;
+            if (result.status !== 'fulfilled') return { account, error: result.reason?.message || '未知错误' };
+            const pos = (result.value || []).find(p => parseFloat(p.positionAmt) !== 0);
+            return pos
+                ? { account, positionAmt: parseFloat(pos.positionAmt), entryPrice: parseFloat(pos.entryPrice), unrealizedProfit: parseFloat(pos.unRealizedProfit) }
+                : { account, positionAmt: 0 };
+        });
+        const risk = this.riskController;
+        return {
+            ...this.loopState,
+            symbol,
+            paused: this.pauseRequested,
+            exitRequested: this.exitRequested,
+            risk: {
+                tripped: risk.tripped,
+                tripReason: risk.tripReason,
+                sessionNet: risk.sessionNet,
+                sessionPnl: risk.sessionPnl,
+                sessionCommission: risk.sessionCommission,
+                dailyNet: risk.dailyNet,
+                consecutiveFailures: risk.consecutiveFailures
+            },
+            volume: {
+                total: this.volumeStats.total,
+                perAccount: this.accounts.map((account, index) => ({ account: account.accountName, volume: this.volumeStats.perAccount[index] }))
+            },
+            positions
+        };
+    }
+
+    // 多账号循环对冲：每轮随机选择 1 个主账号和若干辅账号
     async loopHedge(config = {}) {
         const {
             symbol = api.symbol,
             leverage = api.leverage,
             positionTime = api.positionTime || { min: 30, max: 60 },
             positionSide = 'BOTH',
-            maxWaitTime = 300000
+            maxWaitTime = 300000,
+            maxCycles = Infinity,
+            helperCount = api.helperCount || this.accounts.length - 1,
+            targetVolume = api.targetVolume || 0,
+            targetVolumePerAccount = api.targetVolumePerAccount || 0,
+            orderChase = api.orderChase || {},
+            makerHedge = api.makerHedge || {},
+            shortProbability = api.shortProbability || 0
         } = config;
+        if (this.accounts.length < 2) {
+            throw new Error(`循环对冲至少需要 2 个账号，当前: ${this.accounts.length}`);
+        }
+        const makerTimeoutMs = (Number.isFinite(makerHedge.timeoutSeconds) ? Math.max(0.1, makerHedge.timeoutSeconds) : 5) * 1000;
+        const volumeTargets = { targetVolume, targetVolumePerAccount };
+
+        // 辅账号数量限制在 [1, 账号数-1]
+        const effectiveHelperCount = Math.max(1, Math.min(helperCount, this.accounts.length - 1));
 
-        logger.log(`\n🔁 === [${this.formatTime()}] 启动三账号循环对冲 ===`);
+        logger.log(`\n🔁 === [${this.formatTime()}] 启动多账号循环对冲 ===`);
         logger.log(`币种: ${symbol}, 杠杆: ${leverage}x, 持仓: 随机${positionTime.min}-${positionTime.max}秒`);
-        logger.log(`🎲 随机选择主账号和辅账号，随机分配金额`);
+        logger.log(`账号池: ${this.accounts.length} 个, 每轮辅账号: ${effectiveHelperCount} 个`);
+        logger.log(`🎲 随机选择主账号和辅账号，随机分配金额，主账号做空概率 ${(Math.min(1, Math.max(0, shortProbability)) * 100).toFixed(0)}%`);
+        if (targetVolume > 0 || targetVolumePerAccount > 0) {
+            logger.log(`🎯 成交额目标: 总计 ${targetVolume > 0 ? `${targetVolume} USDT` : '不限'}, 每账号 ${targetVolumePerAccount > 0 ? `${targetVolumePerAccount} USDT` : '不限'}`);
+        }
         let cycle = 0;
+        this.loopState = { running: true, symbol, cycle: 0, phase: 'starting', phaseSince: Date.now(), startedAt: Date.now() };
+        // JSON 日志中每条记录都带上当前币种与周期
+        logger.setContext({ symbol });
 
         const sleep = (ms) => new Promise(r => setTimeout(r, ms));
 
@@ -632,46 +2551,143 @@ class ThreeAccountHedgeTool {
             logger.log(`⚠️ 设置杠杆失败: ${e.message}, 将继续尝试下单`);
         }
 
-        while (true) {
+        await this.startUserDataStreams();
+        await this.startMarketData([symbol]);
+        await this.riskController.start(this.accounts, symbol);
+
+        // 收到退出请求或达到 maxCycles（默认不限）时结束循环
+        while (!this.exitRequested && cycle < maxCycles) {
+            if (this.isVolumeTargetReached(volumeTargets)) {
+                logger.log(`\n🎯 已达到成交额目标，累计 ${this.volumeStats.total.toFixed(2)} USDT，停止循环`);
+                try {
+                    await this.ensureNoPositionsAndOrders(symbol);
+                } catch (cleanupError) {
+                    logger.error(`⚠️ 达标后清理挂单/仓位失败: ${cleanupError.message}`);
+                }
+                break;
+            }
+
+            const tripReason = this.riskController.check();
+            if (tripReason) {
+                await this.handleRiskTrip(symbol, tripReason);
+                if (this.riskController.onTrip !== 'pause') break;
+                const resumeHint = process.platform === 'win32' ? '' : `（kill -USR2 ${process.pid}）`;
+                logger.log(`⏸️ 循环已暂停，等待手动恢复${resumeHint}`);
+                this.setPhase('risk-paused');
+                await this.waitForResume();
+                continue;
+            }
+
+            if (this.pauseRequested) {
+                this.setPhase('paused');
+                logger.log(`⏸️ 循环已暂停，等待恢复`);
+                try {
+                    await this.ensureNoPositionsAndOrders(symbol);
+                } catch (cleanupError) {
+                    logger.error(`⚠️ 暂停前清理挂单/仓位失败: ${cleanupError.message}`);
+                }
+                await this.waitForResume();
+                continue;
+            }
+
+            // 余额与保证金预检：不合格的账号本轮不参与，合格账号不足 2 个时暂停并报警
+            const { eligible, excluded, skipReason } = await this.checkAccountEligibility(symbol, leverage);
+            if (skipReason) {
+                logger.error(`⚠️ 跳过本轮开仓: ${skipReason}，5 秒后重试`);
+                await sendAlert('warn', `balance-check-skipped:${symbol}`, `⚠️ 报警：开仓前预检无法完成，跳过本轮\n币种: ${symbol}\n原因: ${skipReason}`);
+                this.setPhase('cooldown');
+                await sleep(5000);
+                continue;
+            }
+            for (const { account, reason } of excluded) {
+                logger.log(`⚠️ ${account.accountName} 本轮不参与: ${reason}`, { account: account.accountName });
+                await sendAlert('warn', `account-ineligible:${account.accountName}`, `⚠️ 报警：账号 ${account.accountName} 本轮不参与对冲\n币种: ${symbol}\n原因: ${reason}`);
+            }
+            if (eligible.length < 2) {
+                logger.error(`🛑 满足余额与保证金要求的账号不足 2 个（${eligible.length}/${this.accounts.length}），暂停循环`);
+                const reasons = excluded.map(({ account, reason }) => `${account.accountName}: ${reason}`).join('\n');
+                await sendAlert('critical', 'insufficient-accounts', `🛑 报警：可用账号不足，循环已暂停\n币种: ${symbol}\n合格账号: ${eligible.length}/${this.accounts.length}\n${reasons}\n补充余额后恢复循环（/resume 或 kill -USR2）`);
+                this.pauseRequested = true;
+                continue;
+            }
+
             cycle += 1;
+            this.loopState.cycle = cycle;
+            logger.setContext({ cycle });
+            this.setPhase('opening');
             logger.log(`\n=== 周期 #${cycle} 开始 (${this.formatTime()}) ===`);
-            
-            try {
-                // 1) 随机选择主账号
-                const mainAccountIndex = Math.floor(Math.random() * 3);
-                const mainAccount = this.accounts[mainAccountIndex];
-                const mainAccountName = `账号${mainAccountIndex + 1}`;
-                
-                // 获取辅账号
-                const helperAccounts = this.accounts.filter((_, index) => index !== mainAccountIndex);
-                const helperAccountNames = helperAccounts.map((_, index) => {
-                    const originalIndex = this.accounts.findIndex(acc => acc === helperAccounts[index]);
-                    return `账号${originalIndex + 1}`;
-                });
+            const volumeBefore = this.volumeStats.total;
+            let cycleFailed = false;
+            let cycleOutcome = 'filled';
 
-                logger.log(`🎲 随机选择结果:`);
-                logger.log(`   主账号: ${mainAccountName} (做多)`);
-                logger.log(`   辅账号: ${helperAccountNames.join(', ')} (做空)`);
+            try {
+                // 1) 从通过预检的账号中随机选择主账号
+                const mainAccountIndex = Math.floor(Math.random() * eligible.length);
+                const mainAccount = eligible[mainAccountIndex];
+                const mainAccountName = mainAccount.accountName;
+
+                // 从剩余账号中随机选择辅账号（Fisher-Yates 洗牌后取前 N 个，合格账号不足时减少辅账号数）
+                const candidates = eligible.filter((_, index) => index !== mainAccountIndex);
+                for (let i = candidates.length - 1; i > 0; i--) {
+                    const j = Math.floor(Math.random() * (i + 1));
+                    [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+                }
+                const selectedHelpers = candidates.slice(0, effectiveHelperCount);
 
-                // 2) 获取买一价（用于数量风险控制与下单）
-                const bid1Price = await mainAccount.getBid1Price(symbol);
-                logger.log(`📊 当前买一价: ${bid1Price}`);
+                // 随机方向：主账号做多（买一挂买单、辅账号卖出）或做空（卖一挂卖单、辅账号买入）
+                const mainSide = Math.random() < shortProbability ? 'SELL' : 'BUY';
+                const helperSide = mainSide === 'BUY' ? 'SELL' : 'BUY';
+                const mainSideText = mainSide === 'BUY' ? '做多' : '做空';
+                const helperSideText = helperSide === 'BUY' ? '做多' : '做空';
 
-                // 3) 生成随机金额分配（基于配置参考价做风控）
-                const quantityDist = this.generateQuantityDistribution();
+                logger.log(`🎲 随机选择结果:`);
+                logger.log(`   主账号: ${mainAccountName} (${mainSideText})`);
+                logger.log(`   辅账号: ${selectedHelpers.map(acc => acc.accountName).join(', ')} (${helperSideText})`);
+
+                // 2) 获取挂单价（做多取买一、做空取卖一，用于数量风险控制与下单）及交易对过滤器
+                const entryPrice = mainSide === 'BUY' ? await mainAccount.getBid1Price(symbol) : await mainAccount.getAsk1Price(symbol);
+                logger.log(`📊 当前${mainSide === 'BUY' ? '买一' : '卖一'}价: ${entryPrice}`);
+                const filters = await mainAccount.getSymbolFilters(symbol);
+
+                // 3) 生成随机金额分配（基于配置参考价做风控，按交易对步长与最小限制拆分）
+                const rawDist = this.generateQuantityDistribution(selectedHelpers.length, filters, entryPrice);
+                // 分配为 0 的辅账号本轮不参与对冲
+                const helperAccounts = selectedHelpers.filter((_, index) => rawDist.quantities[index] > 0);
+                const helperAccountNames = helperAccounts.map(acc => acc.accountName);
+                const quantityDist = {
+                    mainQuantity: rawDist.mainQuantity,
+                    quantities: rawDist.quantities.filter(qty => qty > 0)
+                };
+                const helperTotal = quantityDist.quantities.reduce((sum, qty) => sum + qty, 0);
                 logger.log(`💰 金额分配:`);
                 logger.log(`   主账号 ${mainAccountName}: ${quantityDist.mainQuantity} ${symbol}`);
-                logger.log(`   辅账号 ${helperAccountNames[0]}: ${quantityDist.quantities[0]} ${symbol}`);
-                logger.log(`   辅账号 ${helperAccountNames[1]}: ${quantityDist.quantities[1]} ${symbol}`);
-                logger.log(`   验证: ${quantityDist.quantities[0] + quantityDist.quantities[1]} = ${quantityDist.mainQuantity}`);
-
-                // 4) 主账号下限价单
-                const limitOrder = await mainAccount.buyOrder(symbol, quantityDist.mainQuantity, bid1Price, 'LIMIT', positionSide);
-                logger.log(`${mainAccountName} 限价买入提交: orderId=${limitOrder.orderId}, 价格=${bid1Price}, 数量=${quantityDist.mainQuantity}`);
-
-                // 5) 监控主账号订单成交
-                const monitorResult = await mainAccount.monitorOrderStatus(symbol, limitOrder.orderId, maxWaitTime);
+                helperAccountNames.forEach((name, index) => {
+                    logger.log(`   辅账号 ${name}: ${quantityDist.quantities[index]} ${symbol}`);
+                });
+                logger.log(`   验证: ${helperTotal.toFixed(stepDecimals(filters.stepSize))} = ${quantityDist.mainQuantity}`);
+
+                // 4) 主账号下限价单；5) 监控主账号订单成交（按客户端订单号查询）
+                let limitOrder;
+                let monitorResult;
+                if (orderChase.enabled) {
+                    // 追价模式：盘口偏离后撤单并按最新买一（做空为卖一）重挂剩余数量
+                    monitorResult = await mainAccount.chaseLimitOrder(symbol, mainSide, quantityDist.mainQuantity, entryPrice, {
+                        positionSide,
+                        maxWaitTime,
+                        chase: orderChase
+                    });
+                    limitOrder = monitorResult.order;
+                } else {
+                    limitOrder = mainSide === 'BUY'
+                        ? await mainAccount.buyOrder(symbol, quantityDist.mainQuantity, entryPrice, 'LIMIT', positionSide)
+                        : await mainAccount.sellOrder(symbol, quantityDist.mainQuantity, entryPrice, 'LIMIT', positionSide);
+                    logger.log(`${mainAccountName} 限价${mainSide === 'BUY' ? '买入' : '卖出'}提交: clientOrderId=${limitOrder.clientOrderId}, orderId=${limitOrder.orderId}, 价格=${entryPrice}, 数量=${quantityDist.mainQuantity}`, {
+                        account: mainAccountName, orderId: limitOrder.orderId, clientOrderId: limitOrder.clientOrderId, side: mainSide, price: entryPrice, quantity: quantityDist.mainQuantity
+                    });
+                    monitorResult = await mainAccount.monitorOrderStatus(symbol, limitOrder.clientOrderId || limitOrder.orderId, maxWaitTime);
+                }
                 if (!monitorResult.success) {
+                    cycleOutcome = 'timeout';
                     logger.log(`⏭️ ${mainAccountName}订单未完全成交，启动清理后进入下一轮`);
                     try {
                         await this.ensureNoPositionsAndOrders(symbol);
@@ -679,78 +2695,116 @@ class ThreeAccountHedgeTool {
                     } catch (cleanupError) {
                         logger.error(`⚠️ 清理挂单/仓位失败: ${cleanupError.message}`);
                     }
+                    // 计入部分成交的数量：追价结果的 orderInfo 已汇总已撤订单与最后一笔挂单的成交，普通模式撤单后再查一次
+                    await this.trackOrderVolume(mainAccount, symbol, orderChase.enabled ? monitorResult.orderInfo : limitOrder);
+                    this.logVolumeProgress(volumeTargets, this.volumeStats.total - volumeBefore);
                     continue;
                 }
 
                 const executedQty = parseFloat(monitorResult.orderInfo.executedQty);
-                logger.log(`✅ ${mainAccountName} 成交数量: ${executedQty}`);
+                logger.log(`✅ ${mainAccountName} 成交数量: ${executedQty}${monitorResult.reprices ? `（追价 ${monitorResult.reprices} 次）` : ''}`);
+                await this.trackOrderVolume(mainAccount, symbol, monitorResult.orderInfo);
 
-                // 6) 按比例调整辅账号下单数量
+                // 6) 按比例调整辅账号下单数量（按步长取整，总和等于主账号成交数量）
                 const ratio = executedQty / quantityDist.mainQuantity;
                 const adjustedQuantities = quantityDist.quantities.map(qty => qty * ratio);
-                
-                // 验证和修正数量，确保所有数量都大于0且符合BTC市场要求
-                const validatedQuantities = adjustedQuantities.map(qty => {
-                    const formattedQty = parseFloat(qty.toFixed(3));
-                    if (formattedQty <= 0) {
-                        logger.log(`⚠️ 检测到无效数量 ${qty}，调整为最小数量 0.001`);
-                        return 0.001; // BTC最小交易单位
-                    }
-                    return formattedQty;
-                });
-                
+                const validatedQuantities = this.scaleHedgeQuantities(quantityDist.quantities, executedQty, filters, entryPrice);
+
                 logger.log(`📊 数量调整详情:`);
                 logger.log(`   原始比例: ${ratio.toFixed(6)}`);
                 logger.log(`   调整后数量: [${adjustedQuantities.map(q => q.toFixed(6)).join(', ')}]`);
                 logger.log(`   验证后数量: [${validatedQuantities.join(', ')}]`);
 
-                // 7) 辅账号立即市价对冲
-                logger.log(`⚡ 辅账号立即市价对冲...`);
-                const hedgeResults = await Promise.allSettled([
-                    helperAccounts[0].sellOrder(symbol, validatedQuantities[0], null, 'MARKET', positionSide),
-                    helperAccounts[1].sellOrder(symbol, validatedQuantities[1], null, 'MARKET', positionSide)
-                ]);
+                this.setPhase('hedging');
+                // 7) 辅账号立即市价对冲；Maker 模式下先挂 GTX 限价单，超时未成交部分转市价，敞口最长持续 timeoutSeconds
+                if (makerHedge.enabled) {
+                    logger.log(`⚡ 辅账号挂单对冲（Maker 优先，${makerTimeoutMs / 1000} 秒后剩余部分转市价）...`);
+                } else {
+                    logger.log(`⚡ 辅账号立即市价对冲...`);
+                }
+                const hedgeResults = await Promise.allSettled(helperAccounts.map((account, index) => {
+                    if (!(validatedQuantities[index] > 0)) {
+                        return Promise.resolve({ orderId: '-', skipped: true });
+                    }
+                    if (makerHedge.enabled) {
+                        return account.makerFirstOrder(symbol, helperSide, validatedQuantities[index], { positionSide, timeoutMs: makerTimeoutMs });
+                    }
+                    return helperSide === 'SELL'
+                        ? account.sellOrder(symbol, validatedQuantities[index], null, 'MARKET', positionSide)
+                        : account.buyOrder(symbol, validatedQuantities[index], null, 'MARKET', positionSide);
+                }));
 
                 hedgeResults.forEach((result, index) => {
-                    if (result.status === 'fulfilled') {
-                        logger.log(`✅ ${helperAccountNames[index]} 市价对冲完成: orderId=${result.value.orderId}, 数量=${validatedQuantities[index]}`);
+                    if (result.status === 'fulfilled' && result.value?.skipped) {
+                        logger.log(`ℹ️ ${helperAccountNames[index]} 本轮分配数量为 0，跳过对冲`);
+                    } else if (result.status === 'fulfilled' && makerHedge.enabled) {
+                        logger.log(`✅ ${helperAccountNames[index]} 对冲完成: clientOrderId=${result.value.clientOrderId}, 数量=${result.value.executedQty} (Maker ${result.value.makerQty}, 市价 ${result.value.takerQty})`);
+                    } else if (result.status === 'fulfilled') {
+                        logger.log(`✅ ${helperAccountNames[index]} 市价对冲完成: clientOrderId=${result.value.clientOrderId}, orderId=${result.value.orderId}, 数量=${validatedQuantities[index]}`, {
+                            account: helperAccountNames[index], orderId: result.value.orderId, clientOrderId: result.value.clientOrderId, quantity: validatedQuantities[index]
+                        });
                     } else {
-                        logger.error(`❌ ${helperAccountNames[index]} 市价对冲失败: ${result.reason?.message}`);
+                        logger.error(`❌ ${helperAccountNames[index]} 对冲失败: ${result.reason?.message}`);
                     }
                 });
+                await Promise.all(hedgeResults.map((result, index) => (
+                    result.status === 'fulfilled' ? this.trackOrderVolume(helperAccounts[index], symbol, result.value) : 0
+                )));
+
+                // 7.1) 核对净敞口，失败的对冲腿在成功的辅账号上补齐
+                const survivingHelpers = helperAccounts.filter((_, index) => (
+                    hedgeResults[index].status === 'fulfilled' && !hedgeResults[index].value?.skipped
+                ));
+                const reconcile = await this.reconcileHedgeExposure(symbol, {
+                    mainAccount,
+                    survivingHelpers,
+                    filters,
+                    positionSide
+                });
 
                 await this.logAllAccountPositions();
-
-                // 8) 随机持仓时间 (30-60秒)
-                const randomHoldSeconds = Math.floor(Math.random() * (positionTime.max - positionTime.min + 1)) + positionTime.min;
-                const holdMs = randomHoldSeconds * 1000;
-                logger.log(`⏱️ 随机持仓 ${randomHoldSeconds} 秒...`);
-                await sleep(holdMs);
+                cycleFailed = !reconcile.hedged;
+
+                // 8) 随机持仓时间 (30-60秒)；敞口未能中和时跳过持仓直接平仓
+                if (reconcile.hedged) {
+                    this.setPhase('holding');
+                    const randomHoldSeconds = Math.floor(Math.random() * (positionTime.max - positionTime.min + 1)) + positionTime.min;
+                    const holdMs = randomHoldSeconds * 1000;
+                    logger.log(`⏱️ 随机持仓 ${randomHoldSeconds} 秒...`);
+                    // 持仓期间监控强平距离与单腿浮亏，触发阈值时提前平仓
+                    const holdExitReason = await this.holdWithMonitoring(symbol, holdMs);
+                    if (holdExitReason) {
+                        logger.warn(`🚨 提前结束持仓: ${holdExitReason}`);
+                        await sendAlert('warn', `hold-exit:${symbol}`, `🚨 报警：持仓风险，提前平仓\n币种: ${symbol}\n周期: #${cycle}\n原因: ${holdExitReason}`);
+                    }
+                } else {
+                    logger.log(`⏭️ 对冲未完成，跳过持仓等待，直接平仓`);
+                }
 
                 // 9) 同时平仓（加防抖，避免并发重复平仓）
+                this.setPhase('closing');
                 if (this.isClosing) {
                     logger.log(`\n⏳ 正在平仓中，跳过重复平仓请求...`);
                 } else {
                     this.isClosing = true;
                     logger.log(`\n🧹 同时平仓中...`);
                     try {
-                        const closeResults = await Promise.allSettled([
-                            this.account1.closePosition(symbol),
-                            this.account2.closePosition(symbol),
-                            this.account3.closePosition(symbol)
-                        ]);
+                        const closeResults = await this.forEachAccount(account => account.closePosition(symbol));
 
                         closeResults.forEach((result, index) => {
                             if (result.status === 'fulfilled') {
                                 if (result.value) {
-                                    logger.log(`✅ 账号${index + 1} 平仓成功`);
+                                    logger.log(`✅ ${this.accounts[index].accountName} 平仓成功`);
                                 } else {
-                                    logger.log(`ℹ️ 账号${index + 1} 无需平仓`);
+                                    logger.log(`ℹ️ ${this.accounts[index].accountName} 无需平仓`);
                                 }
                             } else {
-                                logger.error(`❌ 账号${index + 1} 平仓失败: ${result.reason?.message}`);
+                                logger.error(`❌ ${this.accounts[index].accountName} 平仓失败: ${result.reason?.message}`);
                             }
                         });
+                        await Promise.all(closeResults.map((result, index) => (
+                            result.status === 'fulfilled' ? this.trackOrderVolume(this.accounts[index], symbol, result.value) : 0
+                        )));
 
                         await this.ensureNoPositionsAndOrders(symbol);
                         await this.logAllAccountPositions();
@@ -759,25 +2813,51 @@ class ThreeAccountHedgeTool {
                         this.isClosing = false;
                     }
                 }
+                this.logVolumeProgress(volumeTargets, this.volumeStats.total - volumeBefore);
             } catch (err) {
+                cycleFailed = true;
                 logger.error(`❌ 周期 #${cycle} 失败: ${err.message}`);
+                // 主账号可能已成交但未能对冲，先撤单平仓，避免下一轮在未对冲的持仓上继续开仓
+                if (!this.isClosing) {
+                    try {
+                        await this.ensureNoPositionsAndOrders(symbol);
+                    } catch (cleanupError) {
+                        logger.error(`⚠️ 周期失败后清理挂单/仓位失败: ${cleanupError.message}`);
+                    }
+                }
                 logger.log(`🕒 休眠 5 秒后继续下一轮...`);
+                this.setPhase('cooldown');
                 await sleep(5000);
                 this.isClosing = false; // 避免异常时锁未释放
+            } finally {
+                // 因退出被中断的周期不计入结果统计
+                if (!this.exitRequested) metrics.cycles.inc({ outcome: cycleFailed ? 'failed' : cycleOutcome });
+                // 主单超时未成交同样计入连续失败，避免每轮都超时时熔断永远不触发
+                const countsAsFailure = cycleFailed || cycleOutcome === 'timeout';
+                const cycleIncome = await this.riskController.endCycle(this.accounts, symbol, countsAsFailure);
+                if (cycleIncome) {
+                    logger.log(`💹 本轮实现盈亏 ${cycleIncome.REALIZED_PNL.toFixed(4)} USDT, 手续费 ${cycleIncome.COMMISSION.toFixed(4)} USDT; ${this.riskController.summary()}`);
+                } else if (countsAsFailure) {
+                    logger.log(`⚠️ 连续失败 ${this.riskController.consecutiveFailures} 轮`);
+                }
             }
         }
+
+        this.loopState.running = false;
+        this.setPhase('stopped');
+        logger.clearContext('symbol', 'cycle');
+        logger.log(`\n🏁 循环对冲结束，共执行 ${cycle} 轮`);
+        this.logVolumeProgress(volumeTargets);
+        this.stopMarketData();
+        await this.stopUserDataStreams();
     }
 
     // 查询所有账号持仓状态
     async checkAllPositions(symbol = api.symbol) {
-        logger.log(`\n📊 === [${this.formatTime()}] 三账号持仓状态 ===`);
+        logger.log(`\n📊 === [${this.formatTime()}] 各账号持仓状态 ===`);
         
         try {
-            const results = await Promise.allSettled([
-                this.account1.getPositions(symbol),
-                this.account2.getPositions(symbol),
-                this.account3.getPositions(symbol)
-            ]);
+            const results = await this.forEachAccount(account => account.getPositions(symbol, { priority: 'low' }));
 
             logger.log(`币种: ${symbol}`);
 
@@ -785,15 +2865,15 @@ class ThreeAccountHedgeTool {
                 if (result.status === 'fulfilled' && result.value) {
                     const pos = result.value.find(p => parseFloat(p.positionAmt) !== 0);
                     if (pos) {
-                        logger.log(`账号${index + 1} 持仓: ${pos.positionAmt} ${symbol}`);
+                        logger.log(`${this.accounts[index].accountName} 持仓: ${pos.positionAmt} ${symbol}`);
                         logger.log(`   开仓均价: ${pos.entryPrice} USDT`);
                         logger.log(`   未实现盈亏: ${pos.unRealizedProfit} USDT`);
                         logger.log(`   杠杆倍数: ${pos.leverage}x`);
                     } else {
-                        logger.log(`账号${index + 1}: 无持仓`);
+                        logger.log(`${this.accounts[index].accountName}: 无持仓`);
                     }
                 } else {
-                    logger.error(`账号${index + 1} 查询失败: ${result.reason?.message}`);
+                    logger.error(`${this.accounts[index].accountName} 查询失败: ${result.reason?.message}`);
                 }
             });
 
@@ -812,11 +2892,7 @@ class ThreeAccountHedgeTool {
 
         try {
             // 先查询所有账号的未成交订单
-            const openOrdersResults = await Promise.allSettled([
-                this.account1.getOpenOrders(targetSymbol),
-                this.account2.getOpenOrders(targetSymbol),
-                this.account3.getOpenOrders(targetSymbol)
-            ]);
+            const openOrdersResults = await this.forEachAccount(account => account.getOpenOrders(targetSymbol));
 
             let totalOrders = 0;
             let queryFailures = 0;
@@ -825,15 +2901,15 @@ class ThreeAccountHedgeTool {
                     const orders = result.value.filter(order => !order.symbol || order.symbol === targetSymbol);
                     if (orders.length > 0) {
                         totalOrders += orders.length;
-                        logger.log(`账号${index + 1} 发现 ${orders.length} 个${targetSymbol}未成交订单`);
+                        logger.log(`${this.accounts[index].accountName} 发现 ${orders.length} 个${targetSymbol}未成交订单`);
                         orders.forEach(order => {
-                            logger.log(`   订单ID: ${order.orderId}, 类型: ${order.side} ${order.type}, 数量: ${order.origQty}, 价格: ${order.price || '市价'}`);
+                            logger.log(`   订单ID: ${order.orderId}, 客户端订单号: ${order.clientOrderId || '-'}, 类型: ${order.side} ${order.type}, 数量: ${order.origQty}, 价格: ${order.price || '市价'}`);
                         });
                     } else {
-                        logger.log(`账号${index + 1}: 无未成交订单`);
+                        logger.log(`${this.accounts[index].accountName}: 无未成交订单`);
                     }
                 } else {
-                    logger.error(`账号${index + 1} 查询未成交订单失败: ${result.reason?.message}`);
+                    logger.error(`${this.accounts[index].accountName} 查询未成交订单失败: ${result.reason?.message}`);
                     queryFailures += 1;
                 }
             });
@@ -848,17 +2924,13 @@ class ThreeAccountHedgeTool {
                 logger.log(`\n⚠️ 因 ${queryFailures} 个账号查询失败，仍将尝试对所有账号执行 ${targetSymbol} 挂单取消（盲取消）...`);
             }
             logger.log(`\n🔄 开始取消 ${totalOrders} 个${targetSymbol}未成交订单...`);
-            const cancelResults = await Promise.allSettled([
-                this.account1.cancelAllOrders(targetSymbol),
-                this.account2.cancelAllOrders(targetSymbol),
-                this.account3.cancelAllOrders(targetSymbol)
-            ]);
+            const cancelResults = await this.forEachAccount(account => account.cancelAllOrders(targetSymbol));
 
             cancelResults.forEach((result, index) => {
                 if (result.status === 'fulfilled') {
-                    logger.log(`✅ 账号${index + 1} 取消订单成功`);
+                    logger.log(`✅ ${this.accounts[index].accountName} 取消订单成功`);
                 } else {
-                    logger.error(`❌ 账号${index + 1} 取消订单失败: ${result.reason?.message}`);
+                    logger.error(`❌ ${this.accounts[index].accountName} 取消订单失败: ${result.reason?.message}`);
                 }
             });
 
@@ -879,11 +2951,7 @@ class ThreeAccountHedgeTool {
         await this.cancelAllOpenOrders(targetSymbol);
 
         const collectPositions = async () => {
-            const positionResults = await Promise.allSettled([
-                this.account1.getPositions(targetSymbol),
-                this.account2.getPositions(targetSymbol),
-                this.account3.getPositions(targetSymbol)
-            ]);
+            const positionResults = await this.forEachAccount(account => account.getPositions(targetSymbol));
 
             const leftovers = [];
 
@@ -902,15 +2970,15 @@ class ThreeAccountHedgeTool {
                         activePositions.forEach(pos => {
                             const amt = parseFloat(pos.positionAmt);
                             const side = pos.positionSide || (amt > 0 ? 'LONG' : 'SHORT');
-                            logger.log(`⚠️ 账号${index + 1} 残余持仓: ${pos.positionAmt} ${targetSymbol} (side: ${side}, 均价: ${pos.entryPrice})`);
+                            logger.log(`⚠️ ${this.accounts[index].accountName} 残余持仓: ${pos.positionAmt} ${targetSymbol} (side: ${side}, 均价: ${pos.entryPrice})`);
                         });
                     } else {
-                        logger.log(`✅ 账号${index + 1} 无持仓`);
+                        logger.log(`✅ ${this.accounts[index].accountName} 无持仓`);
                     }
                 } else {
                     const reason = result.reason?.message || '未知错误';
-                    logger.error(`账号${index + 1} 查询持仓失败: ${reason}`);
-                    throw new Error(`账号${index + 1} 查询持仓失败: ${reason}`);
+                    logger.error(`${this.accounts[index].accountName} 查询持仓失败: ${reason}`);
+                    throw new Error(`${this.accounts[index].accountName} 查询持仓失败: ${reason}`);
                 }
             });
 
@@ -929,12 +2997,16 @@ class ThreeAccountHedgeTool {
         retryResults.forEach((result, idx) => {
             const accountIndex = leftovers[idx].index;
             if (result.status === 'fulfilled') {
-                logger.log(`✅ 账号${accountIndex + 1} 补充平仓指令已提交`);
+                logger.log(`✅ ${this.accounts[accountIndex].accountName} 补充平仓指令已提交`);
             } else {
                 const reason = result.reason?.message || '未知错误';
-                logger.error(`❌ 账号${accountIndex + 1} 补充平仓失败: ${reason}`);
+                logger.error(`❌ ${this.accounts[accountIndex].accountName} 补充平仓失败: ${reason}`);
             }
         });
+        // 补充平仓同样计入成交额（如主账号超时后部分成交的平仓）
+        await Promise.all(retryResults.map((result, idx) => (
+            result.status === 'fulfilled' ? this.trackOrderVolume(this.accounts[leftovers[idx].index], targetSymbol, result.value) : 0
+        )));
 
         leftovers = await collectPositions();
         if (leftovers.length === 0) {
@@ -942,21 +3014,17 @@ class ThreeAccountHedgeTool {
             return;
         }
 
-        const stillHolding = leftovers.map(item => `账号${item.index + 1}`).join(', ');
+        const stillHolding = leftovers.map(item => this.accounts[item.index].accountName).join(', ');
         throw new Error(`仍检测到持仓未能清理: ${stillHolding}`);
     }
 
     async logAllAccountPositions() {
         logger.log(`\n📋 === [${this.formatTime()}] 当前各资产持仓 ===`);
 
-        const positionResults = await Promise.allSettled([
-            this.account1.getPositions(),
-            this.account2.getPositions(),
-            this.account3.getPositions()
-        ]);
+        const positionResults = await this.forEachAccount(account => account.getPositions(null, { priority: 'low' }));
 
         positionResults.forEach((result, index) => {
-            const accountLabel = `账号${index + 1}`;
+            const accountLabel = this.accounts[index].accountName;
             if (result.status === 'fulfilled' && Array.isArray(result.value)) {
                 const positions = result.value.filter(pos => {
                     const amt = parseFloat(pos.positionAmt);
@@ -981,15 +3049,11 @@ class ThreeAccountHedgeTool {
         });
     }
 
-    // 查询三账号的合约账户余额
+    // 查询所有账号的合约账户余额，返回查询成功的账号 [{ account, total, usdf, usdt }]
     async showAllBalances() {
-        logger.log(`\n💼 === [${this.formatTime()}] 三账号合约账户余额（v4）===`);
+        logger.log(`\n💼 === [${this.formatTime()}] 各账号合约账户余额（v4）===`);
         try {
-            const results = await Promise.allSettled([
-                this.account1.getAccountInfoV4(),
-                this.account2.getAccountInfoV4(),
-                this.account3.getAccountInfoV4()
-            ]);
+            const results = await this.forEachAccount(account => account.getAccountInfoV4({ priority: 'low' }));
 
             let sumTotal = 0;
             let sumUSDF = 0;
@@ -999,7 +3063,7 @@ class ThreeAccountHedgeTool {
             const formatNum = (n, d = 8) => (Number.isFinite(n) ? n.toLocaleString('en-US', { minimumFractionDigits: d, maximumFractionDigits: d }) : '0.00000000');
 
             results.forEach((result, index) => {
-                const accName = `账号${index + 1}`;
+                const accName = this.accounts[index].accountName;
                 if (result.status !== 'fulfilled') {
                     logger.error(`${accName} 查询失败: ${result.reason?.message}`);
                     return;
@@ -1048,6 +3112,7 @@ class ThreeAccountHedgeTool {
             // 合计
             logger.log(sep);
             logger.log(['合计', formatNum(sumTotal), formatNum(sumUSDF), formatNum(sumUSDT)].map((c, i) => padCell(c, i)).join(' | '));
+            return rows.map(([account, total, usdf, usdt]) => ({ account, total, usdf, usdt }));
         } catch (error) {
             logger.error(`查询余额失败: ${error.message}`);
             throw error;
@@ -1056,16 +3121,12 @@ class ThreeAccountHedgeTool {
 
     // 同时平仓所有账号
     async closeAllPositions(symbol = api.symbol) {
-        logger.log(`\n🔄 === [${this.formatTime()}] 三账号同时平仓 ===`);
+        logger.log(`\n🔄 === [${this.formatTime()}] 所有账号同时平仓 ===`);
         logger.log(`币种: ${symbol}`);
 
         try {
             // 先检查是否有持仓
-            const positions = await Promise.allSettled([
-                this.account1.getPositions(symbol),
-                this.account2.getPositions(symbol),
-                this.account3.getPositions(symbol)
-            ]);
+            const positions = await this.forEachAccount(account => account.getPositions(symbol));
 
             let hasPositions = false;
             positions.forEach((result, index) => {
@@ -1073,7 +3134,7 @@ class ThreeAccountHedgeTool {
                     const pos = result.value.find(p => parseFloat(p.positionAmt) !== 0);
                     if (pos) {
                         hasPositions = true;
-                        logger.log(`账号${index + 1} 发现持仓: ${pos.positionAmt} ${symbol}`);
+                        logger.log(`${this.accounts[index].accountName} 发现持仓: ${pos.positionAmt} ${symbol}`);
                     }
                 }
             });
@@ -1084,21 +3145,17 @@ class ThreeAccountHedgeTool {
             }
 
             // 执行平仓
-            const results = await Promise.allSettled([
-                this.account1.closePosition(symbol),
-                this.account2.closePosition(symbol),
-                this.account3.closePosition(symbol)
-            ]);
+            const results = await this.forEachAccount(account => account.closePosition(symbol));
 
             results.forEach((result, index) => {
                 if (result.status === 'fulfilled') {
                     if (result.value) {
-                        logger.log(`✅ 账号${index + 1} 平仓成功`);
+                        logger.log(`✅ ${this.accounts[index].accountName} 平仓成功`);
                     } else {
-                        logger.log(`ℹ️ 账号${index + 1} 无需平仓`);
+                        logger.log(`ℹ️ ${this.accounts[index].accountName} 无需平仓`);
                     }
                 } else {
-                    logger.error(`❌ 账号${index + 1} 平仓失败: ${result.reason?.message}`);
+                    logger.error(`❌ ${this.accounts[index].accountName} 平仓失败: ${result.reason?.message}`);
                 }
             });
 
@@ -1113,6 +3170,136 @@ class ThreeAccountHedgeTool {
     }
 
 
+    // 运行前自检：配置完整性、交易规则、各账号时间偏移、API 权限与代理、报警通道
+    // 返回 { ok, checks }，任一检查为 fail 时 ok 为 false
+    async runDiagnostics(symbol = api.symbol, { sendTestAlert = false } = {}) {
+        logger.log(`\n🩺 === [${this.formatTime()}] 环境自检 ===`);
+        const checks = [];
+        const record = (name, status, detail) => {
+            checks.push({ name, status, detail });
+            const icon = status === 'ok' ? '✅' : status === 'warn' ? '⚠️' : '❌';
+            logger.log(`${icon} ${name}: ${detail}`);
+        };
+
+        record('模式', 'ok', this.paperExchange ? '模拟盘' : `实盘 ${api.baseURL || 'https://fapi.asterdex.com'}`);
+        if (!symbol) {
+            record('币种', 'fail', '未配置 symbol');
+        } else {
+            try {
+                const filters = await this.accounts[0].getSymbolFilters(symbol);
+                record('交易规则', 'ok', `${symbol} stepSize=${filters.stepSize} tickSize=${filters.tickSize} minNotional=${filters.minNotional}`);
+            } catch (error) {
+                record('交易规则', 'fail', `${symbol}: ${error.message}`);
+            }
+        }
+
+        const recvWindow = Number.isFinite(api.recvWindow) ? Math.max(1000, api.recvWindow) : 10000;
+        const results = await this.forEachAccount(async (account) => {
+            await account.syncTime();
+            const info = await account.getAccountInfoV4({ priority: 'low', retries: 0, alert: false });
+            return { offset: account.timeOffsetMs, balance: parseFloat(info?.totalWalletBalance || '0') || 0 };
+        });
+        results.forEach((result, index) => {
+            const account = this.accounts[index];
+            const name = account.accountName;
+            if (!this.paperExchange && (!account.apiKey || !account.apiSecret)) {
+                record(name, 'fail', '缺少 apiKey 或 apiSecret');
+                return;
+            }
+            const proxy = account.getProxyStatus();
+            const proxyText = proxy.enabled ? `代理 ${proxy.url}` : '直连';
+            if (result.status !== 'fulfilled') {
+                record(name, 'fail', `${proxyText}, API 校验失败: ${result.reason?.message || '未知错误'}`);
+                return;
+            }
+            const { offset, balance } = result.value;
+            const offsetStatus = Math.abs(offset) > recvWindow / 2 ? 'warn' : 'ok';
+            record(name, offsetStatus, `${proxyText}, 时间偏移 ${offset} ms, 余额 ${balance.toFixed(2)} USDT`);
+        });
+
+        const tg = api.telegram || {};
+        const channels = getAlertRouter().channels;
+        if (tg.enabled && (!tg.botToken || !tg.chatId)) {
+            record('Telegram', 'fail', '已启用但缺少 botToken 或 chatId');
+        }
+        if (channels.length === 0) {
+            record('报警通道', 'warn', '未配置 Telegram / Webhook / 邮件，熔断与敞口报警不会推送');
+        } else if (sendTestAlert) {
+            const results = await getAlertRouter().test(`🔔 测试通知：来自 Aster 工具 ${new Date().toLocaleString('zh-CN')}`);
+            results.forEach(({ name, ok: sent, error }) => {
+                record(`报警通道 ${name}`, sent ? 'ok' : 'fail', sent ? '已发送测试消息（请检查是否收到）' : `发送失败: ${error}`);
+            });
+        } else {
+            channels.forEach(channel => record(`报警通道 ${channel.name}`, 'ok', `已配置，级别 ≥ ${channel.minSeverity}`));
+        }
+
+        const ok = checks.every(c => c.status !== 'fail');
+        logger.log(ok ? '✅ 自检通过' : '❌ 自检未通过，请根据上方提示修正配置');
+        return { ok, checks };
+    }
+
+    // 收益报表：按账号汇总实现盈亏、手续费、资金费与净额，可选写出 CSV/JSON
+    async generateIncomeReport({ from, to = Date.now(), symbol = null, csvFile = null, jsonFile = null } = {}) {
+        const startTime = Number.isFinite(from) ? from : to - 7 * 24 * 3600 * 1000;
+        logger.log(`\n📑 === [${this.formatTime()}] 收益报表 ===`);
+        logger.log(`时间范围: ${new Date(startTime).toLocaleString('zh-CN')} ~ ${new Date(to).toLocaleString('zh-CN')}${symbol ? `, 币种: ${symbol}` : ''}`);
+
+        const results = await this.forEachAccount(account => account.getIncomeHistory({ symbol, startTime, endTime: to }, { priority: 'low' }));
+        const accounts = [];
+        results.forEach((result, index) => {
+            const name = this.accounts[index].accountName;
+            if (result.status !== 'fulfilled') {
+                logger.error(`${name} 查询资金流水失败: ${result.reason?.message}`);
+                return;
+            }
+            accounts.push({ name, records: result.value.length, totals: summarizeIncome(result.value) });
+        });
+
+        const combined = { REALIZED_PNL: 0, COMMISSION: 0, FUNDING_FEE: 0, NET: 0 };
+        accounts.forEach(({ totals }) => {
+            Object.keys(combined).forEach(field => { combined[field] += totals[field]; });
+        });
+
+        // 每账号分项 + 合计，格式对齐便于对账
+        const formatLine = (label, value) => `  ${label.padEnd(10)}: ${value.toFixed(8).padStart(15)}`;
+        accounts.forEach(({ name, totals }) => {
+            logger.log('');
+            logger.log(name);
+            INCOME_FIELDS.forEach(field => logger.log(formatLine(INCOME_LABELS[field], totals[field])));
+            logger.log(formatLine(INCOME_LABELS.NET, totals.NET));
+        });
+        if (accounts.length > 0) {
+            logger.log('');
+            logger.log('合计结果');
+            INCOME_FIELDS.forEach(field => logger.log(formatLine(INCOME_COMBINED_LABELS[field], combined[field])));
+            logger.log(formatLine(INCOME_COMBINED_LABELS.NET, combined.NET));
+        }
+
+        const report = {
+            from: new Date(startTime).toISOString(),
+            to: new Date(to).toISOString(),
+            symbol,
+            accounts: accounts.map(({ name, records, totals }) => ({ account: name, records, ...totals })),
+            combined
+        };
+
+        if (csvFile) {
+            const header = ['account', ...INCOME_FIELDS, 'NET'];
+            const rows = [
+                ...report.accounts.map(row => [row.account, ...INCOME_FIELDS.map(f => row[f].toFixed(8)), row.NET.toFixed(8)]),
+                ['TOTAL', ...INCOME_FIELDS.map(f => combined[f].toFixed(8)), combined.NET.toFixed(8)]
+            ];
+            fs.writeFileSync(csvFile, [header, ...rows].map(r => r.join(',')).join('\n') + '\n');
+            logger.log(`📄 CSV 已写入: ${csvFile}`);
+        }
+        if (jsonFile) {
+            fs.writeFileSync(jsonFile, JSON.stringify(report, null, 2) + '\n');
+            logger.log(`📄 JSON 已写入: ${jsonFile}`);
+        }
+
+        return report;
+    }
+
     // 显示当前配置和风险分析
     showConfigAnalysis() {
         const referencePrice = api.price || 0; // 参考价（来自配置）
@@ -1147,7 +3334,7 @@ class ThreeAccountHedgeTool {
         logger.log(`\n🌐 代理状态:`);
         this.accounts.forEach((account, index) => {
             const config = account.proxyConfig;
-            logger.log(`账号${index + 1}: ${config?.enabled ? '✅ 已启用' : '❌ 未启用'} ${config?.url || ''}`);
+            logger.log(`${this.accounts[index].accountName}: ${config?.enabled ? '✅ 已启用' : '❌ 未启用'} ${config?.url || ''}`);
         });
         
         // 风险等级评估
@@ -1162,90 +3349,475 @@ class ThreeAccountHedgeTool {
 }
 
 
-// 导出
-module.exports = { ThreeAccountHedgeTool, AsterFuturesAPI, Logger };
+// 命令行子命令：usage 用于帮助文本，args 为位置参数个数，options 为该命令额外支持的选项，confirm 表示会撤单/平仓/下单，需要确认
+const CLI_COMMANDS = {
+    loop: { usage: 'loop', desc: '撤单、平仓后启动多账号循环对冲（Ctrl+C 安全退出）', confirm: true },
+    status: { usage: 'status', desc: '查询各账号持仓' },
+    balance: { usage: 'balance', desc: '查询各账号合约账户余额（v4）' },
+    close: { usage: 'close', desc: '市价平掉各账号持仓', confirm: true },
+    cancel: { usage: 'cancel', desc: '取消各账号未成交订单', confirm: true },
+    leverage: { usage: 'leverage <symbol> <x>', desc: '设置各账号杠杆倍数（1-125）', args: 2 },
+    report: { usage: 'report', desc: '收益报表：实现盈亏、手续费、资金费与净额', options: ['from', 'to', 'csv', 'json'] },
+    doctor: { usage: 'doctor', desc: '自检配置、交易规则、时间偏移、API 权限、代理与报警通道', options: ['telegram'] },
+    keystore: { usage: 'keystore <操作> [label]', desc: '加密密钥库：list / add / remove / rotate（更换账号密钥）', args: [1, 2] },
+    help: { usage: 'help', desc: '显示帮助' }
+};
+// 需要取值的选项与开关选项（短选项映射到长选项）
+const CLI_VALUE_OPTIONS = ['symbol', 'accounts', 'config', 'profile', 'keystore', 'from', 'to', 'csv', 'json'];
+const CLI_FLAG_OPTIONS = { yes: 'yes', y: 'yes', paper: 'paper', telegram: 'telegram', help: 'help', h: 'help' };
+const CLI_GLOBAL_OPTIONS = ['symbol', 'accounts', 'config', 'profile', 'keystore', 'yes', 'paper', 'help'];
+
+function cliUsageError(message) {
+    const error = new Error(message);
+    error.code = 'CLI_USAGE';
+    return error;
+}
 
-// 如果直接运行此文件，执行自动化流程
-if (require.main === module) {
-    runAutomatedFlow().catch(error => {
-        logger.error(`程序执行失败: ${error.message}`);
-        process.exit(1);
+// 加载配置前从参数中取出 --config / --profile，其余参数由 parseCliArgs 校验
+function cliOptionValue(argv, name) {
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === `--${name}`) return argv[i + 1] || null;
+        if (argv[i].startsWith(`--${name}=`)) return argv[i].slice(name.length + 3);
+    }
+    return null;
+}
+
+// 解析命令行：返回 { command, args, options }，未知命令/选项或参数个数不符时抛出 CLI_USAGE 错误
+function parseCliArgs(argv) {
+    const options = {};
+    const positionals = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('-') || arg === '-') {
+            positionals.push(arg);
+            continue;
+        }
+        const match = /^--?([^=]+)(?:=(.*))?$/.exec(arg);
+        const name = match[1];
+        if (CLI_VALUE_OPTIONS.includes(name) && arg.startsWith('--')) {
+            const value = match[2] !== undefined ? match[2] : argv[++i];
+            if (value === undefined || value === '' || (match[2] === undefined && value.startsWith('--'))) {
+                throw cliUsageError(`选项 --${name} 需要参数值`);
+            }
+            options[name] = value;
+        } else if (CLI_FLAG_OPTIONS[name] && (arg.startsWith('--') ? name.length > 1 : name.length === 1) && match[2] === undefined) {
+            options[CLI_FLAG_OPTIONS[name]] = true;
+        } else {
+            throw cliUsageError(`未知选项: ${arg}`);
+        }
+    }
+
+    const [command, ...args] = positionals;
+    if (!command) {
+        if (options.help) return { command: 'help', args: [], options };
+        throw cliUsageError('缺少子命令');
+    }
+    const spec = CLI_COMMANDS[command];
+    if (!spec) {
+        throw cliUsageError(`未知命令: ${command}`);
+    }
+    const allowed = [...CLI_GLOBAL_OPTIONS, ...(spec.options || [])];
+    const unsupported = Object.keys(options).find(name => !allowed.includes(name));
+    if (unsupported) {
+        throw cliUsageError(`命令 ${command} 不支持选项 --${unsupported}`);
+    }
+    const [minArgs, maxArgs] = Array.isArray(spec.args) ? spec.args : [spec.args || 0, spec.args || 0];
+    if (args.length < minArgs || args.length > maxArgs) {
+        throw cliUsageError(`参数个数不正确，用法: node index.js ${spec.usage}`);
+    }
+    return { command, args, options };
+}
+
+function cliHelpText() {
+    const width = Math.max(...Object.values(CLI_COMMANDS).map(c => c.usage.length));
+    return [
+        '用法: node index.js <命令> [选项]',
+        '',
+        '命令:',
+        ...Object.values(CLI_COMMANDS).map(c => `  ${c.usage.padEnd(width)}  ${c.desc}`),
+        '',
+        '选项:',
+        '  --symbol <币种>      交易对，默认使用配置中的 symbol',
+        '  --accounts <列表>    只操作指定账号，逗号分隔的标签或序号（从 1 开始），如 1,3 或 账号1,账号2',
+        '  --config <文件>      配置文件路径，默认 ./apiConfig.js',
+        '  --profile <名称>     使用配置中 profiles 下的配置档（覆盖同名顶层配置项）',
+        '  --keystore <文件>    加密密钥库路径，默认 ./keystore.json（存在时启动需输入口令）',
+        '  --paper              模拟盘模式：使用本地模拟交易所，不发送真实订单',
+        '  -y, --yes            跳过 loop / close / cancel 的确认提示（非交互环境必须提供）',
+        '  -h, --help           显示帮助',
+        '',
+        'report 选项:',
+        '  --from <日期>        起始日期（YYYY-MM-DD 或毫秒时间戳），默认最近 7 天',
+        '  --to <日期>          结束日期，默认当前时间',
+        '  --csv <文件>         导出 CSV',
+        '  --json <文件>        导出 JSON',
+        '',
+        'doctor 选项:',
+        '  --telegram           向所有报警通道（Telegram / Webhook / 邮件）发送测试消息',
+        '',
+        'keystore 操作:',
+        '  list                 列出密钥库中的账号（密钥脱敏）',
+        '  add <label>          添加账号，密钥库不存在时创建',
+        '  remove <label>       删除账号',
+        '  rotate <label>       更换账号的 apiKey / apiSecret',
+        '  口令取自 ASTER_KEYSTORE_PASSPHRASE，未设置时在终端输入；add / rotate 的密钥取自',
+        '  ASTER_KEYSTORE_API_KEY / ASTER_KEYSTORE_API_SECRET，未设置时在终端输入',
+        '',
+        '示例:',
+        '  node index.js balance',
+        '  node index.js status --symbol ETHUSDT --accounts 1,2',
+        '  node index.js leverage BTCUSDT 10',
+        '  node index.js keystore add 账号1',
+        '  node index.js report --from 2025-01-01 --csv report.csv',
+        '  node index.js loop --paper --yes'
+    ].join('\n');
+}
+
+// 按标签或序号（从 1 开始）筛选账号，未指定时返回全部
+function selectAccounts(accountConfigs, selector) {
+    if (!selector) return accountConfigs;
+    const selected = [];
+    selector.split(',').map(s => s.trim()).filter(Boolean).forEach(token => {
+        let index = accountConfigs.findIndex(acc => acc.label === token);
+        if (index < 0 && /^\d+$/.test(token)) index = Number(token) - 1;
+        if (!accountConfigs[index]) {
+            throw cliUsageError(`未找到账号: ${token}（可用: ${accountConfigs.map((acc, i) => `${i + 1}=${acc.label}`).join(', ')}）`);
+        }
+        if (!selected.includes(accountConfigs[index])) selected.push(accountConfigs[index]);
     });
+    if (selected.length === 0) {
+        throw cliUsageError('--accounts 未指定任何账号');
+    }
+    return selected;
 }
 
-// 自动化执行流程
-async function runAutomatedFlow() {
-    const tool = new ThreeAccountHedgeTool();
-    const args = process.argv.slice(2);
-    const isBalanceMode = args.includes('--balance') || args.includes('-b');
-    const isTestTg = args.includes('--testtg');
-    
-    // 设置优雅退出处理
-    let exiting = false;
-    process.on('SIGINT', async () => {
-        if (exiting) return; // 忽略重复信号
-        exiting = true;
-        tool.exitRequested = true;
-        logger.log('\n\n🛑 接收到退出信号，正在安全退出...');
-        try {
-            logger.log('🚫 正在取消所有未成交订单...');
-            await tool.cancelAllOpenOrders();
-            
-            // 防止与循环内平仓并发冲突
-            if (!tool.isClosing) {
-                tool.isClosing = true;
-                logger.log('📋 正在平仓所有持仓...');
-                await tool.closeAllPositions();
-                tool.isClosing = false;
-            } else {
-                logger.log('⏳ 已在平仓中，跳过重复平仓');
+// 交互终端下询问确认；非交互环境（pm2、管道）无法确认，要求显式传入 --yes
+async function confirmAction(question) {
+    if (!process.stdin.isTTY) {
+        logger.error('非交互环境请使用 --yes 确认执行');
+        return false;
+    }
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    const answer = await new Promise(resolve => rl.question(`${question} [y/N] `, resolve));
+    rl.close();
+    return /^y(es)?$/i.test(answer.trim());
+}
+
+// 终端中输入口令/密钥，不回显
+function promptSecret(question) {
+    return new Promise(resolve => {
+        process.stdout.write(question);
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+        rl._writeToOutput = () => {};
+        rl.question('', answer => {
+            rl.close();
+            process.stdout.write('\n');
+            resolve(answer);
+        });
+    });
+}
+
+function keystorePath(options) {
+    return path.resolve(options.keystore || process.env.ASTER_KEYSTORE_FILE || api.keystoreFile || path.join(__dirname, 'keystore.json'));
+}
+
+// 密钥库口令：优先取 ASTER_KEYSTORE_PASSPHRASE，否则在终端输入；新建密钥库时需输入两次
+async function readKeystorePassphrase(isNew) {
+    if (process.env.ASTER_KEYSTORE_PASSPHRASE) return process.env.ASTER_KEYSTORE_PASSPHRASE;
+    if (!process.stdin.isTTY) {
+        throw new Error('非交互环境请通过环境变量 ASTER_KEYSTORE_PASSPHRASE 提供密钥库口令');
+    }
+    const passphrase = await promptSecret(isNew ? '设置密钥库口令: ' : '密钥库口令: ');
+    if (isNew) {
+        if (passphrase.length < 8) throw new Error('口令至少 8 位');
+        if (await promptSecret('再次输入口令: ') !== passphrase) throw new Error('两次输入的口令不一致');
+    }
+    if (!passphrase) throw new Error('口令不能为空');
+    return passphrase;
+}
+
+// 存在密钥库时启动前解锁，返回其中的账号（按标签为配置中的账号提供密钥）；模拟盘不需要密钥
+async function unlockKeystore(options) {
+    const file = keystorePath(options);
+    if (options.paper) return null;
+    if (!fs.existsSync(file)) {
+        if (options.keystore) throw new Error(`密钥库不存在: ${file}`);
+        return null;
+    }
+    const keystore = await Keystore.open(file, await readKeystorePassphrase(false));
+    logger.log(`🔐 已解锁密钥库 ${file}（${keystore.accounts.length} 个账号）`);
+    return keystore.accounts;
+}
+
+// keystore 子命令：list / add / remove / rotate
+async function runKeystoreCommand([action, label], options) {
+    const actions = { list: 0, add: 1, remove: 1, rotate: 1 };
+    if (actions[action] === undefined || (actions[action] === 1) !== (label !== undefined)) {
+        console.error('❌ 用法: node index.js keystore list | add <label> | remove <label> | rotate <label>');
+        return 2;
+    }
+    const file = keystorePath(options);
+    const exists = fs.existsSync(file);
+    try {
+        if (!exists && action !== 'add') {
+            throw new Error(`密钥库不存在: ${file}，请先使用 keystore add 创建`);
+        }
+        const passphrase = await readKeystorePassphrase(!exists);
+        const keystore = exists ? await Keystore.open(file, passphrase) : new Keystore(file);
+
+        if (action === 'list') {
+            const rows = keystore.list();
+            logger.log(`\n🔐 === 密钥库 ${file}（${rows.length} 个账号）===`);
+            rows.forEach(({ label: name, apiKey, updatedAt }) => logger.log(`${name} | ${apiKey} | 更新于 ${new Date(updatedAt).toLocaleString('zh-CN')}`));
+            return 0;
+        }
+        if (action === 'remove') {
+            if (!options.yes && !(await confirmAction(`确认从密钥库删除账号 ${label}？`))) {
+                logger.log('🚫 已取消');
+                return 1;
             }
-            
-            logger.log('✅ 安全退出完成');
-        } catch (error) {
-            logger.error(`退出时操作失败: ${error.message}`);
+            keystore.remove(label);
+        } else {
+            const apiKey = process.env.ASTER_KEYSTORE_API_KEY || (process.stdin.isTTY ? await promptSecret(`${label} apiKey: `) : '');
+            const apiSecret = process.env.ASTER_KEYSTORE_API_SECRET || (process.stdin.isTTY ? await promptSecret(`${label} apiSecret: `) : '');
+            keystore[action](label, apiKey.trim(), apiSecret.trim());
         }
+        await keystore.save(passphrase);
+        const verb = { add: '已添加', remove: '已删除', rotate: '已更换密钥' }[action];
+        logger.log(`✅ ${verb}: ${label}（密钥库 ${file}，共 ${keystore.accounts.length} 个账号）`);
+        return 0;
+    } catch (error) {
+        logger.error(`密钥库操作失败: ${error.message}`);
+        return 1;
+    }
+}
+
+// loop 的安全退出：撤单、平仓、关闭数据流后结束进程，重复请求忽略（SIGINT 与控制接口 /stop 共用）
+function createLoopShutdown(tool, symbol) {
+    let exiting = false;
+    return async (reason) => {
+        if (exiting) return;
+        exiting = true;
+        logger.log(`\n\n🛑 ${reason}，正在安全退出...`);
+        await tool.shutdown(symbol);
+        await logger.close();
         process.exit(0);
+    };
+}
+
+// 注册 loop 的退出信号：SIGINT 撤单、平仓后退出，SIGUSR2 恢复暂停
+function installLoopSignalHandlers(tool, shutdown) {
+    process.on('SIGINT', () => shutdown('接收到退出信号'));
+
+    // 暂停或风控熔断暂停后手动恢复：kill -USR2 <pid> 或 pm2 sendSignal SIGUSR2 <app>
+    if (process.platform !== 'win32') {
+        process.on('SIGUSR2', () => tool.resume());
+    }
+}
+
+// 启动本地控制接口（配置 control.enabled 时）；端口默认取 PORT 环境变量（ecosystem.config.js）
+async function startControlServer(tool, symbol, shutdown) {
+    const control = api.control || {};
+    if (!control.enabled) return null;
+    const server = new ControlServer({
+        tool,
+        symbol,
+        token: control.token || process.env.ASTER_CONTROL_TOKEN,
+        port: control.port || Number(process.env.PORT) || 3000,
+        host: control.host || '127.0.0.1',
+        config: api,
+        onStop: shutdown,
+        logger
+    });
+    await server.start();
+    return server;
+}
+
+// telegram.commands 开启时在 loop 期间接收 Telegram 命令
+function startTelegramBot(tool, symbol, shutdown) {
+    const tg = api.telegram || {};
+    if (!tg.commands) return null;
+    const bot = new TelegramBot({
+        tool,
+        symbol,
+        botToken: tg.botToken,
+        chatId: tg.chatId,
+        apiBase: tg.apiBase,
+        pollTimeoutSec: tg.pollTimeoutSec,
+        onStop: shutdown,
+        logger
     });
-    
+    bot.start();
+    return bot;
+}
+
+// 执行命令行，返回进程退出码：0 成功，1 执行失败或未确认，2 用法错误
+async function runCli(argv = process.argv.slice(2)) {
+    const usageError = (error) => {
+        console.error(`❌ ${error.message}\n`);
+        console.error(cliHelpText());
+        return 2;
+    };
+    let parsed;
     try {
-        logger.log('🚀 === Aster 三账号对冲交易工具启动 ===');
-        
-        // Telegram 测试消息模式
-        if (isTestTg) {
-            logger.log('\n📨 === Telegram 消息测试 ===');
-            await sendTelegramAlert(`🔔 测试通知：来自 Aster 工具 ${new Date().toLocaleString('zh-CN')}`);
-            logger.log('✅ 已调用 Telegram 接口（请检查聊天是否收到）');
-            return;
+        parsed = parseCliArgs(argv);
+    } catch (error) {
+        if (error.code !== 'CLI_USAGE') throw error;
+        return usageError(error);
+    }
+    const { command, args, options } = parsed;
+    if (command === 'help' || options.help) {
+        console.log(cliHelpText());
+        return 0;
+    }
+    if (command === 'keystore') {
+        return runKeystoreCommand(args, options);
+    }
+
+    let keystoreAccounts = null;
+    try {
+        keystoreAccounts = await unlockKeystore(options);
+    } catch (error) {
+        logger.error(`解锁密钥库失败: ${error.message}`);
+        return 1;
+    }
+
+    // 启动前校验配置，模拟盘不要求 API 密钥
+    const { errors, warnings } = validateConfig(api, { requireKeys: !options.paper, keystoreAccounts });
+    warnings.forEach(warning => logger.log(`⚠️ 配置: ${warning}`));
+    if (errors.length > 0) {
+        console.error(`❌ 配置校验失败${api.activeProfile ? `（配置档 ${api.activeProfile}）` : ''}:`);
+        errors.forEach(error => console.error(`  - ${error}`));
+        return 1;
+    }
+
+    let accountConfigs;
+    try {
+        accountConfigs = selectAccounts(resolveAccountConfigs(api, process.env, keystoreAccounts), options.accounts);
+    } catch (error) {
+        if (error.code !== 'CLI_USAGE') throw error;
+        return usageError(error);
+    }
+
+    const symbol = (options.symbol || api.symbol || '').toUpperCase();
+    let leverage = null;
+    if (command === 'leverage') {
+        leverage = Number(args[1]);
+        if (!Number.isInteger(leverage) || leverage < 1 || leverage > 125) {
+            console.error(`❌ 杠杆倍数必须是 1-125 的整数: ${args[1]}`);
+            return 2;
         }
+    }
 
-        // 余额查询模式：只查询余额后退出
-        if (isBalanceMode) {
-            logger.log('\n💼 === 余额查询模式 ===');
-            await tool.showAllBalances();
-            logger.log('✅ 余额查询完成');
-            return;
+    if (CLI_COMMANDS[command].confirm && !options.yes) {
+        const names = accountConfigs.map(acc => acc.label).join(', ');
+        const confirmed = await confirmAction(`${options.paper ? '[模拟盘] ' : ''}确认对 ${symbol} 执行 ${command}？账号: ${names}`);
+        if (!confirmed) {
+            logger.log('🚫 已取消');
+            return 1;
         }
-        
-        // 步骤1: 取消所有未成交订单
-        logger.log('\n🚫 === 步骤1: 取消所有未成交订单 ===');
-        await tool.cancelAllOpenOrders();
-        
-        // 步骤2: 检查并平仓所有账户的仓位
-        logger.log('\n📋 === 步骤2: 检查并平仓现有仓位 ===');
-        await tool.closeAllPositions();
-        
-        // 步骤3: 打印当前配置和风险分析
-        logger.log('\n📊 === 步骤3: 配置和风险分析 ===');
-        tool.showConfigAnalysis();
-        
-        // 步骤4: 开启循环对冲
-        logger.log('\n🔄 === 步骤4: 启动循环对冲 ===');
-        logger.log('按 Ctrl+C 可随时停止循环并安全退出');
-        await tool.loopHedge();
-        
+    }
+
+    let paperExchange = null;
+    if (options.paper) {
+        paperExchange = createPaperExchange();
+        paperExchange.start();
+    }
+
+    try {
+        logger.log('🚀 === Aster 多账号对冲交易工具启动 ===');
+        if (paperExchange) {
+            logger.log('🧪 模拟盘模式：所有账号使用本地模拟交易所，不会发送真实订单');
+        }
+        const tool = new ThreeAccountHedgeTool(accountConfigs, { exchange: paperExchange });
+
+        switch (command) {
+            case 'loop': {
+                const shutdown = createLoopShutdown(tool, symbol);
+                installLoopSignalHandlers(tool, shutdown);
+                const controlServer = await startControlServer(tool, symbol, shutdown);
+                const telegramBot = startTelegramBot(tool, symbol, shutdown);
+
+                // 步骤1: 取消所有未成交订单
+                logger.log('\n🚫 === 步骤1: 取消所有未成交订单 ===');
+                await tool.cancelAllOpenOrders(symbol);
+
+                // 步骤2: 检查并平仓所有账户的仓位
+                logger.log('\n📋 === 步骤2: 检查并平仓现有仓位 ===');
+                await tool.closeAllPositions(symbol);
+
+                // 步骤3: 打印当前配置和风险分析
+                logger.log('\n📊 === 步骤3: 配置和风险分析 ===');
+                tool.showConfigAnalysis();
+
+                // 步骤4: 开启循环对冲
+                logger.log('\n🔄 === 步骤4: 启动循环对冲 ===');
+                logger.log('按 Ctrl+C 可随时停止循环并安全退出');
+                try {
+                    await tool.loopHedge({ symbol });
+                } finally {
+                    if (controlServer) await controlServer.stop();
+                    if (telegramBot) await telegramBot.stop();
+                    await getAlertRouter().flush();
+                }
+                return 0;
+            }
+            case 'status':
+                await tool.checkAllPositions(symbol);
+                return 0;
+            case 'balance':
+                await tool.showAllBalances();
+                logger.log('✅ 余额查询完成');
+                return 0;
+            case 'close':
+                await tool.closeAllPositions(symbol);
+                return 0;
+            case 'cancel':
+                await tool.cancelAllOpenOrders(symbol);
+                return 0;
+            case 'leverage': {
+                const results = await tool.setLeverage(args[0].toUpperCase(), leverage);
+                return results.every(r => r.status === 'fulfilled') ? 0 : 1;
+            }
+            case 'report':
+                await tool.generateIncomeReport({
+                    from: parseDateArg(options.from),
+                    to: parseDateArg(options.to, true) || Date.now(),
+                    symbol: options.symbol ? symbol : null,
+                    csvFile: options.csv || null,
+                    jsonFile: options.json || null
+                });
+                logger.log('✅ 收益报表生成完成');
+                return 0;
+            case 'doctor': {
+                const { ok } = await tool.runDiagnostics(symbol, { sendTestAlert: !!options.telegram });
+                return ok ? 0 : 1;
+            }
+        }
+        return 0;
     } catch (error) {
-        logger.error(`自动化流程执行失败: ${error.message}`);
-        throw error;
+        logger.error(`命令 ${command} 执行失败: ${error.message}`);
+        return 1;
+    } finally {
+        if (paperExchange) paperExchange.stop();
     }
 }
+
+
+// 导出
+module.exports = { ThreeAccountHedgeTool, AsterFuturesAPI, PaperFuturesAPI, RateLimitScheduler, Logger, logger, parseCliArgs, runCli };
+
+// 如果直接运行此文件，按命令行子命令执行
+if (require.main === module) {
+    // 日志异步写入，退出前等待写完
+    runCli()
+        .catch(error => {
+            logger.error(`程序执行失败: ${error.message}`);
+            return 1;
+        })
+        .then(async code => {
+            await logger.close();
+            process.exit(code);
+        });
+}
@@ -0,0 +1,129 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// 加密密钥库：账号 API 密钥以 JSON 整体加密后保存，口令经 scrypt 派生 256 位密钥，AES-256-GCM 加密并校验完整性。
+// 文件内容：{ version, kdf, kdfParams: { N, r, p, salt }, cipher, iv, tag, ciphertext }（二进制字段为 base64）
+
+const KEYSTORE_VERSION = 1;
+const SCRYPT_PARAMS = { N: 1 << 15, r: 8, p: 1 };
+// 附加认证数据，防止文件头被篡改为其他版本/算法
+const KEYSTORE_AAD = Buffer.from(`aster-keystore-v${KEYSTORE_VERSION}`);
+
+function deriveKey(passphrase, salt, { N, r, p }) {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(String(passphrase), salt, 32, { N, r, p, maxmem: 256 * N * r }, (error, key) => (
+            error ? reject(error) : resolve(key)
+        ));
+    });
+}
+
+async function encryptPayload(payload, passphrase) {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const key = await deriveKey(passphrase, salt, SCRYPT_PARAMS);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    cipher.setAAD(KEYSTORE_AAD);
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(payload), 'utf8'), cipher.final()]);
+    return {
+        version: KEYSTORE_VERSION,
+        kdf: 'scrypt',
+        kdfParams: { ...SCRYPT_PARAMS, salt: salt.toString('base64') },
+        cipher: 'aes-256-gcm',
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        ciphertext: ciphertext.toString('base64')
+    };
+}
+
+// 口令错误与文件被篡改都会导致 GCM 校验失败，统一报 KEYSTORE_BAD_PASSPHRASE
+async function decryptPayload(doc, passphrase) {
+    if (!doc || doc.version !== KEYSTORE_VERSION || doc.kdf !== 'scrypt' || doc.cipher !== 'aes-256-gcm') {
+        throw new Error(`不支持的密钥库格式（version=${doc && doc.version}）`);
+    }
+    const { N, r, p, salt } = doc.kdfParams || {};
+    const key = await deriveKey(passphrase, Buffer.from(salt, 'base64'), { N, r, p });
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(doc.iv, 'base64'));
+    decipher.setAAD(KEYSTORE_AAD);
+    decipher.setAuthTag(Buffer.from(doc.tag, 'base64'));
+    try {
+        const plaintext = Buffer.concat([decipher.update(Buffer.from(doc.ciphertext, 'base64')), decipher.final()]);
+        return JSON.parse(plaintext.toString('utf8'));
+    } catch (e) {
+        const error = new Error('密钥库口令错误或文件已损坏');
+        error.code = 'KEYSTORE_BAD_PASSPHRASE';
+        throw error;
+    }
+}
+
+// 密钥展示时只保留首尾 4 位
+function maskKey(value) {
+    const s = String(value || '');
+    return s.length <= 8 ? '*'.repeat(s.length) : `${s.slice(0, 4)}...${s.slice(-4)}`;
+}
+
+class Keystore {
+    constructor(file) {
+        this.file = path.resolve(file);
+        // [{ label, apiKey, apiSecret, updatedAt }]，顺序即账号顺序（配置中未列出账号时使用）
+        this.accounts = [];
+    }
+
+    // 读取并解密已有密钥库
+    static async open(file, passphrase) {
+        const keystore = new Keystore(file);
+        const doc = JSON.parse(fs.readFileSync(keystore.file, 'utf8'));
+        const payload = await decryptPayload(doc, passphrase);
+        keystore.accounts = Array.isArray(payload.accounts) ? payload.accounts : [];
+        return keystore;
+    }
+
+    // 每次保存都重新生成 salt 与 iv；先写临时文件再改名，避免中途失败损坏原文件
+    async save(passphrase) {
+        const doc = await encryptPayload({ accounts: this.accounts }, passphrase);
+        const tmpFile = `${this.file}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify(doc, null, 2), { mode: 0o600 });
+        fs.renameSync(tmpFile, this.file);
+    }
+
+    get(label) {
+        return this.accounts.find(acc => acc.label === label) || null;
+    }
+
+    list() {
+        return this.accounts.map(({ label, apiKey, updatedAt }) => ({ label, apiKey: maskKey(apiKey), updatedAt }));
+    }
+
+    add(label, apiKey, apiSecret) {
+        if (this.get(label)) {
+            throw new Error(`密钥库中已存在账号 ${label}，更换密钥请使用 rotate`);
+        }
+        this.checkCredentials(label, apiKey, apiSecret);
+        this.accounts.push({ label, apiKey, apiSecret, updatedAt: new Date().toISOString() });
+    }
+
+    remove(label) {
+        if (!this.get(label)) {
+            throw new Error(`密钥库中没有账号 ${label}`);
+        }
+        this.accounts = this.accounts.filter(acc => acc.label !== label);
+    }
+
+    // 更换账号的 API 密钥（交易所端重新生成密钥后使用）
+    rotate(label, apiKey, apiSecret) {
+        const entry = this.get(label);
+        if (!entry) {
+            throw new Error(`密钥库中没有账号 ${label}`);
+        }
+        this.checkCredentials(label, apiKey, apiSecret);
+        Object.assign(entry, { apiKey, apiSecret, updatedAt: new Date().toISOString() });
+    }
+
+    checkCredentials(label, apiKey, apiSecret) {
+        if (!label || !apiKey || !apiSecret) {
+            throw new Error('账号标签、apiKey 与 apiSecret 均不能为空');
+        }
+    }
+}
+
+module.exports = { Keystore, encryptPayload, decryptPayload, maskKey };
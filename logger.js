@@ -0,0 +1,205 @@
+const fs = require('fs');
+const path = require('path');
+
+// 日志：控制台保持原有可读输出，文件异步批量写入（不阻塞事件循环），
+// 按大小与时长轮转并按天数/个数清理旧文件；format 为 json 时每行一条 JSON（JSON Lines），
+// 带 account、cycle、orderId、symbol、latency 等结构化字段
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const FILE_PREFIX = 'aster-tool-';
+
+// 文件名中的创建时间：aster-tool-2025-01-01T08-00-00-000Z.log（部分文件系统没有可靠的 birthtime）
+function createdAtOf(name) {
+    const match = /(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z/.exec(name);
+    return match ? Date.parse(`${match[1]}T${match[2]}:${match[3]}:${match[4]}.${match[5]}Z`) : NaN;
+}
+
+class Logger {
+    // options: { dir, level, format: 'text' | 'json', console, maxSizeMB, maxAgeHours, retentionDays, maxFiles }
+    constructor(options = {}) {
+        this.logDir = options.dir || './logs';
+        this.level = LEVELS[options.level] ? options.level : 'info';
+        this.format = options.format === 'json' ? 'json' : 'text';
+        this.consoleEnabled = options.console !== false;
+        this.maxBytes = (Number.isFinite(options.maxSizeMB) ? options.maxSizeMB : 50) * 1024 * 1024;
+        this.maxAgeMs = (Number.isFinite(options.maxAgeHours) ? options.maxAgeHours : 24) * 3600_000;
+        this.retentionMs = (Number.isFinite(options.retentionDays) ? options.retentionDays : 14) * 86400_000;
+        this.maxFiles = Number.isFinite(options.maxFiles) ? options.maxFiles : 30;
+        this.extension = this.format === 'json' ? '.jsonl' : '.log';
+        // 合并到每条 JSON 日志的上下文（如当前 cycle、symbol）
+        this.context = {};
+        this.buffer = [];
+        this.writing = null;
+        this.handle = null;
+        this.logFile = null;
+        this.fileSize = 0;
+        this.fileOpenedAt = 0;
+        this.init();
+    }
+
+    init() {
+        // 创建logs目录
+        if (!fs.existsSync(this.logDir)) {
+            fs.mkdirSync(this.logDir, { recursive: true });
+        }
+
+        // 上次的日志文件未超过大小与时长时继续追加，否则新建
+        const latest = this.listFiles().pop();
+        if (latest && latest.size < this.maxBytes && Date.now() - latest.createdAt < this.maxAgeMs) {
+            this.logFile = latest.file;
+            this.fileSize = latest.size;
+            this.fileOpenedAt = latest.createdAt;
+        } else {
+            this.newFile();
+        }
+        this.prune().catch(() => {});
+
+        // 写入启动信息
+        this.log(`🚀 Aster 对冲交易工具启动 - ${new Date().toLocaleString('zh-CN')}`);
+    }
+
+    // 日志目录中本工具的日志文件，按文件名（即创建时间）从旧到新；只在启动时同步读取
+    listFiles() {
+        return fs.readdirSync(this.logDir)
+            .filter(name => this.isLogFile(name))
+            .sort()
+            .map(name => {
+                const file = path.join(this.logDir, name);
+                const stat = fs.statSync(file);
+                return { file, size: stat.size, createdAt: createdAtOf(name) || stat.birthtimeMs || stat.ctimeMs };
+            });
+    }
+
+    isLogFile(name) {
+        return name.startsWith(FILE_PREFIX) && name.endsWith(this.extension);
+    }
+
+    newFile() {
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        this.logFile = path.join(this.logDir, `${FILE_PREFIX}${timestamp}${this.extension}`);
+        this.fileSize = 0;
+        this.fileOpenedAt = Date.now();
+    }
+
+    setContext(fields) {
+        Object.assign(this.context, fields);
+    }
+
+    clearContext(...keys) {
+        if (keys.length === 0) this.context = {};
+        keys.forEach(key => delete this.context[key]);
+    }
+
+    enabled(level) {
+        return LEVELS[level] >= LEVELS[this.level];
+    }
+
+    debug(message, fields) {
+        this.write('debug', message, fields);
+    }
+
+    info(message, fields) {
+        this.write('info', message, fields);
+    }
+
+    log(message, fields) {
+        this.write('info', message, fields);
+    }
+
+    warn(message, fields) {
+        this.write('warn', message, fields);
+    }
+
+    error(message, fields) {
+        this.write('error', message, fields);
+    }
+
+    write(level, message, fields = {}) {
+        if (!this.enabled(level)) return;
+
+        // 输出到控制台
+        if (this.consoleEnabled) {
+            if (level === 'error') console.error(message);
+            else if (level === 'warn') console.warn(message);
+            else console.log(message);
+        }
+
+        // 写入文件
+        let line;
+        if (this.format === 'json') {
+            const record = { time: new Date().toISOString(), level, msg: String(message), ...this.context };
+            Object.keys(fields).forEach(key => {
+                if (fields[key] !== undefined) record[key] = fields[key];
+            });
+            line = JSON.stringify(record);
+        } else {
+            const prefix = level === 'info' ? '' : `${level.toUpperCase()}: `;
+            line = `[${new Date().toLocaleString('zh-CN')}] ${prefix}${message}`;
+        }
+        this.buffer.push(`${line}\n`);
+        if (!this.writing) this.writing = this.drain();
+    }
+
+    // 串行写出缓冲区：每批写入前检查是否需要轮转
+    async drain() {
+        while (this.buffer.length > 0) {
+            const chunk = this.buffer.join('');
+            this.buffer = [];
+            const bytes = Buffer.byteLength(chunk);
+            try {
+                await this.rotateIfNeeded(bytes);
+                if (!this.handle) this.handle = await fs.promises.open(this.logFile, 'a');
+                await this.handle.write(chunk);
+                this.fileSize += bytes;
+            } catch (error) {
+                console.error(`日志写入失败: ${error.message}`);
+            }
+        }
+        this.writing = null;
+    }
+
+    async rotateIfNeeded(bytes) {
+        const tooBig = this.fileSize > 0 && this.fileSize + bytes > this.maxBytes;
+        const tooOld = Date.now() - this.fileOpenedAt >= this.maxAgeMs;
+        if (!tooBig && !tooOld) return;
+        if (this.handle) {
+            await this.handle.close();
+            this.handle = null;
+        }
+        this.newFile();
+        await this.prune();
+    }
+
+    // 删除超过保留天数或超出保留个数的旧文件（当前文件除外）
+    async prune() {
+        const names = (await fs.promises.readdir(this.logDir))
+            .filter(name => this.isLogFile(name) && path.join(this.logDir, name) !== this.logFile)
+            .sort();
+        const excess = names.length - Math.max(0, this.maxFiles - 1);
+        const now = Date.now();
+        await Promise.all(names.map(async (name, index) => {
+            const file = path.join(this.logDir, name);
+            try {
+                const { mtimeMs } = await fs.promises.stat(file);
+                if (index < excess || now - mtimeMs > this.retentionMs) await fs.promises.unlink(file);
+            } catch {
+                // 文件可能已被其他进程删除
+            }
+        }));
+    }
+
+    // 等待已缓冲的日志写入文件（退出前调用）
+    async flush() {
+        while (this.writing) await this.writing;
+    }
+
+    async close() {
+        await this.flush();
+        if (this.handle) {
+            await this.handle.close();
+            this.handle = null;
+        }
+    }
+}
+
+module.exports = { Logger, LEVELS };
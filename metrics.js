@@ -0,0 +1,146 @@
+// Prometheus 指标：进程内单例，按文本格式（0.0.4）输出，只实现本工具用到的 Counter / Gauge / Histogram
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+function formatLabels(labels) {
+    const keys = Object.keys(labels);
+    if (keys.length === 0) return '';
+    return `{${keys.map(key => `${key}="${escapeLabel(labels[key])}"`).join(',')}}`;
+}
+
+const formatValue = (value) => (Number.isFinite(value) ? String(value) : value > 0 ? '+Inf' : value < 0 ? '-Inf' : 'NaN');
+
+class Metric {
+    constructor(name, help, type, labelNames = []) {
+        this.name = name;
+        this.help = help;
+        this.type = type;
+        this.labelNames = labelNames;
+        // 序列化后的标签 → { labels, value }
+        this.series = new Map();
+    }
+
+    // 只保留声明过的标签，缺失的标签记为空字符串
+    entry(labels = {}, create) {
+        const picked = {};
+        this.labelNames.forEach(name => { picked[name] = labels[name] === undefined ? '' : String(labels[name]); });
+        const key = JSON.stringify(picked);
+        if (!this.series.has(key)) this.series.set(key, create(picked));
+        return this.series.get(key);
+    }
+
+    reset() {
+        this.series.clear();
+    }
+
+    header() {
+        return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super(name, help, 'counter', labelNames);
+    }
+
+    inc(labels = {}, value = 1) {
+        if (!(value >= 0)) return;
+        this.entry(labels, picked => ({ labels: picked, value: 0 })).value += value;
+    }
+
+    render() {
+        return [...this.series.values()].map(s => `${this.name}${formatLabels(s.labels)} ${formatValue(s.value)}`);
+    }
+}
+
+class Gauge extends Metric {
+    constructor(name, help, labelNames) {
+        super(name, help, 'gauge', labelNames);
+    }
+
+    set(labels = {}, value) {
+        if (!Number.isFinite(value)) return;
+        this.entry(labels, picked => ({ labels: picked, value: 0 })).value = value;
+    }
+
+    render() {
+        return [...this.series.values()].map(s => `${this.name}${formatLabels(s.labels)} ${formatValue(s.value)}`);
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets) {
+        super(name, help, 'histogram', labelNames);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    observe(labels = {}, value) {
+        if (!Number.isFinite(value)) return;
+        const s = this.entry(labels, picked => ({ labels: picked, counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+        this.buckets.forEach((bound, i) => { if (value <= bound) s.counts[i] += 1; });
+        s.sum += value;
+        s.count += 1;
+    }
+
+    render() {
+        const lines = [];
+        this.series.forEach(s => {
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...s.labels, le: String(bound) })} ${s.counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`);
+            lines.push(`${this.name}_sum${formatLabels(s.labels)} ${formatValue(s.sum)}`);
+            lines.push(`${this.name}_count${formatLabels(s.labels)} ${s.count}`);
+        });
+        return lines;
+    }
+}
+
+class Registry {
+    constructor() {
+        this.metrics = [];
+    }
+
+    register(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    counter(name, help, labelNames) {
+        return this.register(new Counter(name, help, labelNames));
+    }
+
+    gauge(name, help, labelNames) {
+        return this.register(new Gauge(name, help, labelNames));
+    }
+
+    histogram(name, help, labelNames, buckets) {
+        return this.register(new Histogram(name, help, labelNames, buckets));
+    }
+
+    render() {
+        return this.metrics.map(metric => [...metric.header(), ...metric.render()].join('\n')).join('\n') + '\n';
+    }
+
+    reset() {
+        this.metrics.forEach(metric => metric.reset());
+    }
+}
+
+const registry = new Registry();
+
+const metrics = {
+    cycles: registry.counter('aster_cycles_total', 'Hedge cycles by outcome (filled, timeout, failed)', ['outcome']),
+    requestDuration: registry.histogram('aster_request_duration_seconds', 'REST request latency per account and endpoint', ['account', 'method', 'endpoint'],
+        [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]),
+    requestRetries: registry.counter('aster_request_retries_total', 'REST request retries per account and endpoint', ['account', 'method', 'endpoint']),
+    timeOffset: registry.gauge('aster_time_offset_seconds', 'Server time minus local time from the last time sync', ['account']),
+    walletBalance: registry.gauge('aster_wallet_balance_usdt', 'totalWalletBalance from the v4 account endpoint', ['account']),
+    positionNotional: registry.gauge('aster_position_notional_usdt', 'Absolute notional of the open position', ['account', 'symbol']),
+    volume: registry.counter('aster_volume_usdt_total', 'Cumulative filled notional (open, hedge, repair and close legs)', ['account']),
+    fees: registry.counter('aster_fees_usdt_total', 'Cumulative commission paid, from income history', ['account'])
+};
+// 周期结果在首次周期前也输出 0，便于 rate() 计算
+['filled', 'timeout', 'failed'].forEach(outcome => metrics.cycles.inc({ outcome }, 0));
+
+module.exports = { Registry, registry, metrics };
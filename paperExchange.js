@@ -0,0 +1,555 @@
+const fs = require('fs');
+
+// 模拟交易所（模拟盘 / 测试用）：内存中维护各账号余额、持仓、挂单，
+// 按价格源推进盘口并撮合限价单。接口与 Aster 期货 REST 接口的请求/响应字段保持一致。
+
+// 与交易所错误响应对应的异常：status 为 HTTP 状态码，code/msg 为响应体
+class ExchangeError extends Error {
+    constructor(status, code, msg) {
+        super(msg);
+        this.status = status;
+        this.code = code;
+    }
+}
+
+const DEFAULT_SYMBOL = {
+    price: 100000,
+    stepSize: 0.001,
+    minQty: 0.001,
+    maxQty: 1000,
+    tickSize: 0.1,
+    minNotional: 5,
+    volatility: 0.0005, // 随机游走单步波动（比例）
+    spreadTicks: 1
+};
+
+// 随机游走价格源：每步按正态近似扰动
+class RandomWalkPriceSource {
+    constructor(startPrice, volatility) {
+        this.price = startPrice;
+        this.volatility = volatility;
+    }
+
+    next() {
+        const shock = (Math.random() + Math.random() + Math.random() - 1.5) * 2 * this.volatility;
+        this.price = Math.max(this.price * (1 + shock), Number.EPSILON);
+        return this.price;
+    }
+}
+
+// 回放价格源：文件每行一个价格（或 CSV 最后一列为价格），播放完毕后循环
+class RecordedPriceSource {
+    constructor(file) {
+        const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/);
+        this.prices = lines
+            .map(line => parseFloat(line.split(',').pop()))
+            .filter(p => Number.isFinite(p) && p > 0);
+        if (this.prices.length === 0) {
+            throw new Error(`价格文件 ${file} 中没有有效价格`);
+        }
+        this.index = 0;
+        this.price = this.prices[0];
+    }
+
+    next() {
+        this.price = this.prices[this.index % this.prices.length];
+        this.index += 1;
+        return this.price;
+    }
+}
+
+function decimalsOf(step) {
+    const str = Number(step).toString();
+    if (str.includes('e-')) return parseInt(str.split('e-')[1], 10);
+    const dot = str.indexOf('.');
+    return dot < 0 ? 0 : str.length - dot - 1;
+}
+
+function roundTo(value, step) {
+    return Number((Math.round(value / step) * step).toFixed(decimalsOf(step)));
+}
+
+class SimulatedExchange {
+    // options.symbols: { BTCUSDT: { price, stepSize, tickSize, minQty, minNotional, volatility, priceFile } }
+    // options.balance: 每个账号初始 USDT 余额；options.makerFee/takerFee：手续费率
+    // options.stepMs: 价格推进间隔，0 表示不启动定时器（由调用方手动 step()）
+    constructor(options = {}) {
+        this.balance = Number.isFinite(options.balance) ? options.balance : 10000;
+        this.makerFee = Number.isFinite(options.makerFee) ? options.makerFee : 0.0002;
+        this.takerFee = Number.isFinite(options.takerFee) ? options.takerFee : 0.0004;
+        this.maintMarginRate = Number.isFinite(options.maintMarginRate) ? options.maintMarginRate : 0.004;
+        this.stepMs = Number.isFinite(options.stepMs) ? options.stepMs : 1000;
+        this.defaultLeverage = options.defaultLeverage || 20;
+        this.symbols = new Map();
+        this.accounts = new Map();
+        this.nextOrderId = 1;
+        this.nextTranId = 1;
+        this.timer = null;
+
+        const symbols = options.symbols || { BTCUSDT: {} };
+        Object.entries(symbols).forEach(([symbol, cfg]) => this.addSymbol(symbol, cfg));
+    }
+
+    addSymbol(symbol, cfg = {}) {
+        const spec = Object.assign({}, DEFAULT_SYMBOL, cfg);
+        const source = spec.priceFile
+            ? new RecordedPriceSource(spec.priceFile)
+            : new RandomWalkPriceSource(spec.price, spec.volatility);
+        const state = { symbol, spec, source, bid: 0, ask: 0, mark: 0 };
+        this.symbols.set(symbol, state);
+        this.setPrice(symbol, spec.priceFile ? source.next() : spec.price);
+        return state;
+    }
+
+    // 直接设置中间价（测试中用于构造成交场景）
+    setPrice(symbol, mid) {
+        const state = this.getSymbol(symbol);
+        const { tickSize, spreadTicks } = state.spec;
+        const halfSpread = (tickSize * spreadTicks) / 2;
+        state.mark = mid;
+        state.bid = roundTo(mid - halfSpread, tickSize);
+        state.ask = roundTo(Math.max(mid + halfSpread, state.bid + tickSize), tickSize);
+        this.matchOrders(symbol);
+    }
+
+    getSymbol(symbol) {
+        const state = this.symbols.get(symbol);
+        if (!state) throw new ExchangeError(400, -1121, 'Invalid symbol.');
+        return state;
+    }
+
+    getAccount(accountKey) {
+        if (!this.accounts.has(accountKey)) {
+            this.accounts.set(accountKey, {
+                balance: this.balance,
+                positions: new Map(),
+                leverage: new Map(),
+                orders: new Map(),
+                income: []
+            });
+        }
+        return this.accounts.get(accountKey);
+    }
+
+    start() {
+        if (this.timer || !(this.stepMs > 0)) return;
+        this.timer = setInterval(() => this.step(), this.stepMs);
+        if (this.timer.unref) this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // 所有币种推进一步价格并撮合挂单
+    step() {
+        this.symbols.forEach((state, symbol) => this.setPrice(symbol, state.source.next()));
+    }
+
+    matchOrders(symbol) {
+        const state = this.symbols.get(symbol);
+        this.accounts.forEach(account => {
+            account.orders.forEach(order => {
+                if (order.symbol !== symbol || !['NEW', 'PARTIALLY_FILLED'].includes(order.status)) return;
+                const crossed = order.side === 'BUY' ? state.ask <= order.price : state.bid >= order.price;
+                if (crossed) {
+                    this.fillOrder(account, order, order.price, this.makerFee);
+                }
+            });
+        });
+    }
+
+    position(account, symbol) {
+        if (!account.positions.has(symbol)) {
+            account.positions.set(symbol, { amt: 0, entryPrice: 0 });
+        }
+        return account.positions.get(symbol);
+    }
+
+    // 成交指定数量（默认全部剩余数量）：更新持仓、已实现盈亏与手续费
+    fillOrder(account, order, price, feeRate, qty = order.origQty - order.executedQty) {
+        const pos = this.position(account, order.symbol);
+        const signed = order.side === 'BUY' ? qty : -qty;
+        let realized = 0;
+
+        if (pos.amt !== 0 && Math.sign(pos.amt) !== Math.sign(signed)) {
+            const closing = Math.min(Math.abs(pos.amt), qty);
+            realized = closing * (price - pos.entryPrice) * Math.sign(pos.amt);
+            const remaining = pos.amt + signed;
+            if (Math.abs(remaining) < 1e-12) {
+                pos.amt = 0;
+                pos.entryPrice = 0;
+            } else if (Math.sign(remaining) === Math.sign(pos.amt)) {
+                pos.amt = remaining;
+            } else {
+                // 反向开仓部分以成交价为开仓价
+                pos.amt = remaining;
+                pos.entryPrice = price;
+            }
+        } else {
+            const newAmt = pos.amt + signed;
+            pos.entryPrice = (Math.abs(pos.amt) * pos.entryPrice + qty * price) / Math.abs(newAmt);
+            pos.amt = newAmt;
+        }
+
+        const commission = qty * price * feeRate;
+        account.balance += realized - commission;
+        if (realized !== 0) this.recordIncome(account, order.symbol, 'REALIZED_PNL', realized);
+        this.recordIncome(account, order.symbol, 'COMMISSION', -commission);
+
+        order.executedQty = Math.min(order.origQty, Number((order.executedQty + qty).toFixed(10)));
+        order.cumQuote += qty * price;
+        order.avgPrice = order.cumQuote / order.executedQty;
+        order.status = order.executedQty >= order.origQty ? 'FILLED' : 'PARTIALLY_FILLED';
+        order.updateTime = Date.now();
+    }
+
+    // 按挂单价部分成交一笔挂单（用于测试或模拟盘口深度不足）
+    partialFill(accountKey, orderId, qty) {
+        const account = this.getAccount(accountKey);
+        const order = account.orders.get(Number(orderId));
+        if (!order || !['NEW', 'PARTIALLY_FILLED'].includes(order.status)) {
+            throw new Error(`订单 ${orderId} 不存在或已结束`);
+        }
+        this.fillOrder(account, order, order.price, this.makerFee, Math.min(qty, order.origQty - order.executedQty));
+        return order;
+    }
+
+    // 记录资金流水（/fapi/v1/income）
+    recordIncome(account, symbol, incomeType, amount, time = Date.now()) {
+        account.income.push({
+            symbol,
+            incomeType,
+            income: amount.toFixed(8),
+            asset: 'USDT',
+            info: incomeType,
+            time,
+            tranId: this.nextTranId++,
+            tradeId: ''
+        });
+    }
+
+    incomeHistory(account, params) {
+        const limit = Math.min(Number(params.limit) || 100, 1000);
+        const start = params.startTime !== undefined ? Number(params.startTime) : 0;
+        const end = params.endTime !== undefined ? Number(params.endTime) : Infinity;
+        return account.income
+            .filter(item => (!params.symbol || item.symbol === params.symbol)
+                && (!params.incomeType || item.incomeType === params.incomeType)
+                && item.time >= start && item.time <= end)
+            .sort((a, b) => a.time - b.time || a.tranId - b.tranId)
+            .slice(0, limit);
+    }
+
+    formatOrder(order) {
+        const { stepSize, tickSize } = this.getSymbol(order.symbol).spec;
+        const qd = decimalsOf(stepSize);
+        const pd = decimalsOf(tickSize);
+        return {
+            orderId: order.orderId,
+            clientOrderId: order.clientOrderId,
+            symbol: order.symbol,
+            side: order.side,
+            type: order.type,
+            positionSide: order.positionSide,
+            timeInForce: order.timeInForce,
+            reduceOnly: order.reduceOnly,
+            status: order.status,
+            price: order.price.toFixed(pd),
+            avgPrice: order.avgPrice.toFixed(pd),
+            origQty: order.origQty.toFixed(qd),
+            executedQty: order.executedQty.toFixed(qd),
+            cumQuote: order.cumQuote.toFixed(8),
+            updateTime: order.updateTime
+        };
+    }
+
+    findOrder(account, params) {
+        let order = null;
+        if (params.orderId !== undefined) {
+            order = account.orders.get(Number(params.orderId)) || null;
+        } else if (params.origClientOrderId) {
+            order = [...account.orders.values()].find(o => o.clientOrderId === params.origClientOrderId) || null;
+        }
+        if (order && params.symbol && order.symbol !== params.symbol) order = null;
+        return order;
+    }
+
+    accountLeverage(account, symbol) {
+        return account.leverage.get(symbol) || this.defaultLeverage;
+    }
+
+    // 当前已占用的初始保证金（持仓 + 非减仓挂单）
+    usedMargin(account) {
+        let used = 0;
+        account.positions.forEach((pos, symbol) => {
+            used += Math.abs(pos.amt) * this.getSymbol(symbol).mark / this.accountLeverage(account, symbol);
+        });
+        account.orders.forEach(order => {
+            if (['NEW', 'PARTIALLY_FILLED'].includes(order.status) && !order.reduceOnly) {
+                used += (order.origQty - order.executedQty) * order.price / this.accountLeverage(account, order.symbol);
+            }
+        });
+        return used;
+    }
+
+    unrealizedPnl(account) {
+        let total = 0;
+        account.positions.forEach((pos, symbol) => {
+            total += pos.amt * (this.getSymbol(symbol).mark - pos.entryPrice);
+        });
+        return total;
+    }
+
+    placeOrder(account, params) {
+        const { symbol, side, type } = params;
+        if (!symbol || !side || !type || params.quantity === undefined) {
+            throw new ExchangeError(400, -1102, 'Mandatory parameter was not sent, was empty/null, or malformed.');
+        }
+        const state = this.getSymbol(symbol);
+        const { stepSize, minQty, maxQty, tickSize, minNotional } = state.spec;
+        let qty = parseFloat(params.quantity);
+        const reduceOnly = String(params.reduceOnly) === 'true';
+        const timeInForce = params.timeInForce || (type === 'LIMIT' ? 'GTC' : undefined);
+
+        if (params.newClientOrderId && [...account.orders.values()].some(o => o.clientOrderId === params.newClientOrderId)) {
+            throw new ExchangeError(400, -4015, 'Client order id is not valid.');
+        }
+        if (Math.abs(roundTo(qty, stepSize) - qty) > 1e-12) {
+            throw new ExchangeError(400, -1111, 'Precision is over the maximum defined for this asset.');
+        }
+        if (qty < minQty || qty > maxQty) {
+            throw new ExchangeError(400, -4003, 'Quantity less than or equal to zero.');
+        }
+
+        let price = 0;
+        if (type === 'LIMIT') {
+            price = parseFloat(params.price);
+            if (!(price > 0) || Math.abs(roundTo(price, tickSize) - price) > 1e-9) {
+                throw new ExchangeError(400, -4014, 'Price not increased by tick size.');
+            }
+        } else if (type !== 'MARKET') {
+            throw new ExchangeError(400, -1116, 'Invalid orderType.');
+        }
+
+        const refPrice = type === 'LIMIT' ? price : (side === 'BUY' ? state.ask : state.bid);
+        if (reduceOnly) {
+            const pos = this.position(account, symbol);
+            const reduces = (side === 'SELL' && pos.amt > 0) || (side === 'BUY' && pos.amt < 0);
+            if (!reduces) {
+                throw new ExchangeError(400, -2022, 'ReduceOnly Order is rejected.');
+            }
+            qty = Math.min(qty, Math.abs(pos.amt));
+        } else {
+            if (qty * refPrice < minNotional) {
+                throw new ExchangeError(400, -4164, `Order's notional must be no smaller than ${minNotional}`);
+            }
+            const walletMargin = account.balance + this.unrealizedPnl(account) - this.usedMargin(account);
+            if (qty * refPrice / this.accountLeverage(account, symbol) > walletMargin) {
+                throw new ExchangeError(400, -2019, 'Margin is insufficient.');
+            }
+        }
+
+        const order = {
+            orderId: this.nextOrderId++,
+            clientOrderId: params.newClientOrderId || `sim-${Date.now().toString(36)}`,
+            symbol,
+            side,
+            type,
+            positionSide: params.positionSide || 'BOTH',
+            timeInForce,
+            reduceOnly,
+            status: 'NEW',
+            price,
+            avgPrice: 0,
+            origQty: qty,
+            executedQty: 0,
+            cumQuote: 0,
+            updateTime: Date.now()
+        };
+        account.orders.set(order.orderId, order);
+
+        if (type === 'MARKET') {
+            this.fillOrder(account, order, refPrice, this.takerFee);
+        } else {
+            const crossed = side === 'BUY' ? state.ask <= price : state.bid >= price;
+            if (crossed && timeInForce === 'GTX') {
+                // 只做 Maker：会立即成交则直接过期
+                order.status = 'EXPIRED';
+            } else if (crossed) {
+                this.fillOrder(account, order, side === 'BUY' ? state.ask : state.bid, this.takerFee);
+            }
+        }
+        return this.formatOrder(order);
+    }
+
+    cancelOrder(account, order) {
+        if (!order || !['NEW', 'PARTIALLY_FILLED'].includes(order.status)) {
+            throw new ExchangeError(400, -2011, 'Unknown order sent.');
+        }
+        order.status = 'CANCELED';
+        order.updateTime = Date.now();
+        return this.formatOrder(order);
+    }
+
+    positionRisk(account, symbol) {
+        const symbols = symbol ? [symbol] : [...this.symbols.keys()];
+        return symbols.map(sym => {
+            const state = this.getSymbol(sym);
+            const pos = this.position(account, sym);
+            const leverage = this.accountLeverage(account, sym);
+            const { tickSize } = state.spec;
+            let liquidationPrice = 0;
+            if (pos.amt > 0) {
+                liquidationPrice = pos.entryPrice * (1 - 1 / leverage + this.maintMarginRate);
+            } else if (pos.amt < 0) {
+                liquidationPrice = pos.entryPrice * (1 + 1 / leverage - this.maintMarginRate);
+            }
+            const qd = decimalsOf(state.spec.stepSize);
+            return {
+                symbol: sym,
+                positionAmt: pos.amt.toFixed(qd),
+                entryPrice: pos.entryPrice.toFixed(8),
+                markPrice: state.mark.toFixed(8),
+                unRealizedProfit: (pos.amt * (state.mark - pos.entryPrice)).toFixed(8),
+                liquidationPrice: roundTo(liquidationPrice, tickSize).toFixed(8),
+                leverage: String(leverage),
+                marginType: 'cross',
+                isolatedMargin: '0.00000000',
+                positionSide: 'BOTH',
+                notional: (pos.amt * state.mark).toFixed(8),
+                updateTime: Date.now()
+            };
+        });
+    }
+
+    accountInfo(account) {
+        const unrealized = this.unrealizedPnl(account);
+        const initialMargin = this.usedMargin(account);
+        let maintMargin = 0;
+        account.positions.forEach((pos, symbol) => {
+            maintMargin += Math.abs(pos.amt) * this.getSymbol(symbol).mark * this.maintMarginRate;
+        });
+        const marginBalance = account.balance + unrealized;
+        const available = marginBalance - initialMargin;
+        const fmt = (n) => n.toFixed(8);
+        return {
+            totalWalletBalance: fmt(account.balance),
+            totalUnrealizedProfit: fmt(unrealized),
+            totalMarginBalance: fmt(marginBalance),
+            totalInitialMargin: fmt(initialMargin),
+            totalMaintMargin: fmt(maintMargin),
+            availableBalance: fmt(available),
+            maxWithdrawAmount: fmt(Math.max(available, 0)),
+            assets: [{
+                asset: 'USDT',
+                walletBalance: fmt(account.balance),
+                unrealizedProfit: fmt(unrealized),
+                marginBalance: fmt(marginBalance),
+                availableBalance: fmt(available)
+            }],
+            positions: this.positionRisk(account).map(p => ({
+                symbol: p.symbol,
+                positionAmt: p.positionAmt,
+                entryPrice: p.entryPrice,
+                unrealizedProfit: p.unRealizedProfit,
+                leverage: p.leverage,
+                positionSide: p.positionSide
+            }))
+        };
+    }
+
+    exchangeInfo() {
+        return {
+            timezone: 'UTC',
+            serverTime: Date.now(),
+            symbols: [...this.symbols.values()].map(({ symbol, spec }) => ({
+                symbol,
+                status: 'TRADING',
+                filters: [
+                    { filterType: 'PRICE_FILTER', tickSize: String(spec.tickSize), minPrice: String(spec.tickSize), maxPrice: '10000000' },
+                    { filterType: 'LOT_SIZE', stepSize: String(spec.stepSize), minQty: String(spec.minQty), maxQty: String(spec.maxQty) },
+                    { filterType: 'MARKET_LOT_SIZE', stepSize: String(spec.stepSize), minQty: String(spec.minQty), maxQty: String(spec.maxQty) },
+                    { filterType: 'MIN_NOTIONAL', notional: String(spec.minNotional) }
+                ]
+            }))
+        };
+    }
+
+    depth(symbol) {
+        const state = this.getSymbol(symbol);
+        const { tickSize } = state.spec;
+        const pd = decimalsOf(tickSize);
+        const levels = (start, dir) => Array.from({ length: 5 }, (_, i) => [
+            (start + dir * i * tickSize).toFixed(pd),
+            '1.000'
+        ]);
+        return {
+            lastUpdateId: Date.now(),
+            E: Date.now(),
+            T: Date.now(),
+            bids: levels(state.bid, -1),
+            asks: levels(state.ask, 1)
+        };
+    }
+
+    // 请求分发：method + endpoint 与真实 REST 接口一致，accountKey 区分账号
+    handle(accountKey, method, endpoint, params = {}) {
+        const account = this.getAccount(accountKey);
+        const route = `${method} ${endpoint}`;
+
+        switch (route) {
+            case 'GET /fapi/v1/time':
+                return { serverTime: Date.now() };
+            case 'GET /fapi/v1/exchangeInfo':
+                return this.exchangeInfo();
+            case 'GET /fapi/v1/depth':
+                return this.depth(params.symbol);
+            case 'GET /fapi/v1/ticker/price': {
+                const state = this.getSymbol(params.symbol);
+                return { symbol: params.symbol, price: String(state.mark), time: Date.now() };
+            }
+            case 'POST /fapi/v1/order':
+                return this.placeOrder(account, params);
+            case 'GET /fapi/v1/order': {
+                const order = this.findOrder(account, params);
+                if (!order) throw new ExchangeError(400, -2013, 'Order does not exist.');
+                return this.formatOrder(order);
+            }
+            case 'DELETE /fapi/v1/order':
+                return this.cancelOrder(account, this.findOrder(account, params));
+            case 'GET /fapi/v1/openOrders':
+                return [...account.orders.values()]
+                    .filter(o => ['NEW', 'PARTIALLY_FILLED'].includes(o.status) && (!params.symbol || o.symbol === params.symbol))
+                    .map(o => this.formatOrder(o));
+            case 'DELETE /fapi/v1/allOpenOrders': {
+                if (!params.symbol) throw new ExchangeError(400, -1102, "Mandatory parameter 'symbol' was not sent, was empty/null, or malformed.");
+                account.orders.forEach(o => {
+                    if (o.symbol === params.symbol && ['NEW', 'PARTIALLY_FILLED'].includes(o.status)) {
+                        o.status = 'CANCELED';
+                        o.updateTime = Date.now();
+                    }
+                });
+                return { code: 200, msg: 'The operation of cancel all open order is done.' };
+            }
+            case 'POST /fapi/v1/leverage': {
+                this.getSymbol(params.symbol);
+                const leverage = parseInt(params.leverage, 10);
+                if (!(leverage >= 1 && leverage <= 125)) throw new ExchangeError(400, -4028, 'Leverage is not valid.');
+                account.leverage.set(params.symbol, leverage);
+                return { symbol: params.symbol, leverage, maxNotionalValue: '1000000' };
+            }
+            case 'GET /fapi/v2/positionRisk':
+                return this.positionRisk(account, params.symbol);
+            case 'GET /fapi/v4/account':
+                return this.accountInfo(account);
+            case 'GET /fapi/v1/income':
+                return this.incomeHistory(account, params);
+            default:
+                throw new ExchangeError(404, -1000, `Unsupported endpoint: ${route}`);
+        }
+    }
+}
+
+module.exports = { SimulatedExchange, ExchangeError, RandomWalkPriceSource, RecordedPriceSource };
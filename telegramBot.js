@@ -0,0 +1,232 @@
+const nodeFetch = require('node-fetch');
+
+// Telegram 双向命令：长轮询 getUpdates，只处理配置的 chatId 发来的命令，回复等宽表格。
+// 启动前积压的消息直接丢弃，避免进程重启后执行过期的 /stop、/closeall
+
+// 中日韩字符在等宽字体中占两列
+const displayWidth = (text) => [...String(text)].reduce((w, ch) => w + (/[⺀-﹏＀-￯]/.test(ch) ? 2 : 1), 0);
+
+// 第一列左对齐，其余右对齐
+function formatTable(headers, rows) {
+    const all = [headers, ...rows].map(row => row.map(cell => String(cell)));
+    const widths = headers.map((_, i) => Math.max(...all.map(row => displayWidth(row[i] || ''))));
+    const pad = (cell, i) => {
+        const space = ' '.repeat(widths[i] - displayWidth(cell));
+        return i === 0 ? cell + space : space + cell;
+    };
+    const lines = all.map(row => row.map(pad).join(' | '));
+    lines.splice(1, 0, widths.map(w => '-'.repeat(w)).join('-+-'));
+    return lines.join('\n');
+}
+
+const escapeHtml = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+const pre = (text) => `<pre>${escapeHtml(text)}</pre>`;
+const fixed = (n, d = 2) => (Number.isFinite(n) ? n.toFixed(d) : '-');
+
+const HELP_TEXT = [
+    '可用命令：',
+    '/status - 循环状态与各账号持仓',
+    '/balance - 各账号余额',
+    '/stats - 本次会话成交额、手续费与盈亏',
+    '/pause - 当前周期结束后暂停',
+    '/resume - 恢复循环',
+    '/closeall - 撤单并平掉所有持仓（需确认）',
+    '/stop - 平仓后安全退出'
+].join('\n');
+
+class TelegramBot {
+    // options: { tool, symbol, botToken, chatId, apiBase, pollTimeoutSec, confirmTimeoutMs, retryDelayMs, onStop, logger }
+    constructor({ tool, symbol, botToken, chatId, apiBase = 'https://api.telegram.org', pollTimeoutSec = 30, confirmTimeoutMs = 60_000, retryDelayMs = 5000, onStop = null, logger = console }) {
+        if (!botToken || !chatId) {
+            throw new Error('Telegram 命令需要配置 botToken 与 chatId');
+        }
+        this.tool = tool;
+        this.symbol = symbol;
+        this.botToken = botToken;
+        this.chatId = String(chatId);
+        this.apiBase = apiBase.replace(/\/+$/, '');
+        this.pollTimeoutSec = pollTimeoutSec;
+        this.confirmTimeoutMs = confirmTimeoutMs;
+        this.retryDelayMs = retryDelayMs;
+        this.onStop = onStop;
+        this.logger = logger;
+        this.offset = 0;
+        this.running = false;
+        this.polling = null;
+        this.abort = null;
+        this.startedAt = 0;
+        // /closeall 待确认：{ code, expiresAt }
+        this.pendingClose = null;
+        this.commands = {
+            '/start': () => HELP_TEXT,
+            '/help': () => HELP_TEXT,
+            '/status': () => this.statusText(),
+            '/balance': () => this.balanceText(),
+            '/stats': () => this.statsText(),
+            '/pause': () => (this.tool.pause() ? '⏸️ 已请求暂停，当前周期平仓后不再开新仓' : '⏸️ 循环已处于暂停状态'),
+            '/resume': () => (this.tool.resume() ? '▶️ 已恢复循环' : '▶️ 循环未暂停，无需恢复'),
+            '/closeall': () => this.requestCloseAll(),
+            '/confirm': (args) => this.confirmCloseAll(args[0]),
+            '/stop': () => {
+                setImmediate(() => this.onStop && this.onStop('收到 Telegram 停止命令'));
+                return '🛑 正在撤单平仓并安全退出...';
+            }
+        };
+    }
+
+    async call(method, params = {}, signal) {
+        const response = await nodeFetch(`${this.apiBase}/bot${this.botToken}/${method}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(params),
+            signal
+        });
+        const data = await response.json();
+        if (!data.ok) {
+            const error = new Error(`Telegram ${method} 失败: ${data.description || response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        return data.result;
+    }
+
+    async reply(text) {
+        try {
+            await this.call('sendMessage', { chat_id: this.chatId, text, parse_mode: 'HTML', disable_web_page_preview: true });
+        } catch (error) {
+            this.logger.error(`Telegram 回复失败: ${error.message}`);
+        }
+    }
+
+    start() {
+        if (this.running) return;
+        this.running = true;
+        this.startedAt = Math.floor(Date.now() / 1000);
+        this.polling = this.pollLoop();
+        this.logger.log(`🤖 Telegram 命令已启用（chatId ${this.chatId}）`);
+    }
+
+    async stop() {
+        if (!this.running) return;
+        this.running = false;
+        if (this.abort) this.abort.abort();
+        await this.polling;
+    }
+
+    async pollLoop() {
+        while (this.running) {
+            this.abort = new AbortController();
+            try {
+                const updates = await this.call('getUpdates', {
+                    offset: this.offset,
+                    timeout: this.pollTimeoutSec,
+                    allowed_updates: ['message']
+                }, this.abort.signal);
+                for (const update of updates) {
+                    this.offset = update.update_id + 1;
+                    await this.handleUpdate(update);
+                }
+            } catch (error) {
+                if (!this.running) break;
+                this.logger.error(`Telegram 拉取命令失败: ${error.message}，${this.retryDelayMs}ms 后重试`);
+                await new Promise(resolve => setTimeout(resolve, this.retryDelayMs));
+            }
+        }
+    }
+
+    async handleUpdate(update) {
+        const message = update.message;
+        if (!message || typeof message.text !== 'string') return;
+        if (String(message.chat && message.chat.id) !== this.chatId) {
+            this.logger.log(`🤖 忽略非授权聊天 ${message.chat && message.chat.id} 的消息`);
+            return;
+        }
+        if (message.date < this.startedAt) return;
+
+        const [head, ...args] = message.text.trim().split(/\s+/);
+        // 群聊中命令可能带 @机器人名
+        const name = head.toLowerCase().replace(/@\S+$/, '');
+        const command = this.commands[name];
+        if (!command) {
+            if (name.startsWith('/')) await this.reply(`未知命令 ${escapeHtml(name)}\n\n${HELP_TEXT}`);
+            return;
+        }
+
+        this.logger.log(`🤖 Telegram 命令: ${name}`);
+        try {
+            await this.reply(await command(args));
+        } catch (error) {
+            this.logger.error(`Telegram 命令 ${name} 失败: ${error.message}`);
+            await this.reply(`❌ ${name} 失败: ${escapeHtml(error.message)}`);
+        }
+    }
+
+    requestCloseAll() {
+        const code = String(Math.floor(1000 + Math.random() * 9000));
+        this.pendingClose = { code, expiresAt: Date.now() + this.confirmTimeoutMs };
+        return `⚠️ 将撤销所有挂单并平掉 ${escapeHtml(this.symbol)} 全部持仓，随后暂停循环。\n请在 ${Math.round(this.confirmTimeoutMs / 1000)} 秒内发送 /confirm ${code} 确认`;
+    }
+
+    async confirmCloseAll(code) {
+        const pending = this.pendingClose;
+        if (!pending || Date.now() > pending.expiresAt) {
+            this.pendingClose = null;
+            return '没有待确认的操作，请重新发送 /closeall';
+        }
+        if (code !== pending.code) {
+            return '确认码不正确';
+        }
+        this.pendingClose = null;
+        const result = await this.tool.closeAllAndPause(this.symbol);
+        if (!result.started) {
+            return '⏳ 已在平仓中，已撤销挂单，循环已暂停；完成后可发送 /status 检查持仓';
+        }
+        if (result.remaining.length > 0) {
+            return `⚠️ 平仓后仍有持仓: ${escapeHtml(result.remaining.join(', '))}，请发送 /status 检查`;
+        }
+        return '✅ 已撤单并平仓，循环已暂停（/resume 恢复）';
+    }
+
+    async statusText() {
+        const state = this.tool.loopState;
+        const paused = this.tool.pauseRequested || this.tool.riskController.tripped;
+        const results = await this.tool.checkAllPositions(this.symbol);
+        const rows = results.map((result, index) => {
+            const account = this.tool.accounts[index].accountName;
+            if (result.status !== 'fulfilled') return [account, '查询失败', '-', '-'];
+            const pos = (result.value || []).find(p => parseFloat(p.positionAmt) !== 0);
+            return pos
+                ? [account, pos.positionAmt, fixed(parseFloat(pos.entryPrice), 4), fixed(parseFloat(pos.unRealizedProfit), 4)]
+                : [account, '0', '-', '-'];
+        });
+        const header = [
+            `📊 ${this.symbol} ${state.running ? `第 ${state.cycle} 轮 · ${state.phase}` : '循环未运行'}${paused ? ' · 已暂停' : ''}`
+        ];
+        if (this.tool.riskController.tripped) header.push(`风控熔断: ${this.tool.riskController.tripReason}`);
+        return `${escapeHtml(header.join('\n'))}\n${pre(formatTable(['账号', '持仓', '均价', '未实现盈亏'], rows))}`;
+    }
+
+    async balanceText() {
+        const balances = await this.tool.showAllBalances();
+        const sum = (key) => balances.reduce((s, b) => s + b[key], 0);
+        const rows = balances.map(b => [b.account, fixed(b.total), fixed(b.usdf), fixed(b.usdt)]);
+        rows.push(['合计', fixed(sum('total')), fixed(sum('usdf')), fixed(sum('usdt'))]);
+        const failed = this.tool.accounts.length - balances.length;
+        return `💼 合约账户余额${failed > 0 ? `（${failed} 个账号查询失败）` : ''}\n${pre(formatTable(['账号', '总额', 'USDF', 'USDT'], rows))}`;
+    }
+
+    statsText() {
+        const risk = this.tool.riskController;
+        const volume = this.tool.volumeStats;
+        const rows = this.tool.accounts.map((account, index) => [account.accountName, fixed(volume.perAccount[index])]);
+        rows.push(['合计', fixed(volume.total)]);
+        const pnl = [
+            ['实现盈亏', fixed(risk.sessionPnl, 4)],
+            ['手续费', fixed(risk.sessionCommission, 4)],
+            ['净盈亏', fixed(risk.sessionNet, 4)]
+        ];
+        return `📈 本次会话（${this.tool.loopState.cycle} 轮）\n${pre(`${formatTable(['账号', '成交额'], rows)}\n\n${formatTable(['项目', 'USDT'], pnl)}`)}`;
+    }
+}
+
+module.exports = { TelegramBot, formatTable };
@@ -0,0 +1,183 @@
+const http = require('http');
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { config, useMockServer } = require('./helpers');
+const { MockTelegramServer } = require('./mockTelegramServer');
+const { MockSmtpServer, parseMail } = require('./mockSmtpServer');
+const { AlertRouter, createAlertChannels } = require('../alerts');
+const { ThreeAccountHedgeTool, AsterFuturesAPI } = require('../index');
+
+const BOT_TOKEN = '123456:alert-bot-token';
+
+// 记录收到报警的内存通道
+const recorder = (name, minSeverity = 'info') => ({ name, minSeverity, alerts: [], async send(alert) { this.alerts.push(alert); } });
+
+// 本地 JSON Webhook 替身，status 可改为非 2xx 模拟失败
+function startWebhook() {
+    const hook = { bodies: [], status: 200 };
+    hook.server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            hook.bodies.push({ headers: req.headers, body: JSON.parse(raw) });
+            res.writeHead(hook.status, { 'Content-Type': 'application/json' });
+            res.end('{}');
+        });
+    });
+    return new Promise(resolve => hook.server.listen(0, '127.0.0.1', () => {
+        hook.url = `http://127.0.0.1:${hook.server.address().port}/hook`;
+        resolve(hook);
+    }));
+}
+
+describe('AlertRouter', () => {
+    it('deduplicates by key, routes by severity and digests suppressed alerts', async () => {
+        const all = recorder('all');
+        const criticalOnly = recorder('pager', 'critical');
+        const router = new AlertRouter({ channels: [all, criticalOnly], dedupWindowMs: 60_000, logger: { log() {}, error() {} } });
+
+        assert.strictEqual(await router.send('warn', 'request-failed:GET /x', 'fail 1'), true);
+        assert.strictEqual(await router.send('warn', 'request-failed:GET /x', 'fail 2'), false);
+        assert.strictEqual(await router.send('warn', 'request-failed:GET /x', 'fail 3'), false);
+        await router.send('info', 'other', 'hello');
+        // 同一 key 级别升高时立即发送
+        await router.send('critical', 'request-failed:GET /x', 'fail 4');
+        await router.send('critical', 'request-failed:GET /x', 'fail 5');
+
+        assert.deepStrictEqual(all.alerts.map(a => a.text), ['fail 1', 'hello', 'fail 4']);
+        assert.deepStrictEqual(criticalOnly.alerts.map(a => a.text), ['fail 4']);
+
+        await router.flush();
+        const digest = all.alerts[3];
+        assert.strictEqual(digest.digest, true);
+        assert.strictEqual(digest.count, 3);
+        assert.strictEqual(digest.severity, 'critical');
+        assert.match(digest.text, /最近 1 分钟内又发生 3 次同类报警（request-failed:GET \/x）[\s\S]*fail 5/);
+        assert.strictEqual(criticalOnly.alerts.length, 2);
+        assert.strictEqual(router.windows.size, 0);
+    });
+
+    it('sends a digest when the window closes and keeps suppressing while errors continue', async () => {
+        const channel = recorder('all');
+        const router = new AlertRouter({ channels: [channel], dedupWindowMs: 100, logger: { log() {}, error() {} } });
+
+        await router.send('warn', 'k', 'a');
+        await router.send('warn', 'k', 'b');
+        await new Promise(r => setTimeout(r, 150));
+        assert.deepStrictEqual(channel.alerts.map(a => [a.digest, a.count]), [[false, 1], [true, 1]]);
+
+        await router.send('warn', 'k', 'c');
+        assert.strictEqual(channel.alerts.length, 2);
+        await new Promise(r => setTimeout(r, 250));
+        await router.send('warn', 'k', 'd');
+        assert.deepStrictEqual(channel.alerts.map(a => a.text.split('\n').pop()), ['a', 'b', 'c', 'd']);
+        await router.flush();
+    });
+});
+
+describe('alert channels', () => {
+    const telegram = new MockTelegramServer(BOT_TOKEN);
+    const smtp = new MockSmtpServer({ user: 'alerts@example.com', password: 'smtp-pass' });
+    let hook;
+    let channels;
+
+    before(async () => {
+        await telegram.start();
+        await smtp.start();
+        hook = await startWebhook();
+        channels = createAlertChannels({
+            telegram: { enabled: true, botToken: BOT_TOKEN, chatId: '42', apiBase: telegram.url },
+            alerts: {
+                webhook: { url: hook.url, headers: { Authorization: 'Bearer hook-token' } },
+                email: { host: '127.0.0.1', port: smtp.port, allowInsecureAuth: true, user: 'alerts@example.com', from: 'Aster <alerts@example.com>', to: 'ops@example.com, oncall@example.com' }
+            }
+        }, { ASTER_SMTP_PASSWORD: 'smtp-pass' });
+    });
+
+    after(async () => {
+        await telegram.stop();
+        await smtp.stop();
+        await new Promise(resolve => hook.server.close(resolve));
+    });
+
+    it('delivers to Telegram, the JSON webhook and SMTP email by severity', async () => {
+        assert.deepStrictEqual(channels.map(c => [c.name, c.minSeverity]), [['telegram', 'info'], ['webhook', 'info'], ['email', 'critical']]);
+        const router = new AlertRouter({ channels, dedupWindowMs: 0, logger: { log() {}, error() {} } });
+
+        await router.send('warn', 'request-failed:GET /fapi/v1/openOrders', '⚠️ 报警：账号 账号1 API 请求失败');
+        await router.send('critical', 'risk-trip', '🛑 报警：风控熔断\n原因: 会话亏损');
+
+        assert.deepStrictEqual(telegram.sent.map(m => [m.chatId, m.text.split('\n')[0]]), [['42', '⚠️ 报警：账号 账号1 API 请求失败'], ['42', '🛑 报警：风控熔断']]);
+
+        assert.strictEqual(hook.bodies.length, 2);
+        assert.strictEqual(hook.bodies[1].headers.authorization, 'Bearer hook-token');
+        assert.deepStrictEqual(
+            (({ source, severity, key, count, digest }) => ({ source, severity, key, count, digest }))(hook.bodies[1].body),
+            { source: 'aster-tools', severity: 'critical', key: 'risk-trip', count: 1, digest: false }
+        );
+
+        assert.strictEqual(smtp.messages.length, 1);
+        const mail = smtp.messages[0];
+        assert.strictEqual(mail.from, 'alerts@example.com');
+        assert.deepStrictEqual(mail.to, ['ops@example.com', 'oncall@example.com']);
+        const { subject, text } = parseMail(mail.raw);
+        assert.strictEqual(subject, '[aster-tools][critical] 🛑 报警：风控熔断');
+        assert.match(text, /原因: 会话亏损[\s\S]*报警 key: risk-trip/);
+    });
+
+    it('reports per-channel failures from a test send', async () => {
+        hook.status = 500;
+        const [tg, webhook] = channels;
+        const badEmail = createAlertChannels({ alerts: { email: { host: '127.0.0.1', port: smtp.port, allowInsecureAuth: true, user: 'alerts@example.com', password: 'wrong', from: 'a@example.com', to: 'b@example.com' } } }, {})[0];
+        const router = new AlertRouter({ channels: [tg, webhook, badEmail], logger: { log() {}, error() {} } });
+
+        const results = await router.test('🔔 测试通知');
+        assert.deepStrictEqual(results.map(r => [r.name, r.ok]), [['telegram', true], ['webhook', false], ['email', false]]);
+        assert.match(results[1].error, /HTTP 500/);
+        assert.match(results[2].error, /AUTH 失败: 535/);
+        hook.status = 200;
+    });
+
+    it('refuses to send the SMTP password over an unencrypted connection by default', async () => {
+        const [email] = createAlertChannels({ alerts: { email: { host: '127.0.0.1', port: smtp.port, user: 'alerts@example.com', password: 'smtp-pass', from: 'a@example.com', to: 'b@example.com' } } }, {});
+        const attempts = smtp.authAttempts;
+        const sent = smtp.messages.length;
+
+        await assert.rejects(email.send({ severity: 'critical', key: 'k', text: '🛑 报警', time: Date.now() }), /拒绝发送密码/);
+        assert.strictEqual(smtp.authAttempts, attempts);
+        assert.strictEqual(smtp.messages.length, sent);
+    });
+});
+
+describe('request failure alerts', () => {
+    const server = useMockServer();
+    let hook;
+
+    before(async () => {
+        hook = await startWebhook();
+        config.alerts = { dedupWindowSec: 60, webhook: { url: hook.url } };
+    });
+
+    after(async () => {
+        delete config.alerts;
+        await new Promise(resolve => hook.server.close(resolve));
+    });
+
+    it('collapses an exchange outage into one alert and a digest on shutdown', async () => {
+        server.injectError({ method: 'GET', path: '/fapi/v1/openOrders', status: 503, times: 100 });
+        const client = new AsterFuturesAPI('key1', 'secret1', '账号1');
+        for (let i = 0; i < 5; i++) {
+            await assert.rejects(client.getOpenOrders('BTCUSDT'), err => err.status === 503);
+        }
+        assert.strictEqual(hook.bodies.length, 1);
+        assert.strictEqual(hook.bodies[0].body.severity, 'warn');
+        assert.strictEqual(hook.bodies[0].body.key, 'request-failed:GET /fapi/v1/openOrders');
+
+        server.clearInjections();
+        await new ThreeAccountHedgeTool().shutdown('BTCUSDT');
+        assert.strictEqual(hook.bodies.length, 2);
+        assert.strictEqual(hook.bodies[1].body.digest, true);
+        assert.strictEqual(hook.bodies[1].body.count, 4);
+    });
+});
@@ -0,0 +1,93 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { config, useMockServer, waitFor, startDrift } = require('./helpers');
+const { ThreeAccountHedgeTool } = require('../index');
+
+const SYMBOL = 'BTCUSDT';
+
+describe('balance and margin pre-check', () => {
+    const server = useMockServer();
+    let tool;
+    let drift;
+
+    const ordersOf = (label) => [...server.exchange.getAccount(label).orders.values()];
+
+    beforeEach(() => {
+        server.reset();
+        tool = new ThreeAccountHedgeTool();
+        drift = startDrift(server, SYMBOL);
+    });
+
+    afterEach(async () => {
+        clearInterval(drift);
+        // 断言失败时结束仍在暂停中的循环
+        await tool.shutdown(SYMBOL);
+        delete config.minAccountBalance;
+        delete config.balanceCheck;
+    });
+
+    it('excludes accounts below the minimum balance or unable to cover the margin', async () => {
+        config.minAccountBalance = 500;
+        server.exchange.getAccount('账号2').balance = 300;
+
+        const { eligible, excluded } = await tool.checkAccountEligibility(SYMBOL, 20);
+        assert.deepStrictEqual(eligible.map(a => a.accountName), ['账号1', '账号3']);
+        assert.strictEqual(excluded[0].account.accountName, '账号2');
+        assert.match(excluded[0].reason, /可用余额 300\.00 USDT 低于最低要求 500 USDT/);
+
+        // 1 倍杠杆时 0.005 BTC 约需 500 × 1.2 USDT 保证金
+        server.exchange.getAccount('账号3').balance = 550;
+        const lowLeverage = await tool.checkAccountEligibility(SYMBOL, 1);
+        assert.deepStrictEqual(lowLeverage.eligible.map(a => a.accountName), ['账号1']);
+        assert.match(lowLeverage.excluded[1].reason, /不足以覆盖保证金/);
+
+        config.balanceCheck = { enabled: false };
+        assert.strictEqual((await tool.checkAccountEligibility(SYMBOL, 1)).eligible.length, 3);
+    });
+
+    it('selects no account when neither the book nor a reference price is available', async () => {
+        const savedPrice = config.price;
+        delete config.price;
+        server.injectError({ method: 'GET', path: '/fapi/v1/depth', status: 503, times: 100 });
+        try {
+            const result = await tool.checkAccountEligibility(SYMBOL, 20);
+            assert.deepStrictEqual(result.eligible, []);
+            assert.match(result.skipReason, /无法获取 BTCUSDT 盘口价格且未配置参考价/);
+
+            config.price = savedPrice;
+            const fallback = await tool.checkAccountEligibility(SYMBOL, 20);
+            assert.strictEqual(fallback.skipReason, undefined);
+            assert.strictEqual(fallback.eligible.length, 3);
+            assert.ok(fallback.requiredMargin > 0);
+        } finally {
+            config.price = savedPrice;
+            server.clearInjections();
+        }
+    });
+
+    it('never selects an ineligible account for the main or helper legs', async () => {
+        server.exchange.getAccount('账号2').balance = 50;
+        await tool.loopHedge({ symbol: SYMBOL, maxCycles: 3, maxWaitTime: 10_000 });
+
+        assert.strictEqual(tool.loopState.cycle, 3);
+        assert.strictEqual(ordersOf('账号2').length, 0);
+        assert.ok(ordersOf('账号1').length > 0 && ordersOf('账号3').length > 0);
+    });
+
+    it('pauses before opening when fewer than two accounts remain and resumes after a top-up', async () => {
+        server.exchange.getAccount('账号1').balance = 50;
+        server.exchange.getAccount('账号3').balance = 20;
+        const loop = tool.loopHedge({ symbol: SYMBOL, maxCycles: 1, maxWaitTime: 10_000 });
+
+        await waitFor(() => tool.loopState.phase === 'paused');
+        assert.strictEqual(tool.loopState.cycle, 0);
+        assert.strictEqual(tool.pauseRequested, true);
+        config.accounts.forEach(({ label }) => assert.strictEqual(ordersOf(label).length, 0));
+
+        server.exchange.getAccount('账号1').balance = 10_000;
+        tool.resume();
+        await loop;
+        assert.strictEqual(tool.loopState.cycle, 1);
+        assert.strictEqual(ordersOf('账号3').length, 0);
+    });
+});
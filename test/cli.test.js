@@ -0,0 +1,85 @@
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { config, useMockServer } = require('./helpers');
+const { parseCliArgs, runCli } = require('../index');
+
+describe('parseCliArgs', () => {
+    it('parses a subcommand with global options', () => {
+        const parsed = parseCliArgs(['status', '--symbol', 'ethusdt', '--accounts=1,3', '-y']);
+        assert.deepStrictEqual(parsed, {
+            command: 'status',
+            args: [],
+            options: { symbol: 'ethusdt', accounts: '1,3', yes: true }
+        });
+    });
+
+    it('takes positional arguments for leverage', () => {
+        const parsed = parseCliArgs(['leverage', 'BTCUSDT', '10']);
+        assert.deepStrictEqual(parsed.args, ['BTCUSDT', '10']);
+        assert.throws(() => parseCliArgs(['leverage', 'BTCUSDT']), err => err.code === 'CLI_USAGE');
+    });
+
+    it('rejects unknown commands, unknown options and options of other commands', () => {
+        assert.throws(() => parseCliArgs([]), err => err.code === 'CLI_USAGE');
+        assert.throws(() => parseCliArgs(['trade']), err => err.code === 'CLI_USAGE');
+        assert.throws(() => parseCliArgs(['status', '--bogus']), err => err.code === 'CLI_USAGE');
+        assert.throws(() => parseCliArgs(['status', '--from', '2025-01-01']), err => err.code === 'CLI_USAGE');
+        assert.throws(() => parseCliArgs(['status', '--symbol']), err => err.code === 'CLI_USAGE');
+        assert.deepStrictEqual(parseCliArgs(['report', '--from', '2025-01-01']).options, { from: '2025-01-01' });
+    });
+
+    it('exits with a non-zero code and help text on unknown arguments', () => {
+        const result = spawnSync(process.execPath, [path.join(__dirname, '..', 'index.js'), '--bogus'], {
+            cwd: path.join(__dirname, '..'),
+            env: { ...process.env },
+            encoding: 'utf8',
+            timeout: 30_000
+        });
+        assert.strictEqual(result.status, 2);
+        assert.match(result.stderr, /未知选项: --bogus/);
+        assert.match(result.stderr, /用法: node index\.js/);
+    });
+});
+
+describe('runCli', () => {
+    const server = useMockServer();
+
+    beforeEach(() => {
+        server.reset();
+    });
+
+    it('sets leverage only on the selected accounts', async () => {
+        const code = await runCli(['leverage', 'BTCUSDT', '15', '--accounts', '1,账号3']);
+        assert.strictEqual(code, 0);
+        assert.strictEqual(server.exchange.accountLeverage(server.exchange.getAccount('账号1'), 'BTCUSDT'), 15);
+        assert.strictEqual(server.exchange.accountLeverage(server.exchange.getAccount('账号3'), 'BTCUSDT'), 15);
+        assert.notStrictEqual(server.exchange.accountLeverage(server.exchange.getAccount('账号2'), 'BTCUSDT'), 15);
+    });
+
+    it('refuses destructive commands without --yes when stdin is not a terminal', async () => {
+        const code = await runCli(['cancel']);
+        assert.strictEqual(code, 1);
+        assert.strictEqual(server.requests.length, 0);
+    });
+
+    it('stops before any request when the config is invalid', async () => {
+        const { minQuantity } = config;
+        config.minQuantity = 1;
+        try {
+            assert.strictEqual(await runCli(['status']), 1);
+        } finally {
+            config.minQuantity = minQuantity;
+        }
+        assert.strictEqual(server.requests.length, 0);
+    });
+
+    it('reports diagnostics and fails when an account key is rejected', async () => {
+        assert.strictEqual(await runCli(['doctor']), 0);
+
+        server.injectError({ method: 'GET', path: '/fapi/v4/account', status: 401, code: -2015, msg: 'Invalid API-key, IP, or permissions for action.' });
+        assert.strictEqual(await runCli(['doctor', '--accounts', '2']), 1);
+    });
+});
@@ -0,0 +1,130 @@
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { loadEnvFile, loadConfig, resolveAccountConfigs, validateConfig } = require('../configLoader');
+
+const validConfig = () => ({
+    accounts: [1, 2, 3].map(i => ({ label: `账号${i}`, apiKey: `key${i}`, apiSecret: `secret${i}` })),
+    telegram: { enabled: false },
+    symbol: 'BTCUSDT',
+    leverage: 20,
+    positionTime: { min: 30, max: 60 },
+    minQuantity: 0.001,
+    maxQuantity: 0.01
+});
+
+describe('validateConfig', () => {
+    it('accepts the example config shape', () => {
+        const { errors, warnings } = validateConfig(validConfig(), { env: {} });
+        assert.deepStrictEqual(errors, []);
+        assert.deepStrictEqual(warnings, []);
+    });
+
+    it('reports every problem with the offending key', () => {
+        const config = validConfig();
+        config.accounts = config.accounts.slice(0, 1);
+        config.accounts[0].apiSecret = '';
+        config.minQuantity = 0.02;
+        config.positionTime = { min: 60, max: 30 };
+        config.leverage = '20';
+        config.riskControl = { onTrip: 'stop' };
+        config.maxQuantiy = 1;
+
+        const { errors, warnings } = validateConfig(config, { env: {} });
+        assert.deepStrictEqual(errors, [
+            'leverage 必须是整数，当前: "20"',
+            'riskControl.onTrip 只能是 exit / pause，当前: "stop"',
+            '至少需要配置 2 个账号（accounts 或 api1/api2/...），当前: 1',
+            '账号 1（账号1） 缺少 apiSecret（或环境变量 ASTER_API_SECRET_1、密钥库）',
+            'minQuantity (0.02) 不能大于 maxQuantity (0.01)',
+            'positionTime.min (60) 不能大于 positionTime.max (30)'
+        ]);
+        assert.deepStrictEqual(warnings, ['未知配置项 maxQuantiy（拼写错误？）']);
+    });
+
+    it('validates legacy api1/api2/api3 accounts and skips keys in paper mode', () => {
+        const config = validConfig();
+        delete config.accounts;
+        config.api1 = { apiKey: 'k1', apiSecret: 's1' };
+        config.api2 = { apiKey: '', apiSecret: '' };
+        assert.strictEqual(validateConfig(config, { env: {} }).errors.length, 2);
+        assert.deepStrictEqual(validateConfig(config, { env: {}, requireKeys: false }).errors, []);
+    });
+});
+
+describe('environment secrets and profiles', () => {
+    let dir;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aster-config-'));
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('reads .env without overriding variables that are already set', () => {
+        const file = path.join(dir, '.env');
+        fs.writeFileSync(file, [
+            '# 账号密钥',
+            'ASTER_API_KEY_1=fromfile',
+            'export ASTER_API_SECRET_1="quoted # not a comment"',
+            'ASTER_API_KEY_2=plain # trailing comment',
+            'ASTER_API_SECRET_2=file'
+        ].join('\n'));
+        const env = { ASTER_API_SECRET_2: 'shell' };
+
+        assert.strictEqual(loadEnvFile(file, env), true);
+        assert.deepStrictEqual(env, {
+            ASTER_API_KEY_1: 'fromfile',
+            ASTER_API_SECRET_1: 'quoted # not a comment',
+            ASTER_API_KEY_2: 'plain',
+            ASTER_API_SECRET_2: 'shell'
+        });
+    });
+
+    it('takes account keys from numbered or named environment variables', () => {
+        const config = validConfig();
+        config.accounts[0].apiKey = '';
+        config.accounts[2].apiKeyEnv = 'ETH_KEY';
+        const accounts = resolveAccountConfigs(config, { ASTER_API_KEY_1: 'env1', ETH_KEY: 'eth' });
+        assert.deepStrictEqual(accounts.map(a => a.apiKey), ['env1', 'key2', 'eth']);
+    });
+
+    it('merges the selected profile over the top-level config', () => {
+        const file = path.join(dir, 'profileConfig.js');
+        fs.writeFileSync(file, `module.exports = ${JSON.stringify({
+            ...validConfig(),
+            profiles: {
+                eth: { symbol: 'ETHUSDT', minQuantity: 0.01, maxQuantity: 0.1 }
+            }
+        })};`);
+        const env = { ASTER_TELEGRAM_BOT_TOKEN: 'token' };
+
+        const config = loadConfig(file, { profile: 'eth', env, envFile: null });
+        assert.strictEqual(config.symbol, 'ETHUSDT');
+        assert.strictEqual(config.maxQuantity, 0.1);
+        assert.strictEqual(config.leverage, 20);
+        assert.strictEqual(config.activeProfile, 'eth');
+        assert.strictEqual(config.telegram.botToken, 'token');
+        assert.deepStrictEqual(validateConfig(config, { env }).errors, []);
+
+        assert.throws(() => loadConfig(file, { profile: 'sol', env, envFile: null }), /未找到配置档 "sol"（可用: eth）/);
+    });
+
+    it('reads .env next to the config file regardless of the working directory', () => {
+        const configDir = fs.mkdtempSync(path.join(dir, 'deploy-'));
+        const file = path.join(configDir, 'apiConfig.js');
+        fs.writeFileSync(file, `module.exports = ${JSON.stringify(validConfig())};`);
+        fs.writeFileSync(path.join(configDir, '.env'), 'ASTER_TELEGRAM_BOT_TOKEN=from-config-dir\n');
+        const env = {};
+
+        const config = loadConfig(file, { env });
+        assert.notStrictEqual(process.cwd(), configDir);
+        assert.strictEqual(env.ASTER_TELEGRAM_BOT_TOKEN, 'from-config-dir');
+        assert.strictEqual(config.telegram.botToken, 'from-config-dir');
+    });
+});
@@ -0,0 +1,313 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { config, useMockServer, waitFor, startDrift } = require('./helpers');
+const { ThreeAccountHedgeTool } = require('../index');
+
+const SYMBOL = 'BTCUSDT';
+
+describe('ThreeAccountHedgeTool', () => {
+    const server = useMockServer();
+    let tool;
+
+    // 直接在模拟交易所中为账号建立持仓/挂单
+    const seed = (label, params) => server.exchange.handle(label, 'POST', '/fapi/v1/order', Object.assign({ symbol: SYMBOL }, params));
+    const positionOf = (label) => parseFloat(server.exchange.handle(label, 'GET', '/fapi/v2/positionRisk', { symbol: SYMBOL })[0].positionAmt);
+    const openOrdersOf = (label) => server.exchange.handle(label, 'GET', '/fapi/v1/openOrders', { symbol: SYMBOL });
+
+    beforeEach(() => {
+        server.reset();
+        tool = new ThreeAccountHedgeTool();
+    });
+
+    describe('closePosition', () => {
+        it('closes a long with a reduceOnly market sell', async () => {
+            seed('账号1', { side: 'BUY', type: 'MARKET', quantity: '0.003' });
+
+            const result = await tool.accounts[0].closePosition(SYMBOL);
+            assert.strictEqual(result.status, 'FILLED');
+
+            const order = server.requests.filter(r => r.method === 'POST' && r.path === '/fapi/v1/order').pop();
+            assert.strictEqual(order.params.side, 'SELL');
+            assert.strictEqual(order.params.type, 'MARKET');
+            assert.strictEqual(order.params.reduceOnly, 'true');
+            assert.strictEqual(order.params.quantity, '0.003');
+            assert.strictEqual(positionOf('账号1'), 0);
+        });
+
+        it('closes a short with a reduceOnly market buy', async () => {
+            seed('账号2', { side: 'SELL', type: 'MARKET', quantity: '0.002' });
+
+            await tool.accounts[1].closePosition(SYMBOL);
+
+            const order = server.requests.filter(r => r.method === 'POST' && r.path === '/fapi/v1/order').pop();
+            assert.strictEqual(order.params.side, 'BUY');
+            assert.strictEqual(order.params.reduceOnly, 'true');
+            assert.strictEqual(positionOf('账号2'), 0);
+        });
+
+        it('treats a rejected reduceOnly order as already flat', async () => {
+            seed('账号1', { side: 'BUY', type: 'MARKET', quantity: '0.003' });
+            server.injectError({ method: 'POST', path: '/fapi/v1/order', status: 400, code: -2022, msg: 'ReduceOnly Order is rejected.' });
+
+            const result = await tool.accounts[0].closePosition(SYMBOL);
+            assert.strictEqual(result, null);
+        });
+
+        it('returns null when there is no position', async () => {
+            const result = await tool.accounts[0].closePosition(SYMBOL);
+            assert.strictEqual(result, null);
+            assert.strictEqual(server.countRequests('POST', '/fapi/v1/order'), 0);
+        });
+    });
+
+    describe('ensureNoPositionsAndOrders', () => {
+        it('cancels open orders and flattens every account', async () => {
+            seed('账号1', { side: 'BUY', type: 'MARKET', quantity: '0.004' });
+            seed('账号2', { side: 'SELL', type: 'MARKET', quantity: '0.002' });
+            seed('账号3', { side: 'BUY', type: 'LIMIT', quantity: '0.002', price: '90000', timeInForce: 'GTC' });
+
+            await tool.ensureNoPositionsAndOrders(SYMBOL);
+
+            ['账号1', '账号2', '账号3'].forEach(label => {
+                assert.strictEqual(positionOf(label), 0);
+                assert.strictEqual(openOrdersOf(label).length, 0);
+            });
+        });
+
+        it('throws when a position cannot be closed', async () => {
+            seed('账号1', { side: 'BUY', type: 'MARKET', quantity: '0.004' });
+            server.injectError({ method: 'POST', path: '/fapi/v1/order', status: 400, code: -2019, msg: 'Margin is insufficient.', times: 10 });
+
+            await assert.rejects(tool.ensureNoPositionsAndOrders(SYMBOL), /账号1/);
+        });
+    });
+
+    describe('loopHedge', () => {
+        it('runs a full cycle: limit entry, helper hedge, hold and flatten', async () => {
+            const drift = startDrift(server, SYMBOL);
+
+            try {
+                await tool.loopHedge({ symbol: SYMBOL, maxCycles: 1, maxWaitTime: 10_000 });
+            } finally {
+                clearInterval(drift);
+            }
+
+            const orders = [];
+            config.accounts.forEach(({ label }) => {
+                server.exchange.getAccount(label).orders.forEach(order => orders.push(Object.assign({ label }, order)));
+            });
+
+            const entry = orders.filter(o => o.type === 'LIMIT' && o.side === 'BUY');
+            assert.strictEqual(entry.length, 1);
+            assert.strictEqual(entry[0].status, 'FILLED');
+
+            const hedges = orders.filter(o => o.type === 'MARKET' && o.side === 'SELL' && !o.reduceOnly);
+            assert.ok(hedges.length >= 1);
+            assert.ok(hedges.every(o => o.label !== entry[0].label));
+            const hedged = hedges.reduce((sum, o) => sum + o.executedQty, 0);
+            assert.strictEqual(hedged.toFixed(3), entry[0].executedQty.toFixed(3));
+
+            config.accounts.forEach(({ label }) => assert.strictEqual(positionOf(label), 0));
+        });
+
+        it('runs a short cycle: limit sell at ask1 hedged by helper buys', async () => {
+            // 价格上涨保证主账号卖一限价单成交
+            const drift = setInterval(() => {
+                const state = server.exchange.getSymbol(SYMBOL);
+                server.exchange.setPrice(SYMBOL, state.mark + state.spec.tickSize);
+            }, 50);
+
+            const ask = server.exchange.getSymbol(SYMBOL).ask;
+            try {
+                await tool.loopHedge({ symbol: SYMBOL, maxCycles: 1, maxWaitTime: 10_000, shortProbability: 1 });
+            } finally {
+                clearInterval(drift);
+            }
+
+            const orders = [];
+            config.accounts.forEach(({ label }) => {
+                server.exchange.getAccount(label).orders.forEach(order => orders.push(Object.assign({ label }, order)));
+            });
+
+            const entry = orders.filter(o => o.type === 'LIMIT');
+            assert.strictEqual(entry.length, 1);
+            assert.strictEqual(entry[0].side, 'SELL');
+            assert.strictEqual(entry[0].status, 'FILLED');
+            assert.ok(entry[0].price >= ask);
+
+            const hedges = orders.filter(o => o.type === 'MARKET' && !o.reduceOnly);
+            assert.ok(hedges.length >= 1);
+            assert.ok(hedges.every(o => o.side === 'BUY' && o.label !== entry[0].label));
+            const hedged = hedges.reduce((sum, o) => sum + o.executedQty, 0);
+            assert.strictEqual(hedged.toFixed(3), entry[0].executedQty.toFixed(3));
+
+            const closes = orders.filter(o => o.reduceOnly);
+            assert.ok(closes.some(o => o.label === entry[0].label && o.side === 'BUY'));
+            config.accounts.forEach(({ label }) => assert.strictEqual(positionOf(label), 0));
+        });
+
+        it('accumulates filled notional and stops at the volume target', async () => {
+            const drift = startDrift(server, SYMBOL);
+
+            try {
+                await tool.loopHedge({ symbol: SYMBOL, maxCycles: 5, maxWaitTime: 10_000, targetVolume: 1 });
+            } finally {
+                clearInterval(drift);
+            }
+
+            const entries = [];
+            const expected = config.accounts.map(({ label }) => {
+                const orders = [...server.exchange.getAccount(label).orders.values()];
+                orders.filter(o => o.type === 'LIMIT').forEach(o => entries.push(o));
+                return orders.reduce((sum, o) => sum + o.cumQuote, 0);
+            });
+            assert.strictEqual(entries.length, 1);
+
+            tool.volumeStats.perAccount.forEach((volume, index) => {
+                assert.ok(Math.abs(volume - expected[index]) < 1e-6);
+            });
+            const total = expected.reduce((sum, v) => sum + v, 0);
+            assert.ok(Math.abs(tool.volumeStats.total - total) < 1e-6);
+            // 开仓 + 对冲 + 双边平仓
+            assert.ok(Math.abs(total - 4 * entries[0].cumQuote) < entries[0].cumQuote * 0.01);
+            config.accounts.forEach(({ label }) => assert.strictEqual(positionOf(label), 0));
+        });
+
+        it('counts the partial entry and its close when the main order times out', async () => {
+            const limitOrderOf = (label) => [...server.exchange.getAccount(label).orders.values()].find(o => o.type === 'LIMIT');
+            const loop = tool.loopHedge({ symbol: SYMBOL, maxCycles: 1, maxWaitTime: 1000 });
+            let main;
+            await waitFor(() => (main = config.accounts.find(({ label }) => limitOrderOf(label))));
+            server.exchange.partialFill(main.label, limitOrderOf(main.label).orderId, 0.001);
+            await loop;
+
+            const orders = [...server.exchange.getAccount(main.label).orders.values()];
+            const close = orders.find(o => o.reduceOnly);
+            assert.strictEqual(limitOrderOf(main.label).status, 'CANCELED');
+            assert.strictEqual(close.executedQty, 0.001);
+            const expected = orders.reduce((sum, o) => sum + o.cumQuote, 0);
+            const index = config.accounts.indexOf(main);
+            assert.ok(Math.abs(tool.volumeStats.perAccount[index] - expected) < 1e-6);
+            assert.ok(Math.abs(tool.volumeStats.total - expected) < 1e-6);
+            assert.strictEqual(positionOf(main.label), 0);
+        });
+
+        it('flattens the main leg when its fill is below the per-leg hedge minimum', async () => {
+            const spec = server.exchange.getSymbol(SYMBOL).spec;
+            const saved = { minNotional: spec.minNotional, minQuantity: config.minQuantity, maxQuantity: config.maxQuantity };
+            // 单腿最小名义价值 150 USDT：0.002 可对冲，追价后只成交 0.001 则无法对冲
+            spec.minNotional = 150;
+            config.minQuantity = 0.002;
+            config.maxQuantity = 0.002;
+            config.orderChase = { enabled: true, intervalSeconds: 0.2, minTicks: 2, maxReprices: 1, maxDriftPercent: 1 };
+            const limitOrders = () => config.accounts.flatMap(({ label }) => (
+                [...server.exchange.getAccount(label).orders.values()].filter(o => o.type === 'LIMIT').map(o => ({ label, ...o }))
+            ));
+            try {
+                const loop = tool.loopHedge({ symbol: SYMBOL, maxCycles: 1, maxWaitTime: 5000 });
+                await waitFor(() => limitOrders().length === 1);
+                const [entry] = limitOrders();
+                server.exchange.partialFill(entry.label, entry.orderId, 0.001);
+                const state = server.exchange.getSymbol(SYMBOL);
+                server.exchange.setPrice(SYMBOL, state.mark + 5 * state.spec.tickSize);
+                await loop;
+            } finally {
+                Object.assign(spec, { minNotional: saved.minNotional });
+                Object.assign(config, { minQuantity: saved.minQuantity, maxQuantity: saved.maxQuantity });
+                delete config.orderChase;
+            }
+
+            const hedges = config.accounts.flatMap(({ label }) => (
+                [...server.exchange.getAccount(label).orders.values()].filter(o => o.type === 'MARKET' && !o.reduceOnly)
+            ));
+            assert.deepStrictEqual(hedges, []);
+            assert.strictEqual(limitOrders().length, 1);
+            config.accounts.forEach(({ label }) => assert.strictEqual(positionOf(label), 0));
+        });
+
+        it('requires every account to reach targetVolumePerAccount', () => {
+            tool.volumeStats = { total: 300, perAccount: [150, 150, 0] };
+            assert.strictEqual(tool.isVolumeTargetReached({ targetVolume: 200 }), true);
+            assert.strictEqual(tool.isVolumeTargetReached({ targetVolumePerAccount: 100 }), false);
+            assert.strictEqual(tool.isVolumeTargetReached({ targetVolume: 200, targetVolumePerAccount: 100 }), false);
+            tool.volumeStats.perAccount[2] = 100;
+            assert.strictEqual(tool.isVolumeTargetReached({ targetVolumePerAccount: 100 }), true);
+            assert.strictEqual(tool.isVolumeTargetReached({}), false);
+        });
+    });
+
+    describe('risk control', () => {
+        let drift;
+        const limitOrders = () => config.accounts.reduce((count, { label }) => (
+            count + [...server.exchange.getAccount(label).orders.values()].filter(o => o.type === 'LIMIT').length
+        ), 0);
+
+        beforeEach(() => {
+            drift = startDrift(server, SYMBOL);
+        });
+
+        afterEach(() => {
+            clearInterval(drift);
+            delete config.riskControl;
+        });
+
+        it('stops the loop and flattens once the session loss budget is spent', async () => {
+            config.riskControl = { maxSessionLoss: 0.0001 };
+            tool = new ThreeAccountHedgeTool();
+
+            await tool.loopHedge({ symbol: SYMBOL, maxCycles: 5, maxWaitTime: 10_000 });
+
+            assert.strictEqual(limitOrders(), 1);
+            assert.match(tool.riskController.tripReason, /会话亏损/);
+            assert.ok(tool.riskController.sessionCommission < 0);
+            config.accounts.forEach(({ label }) => {
+                assert.strictEqual(positionOf(label), 0);
+                assert.strictEqual(openOrdersOf(label).length, 0);
+            });
+        });
+
+        it('waits for a manual resume in pause mode', async () => {
+            config.riskControl = { maxSessionLoss: 0.0001, onTrip: 'pause' };
+            tool = new ThreeAccountHedgeTool();
+
+            let finished = false;
+            const loop = tool.loopHedge({ symbol: SYMBOL, maxCycles: 2, maxWaitTime: 10_000 }).then(() => { finished = true; });
+            await waitFor(() => tool.riskController.tripped);
+            await new Promise(r => setTimeout(r, 300));
+            assert.strictEqual(finished, false);
+            assert.strictEqual(limitOrders(), 1);
+
+            assert.strictEqual(tool.resume(), true);
+            await loop;
+            assert.strictEqual(limitOrders(), 2);
+        });
+
+        it('trips the failure breaker when every cycle times out', async () => {
+            // 价格不动，主账号限价单始终无法成交
+            clearInterval(drift);
+            config.riskControl = { maxConsecutiveFailures: 2 };
+            tool = new ThreeAccountHedgeTool();
+
+            await tool.loopHedge({ symbol: SYMBOL, maxCycles: 5, maxWaitTime: 300 });
+
+            assert.strictEqual(limitOrders(), 2);
+            assert.match(tool.riskController.tripReason, /连续失败 2 轮/);
+            config.accounts.forEach(({ label }) => assert.strictEqual(openOrdersOf(label).length, 0));
+        });
+
+        it('trips after consecutive failed cycles and resets on success', async () => {
+            config.riskControl = { maxConsecutiveFailures: 2 };
+            tool = new ThreeAccountHedgeTool();
+            const risk = tool.riskController;
+
+            await risk.endCycle(tool.accounts, SYMBOL, true);
+            await risk.endCycle(tool.accounts, SYMBOL, false);
+            await risk.endCycle(tool.accounts, SYMBOL, true);
+            assert.strictEqual(risk.check(), null);
+            await risk.endCycle(tool.accounts, SYMBOL, true);
+            assert.match(risk.check(), /连续失败 2 轮/);
+            // 未配置亏损上限时不查询资金流水
+            assert.strictEqual(server.countRequests('GET', '/fapi/v1/income'), 0);
+        });
+    });
+});
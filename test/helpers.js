@@ -0,0 +1,40 @@
+const path = require('path');
+
+// index.js 在加载时读取配置，测试文件需先于 ../index 引入本模块
+process.env.ASTER_CONFIG = path.join(__dirname, 'testConfig.js');
+
+const { before, after } = require('node:test');
+const config = require('./testConfig');
+const { MockAsterServer } = require('./mockAsterServer');
+
+// 在当前 describe 中启动替身交易所，并把 config.baseURL / config.wsBaseURL 指向它
+function useMockServer() {
+    const server = new MockAsterServer({ accounts: config.accounts });
+    before(async () => {
+        config.baseURL = await server.start();
+        config.wsBaseURL = config.baseURL.replace(/^http/, 'ws');
+    });
+    after(async () => {
+        await server.stop();
+    });
+    return server;
+}
+
+// 轮询直到 predicate（可返回 Promise）为真，超时抛错
+async function waitFor(predicate, timeoutMs = 10_000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!(await predicate())) {
+        if (Date.now() > deadline) throw new Error('waitFor timeout');
+        await new Promise(r => setTimeout(r, 20));
+    }
+}
+
+// 价格每 50 毫秒下跌一个最小价位，保证主账号买一限价单成交；返回定时器，用 clearInterval 停止
+function startDrift(server, symbol) {
+    return setInterval(() => {
+        const state = server.exchange.getSymbol(symbol);
+        server.exchange.setPrice(symbol, state.mark - state.spec.tickSize);
+    }, 50);
+}
+
+module.exports = { config, useMockServer, waitFor, startDrift };
@@ -0,0 +1,98 @@
+const http = require('http');
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { config, useMockServer, waitFor, startDrift } = require('./helpers');
+const { ThreeAccountHedgeTool } = require('../index');
+
+const SYMBOL = 'BTCUSDT';
+
+describe('hold period monitoring', () => {
+    const server = useMockServer();
+    const hook = { bodies: [] };
+    let tool;
+    let drift;
+
+    const openPositions = () => config.accounts.filter(({ label }) => (
+        server.exchange.positionRisk(server.exchange.getAccount(label), SYMBOL).some(pos => parseFloat(pos.positionAmt) !== 0)
+    ));
+
+    // 成交后进入持仓阶段时停止价格漂移，并把标记价格乘以 factor
+    const runCycleAndMoveTo = async (factor) => {
+        const loop = tool.loopHedge({ symbol: SYMBOL, maxCycles: 1, maxWaitTime: 10_000 });
+        await waitFor(() => tool.loopState.phase === 'holding');
+        clearInterval(drift);
+        const { mark } = server.exchange.getSymbol(SYMBOL);
+        server.exchange.setPrice(SYMBOL, mark * factor);
+        const startedAt = Date.now();
+        await loop;
+        return Date.now() - startedAt;
+    };
+
+    before(async () => {
+        hook.server = http.createServer((req, res) => {
+            let raw = '';
+            req.on('data', chunk => { raw += chunk; });
+            req.on('end', () => {
+                hook.bodies.push(JSON.parse(raw));
+                res.end('{}');
+            });
+        });
+        await new Promise(resolve => hook.server.listen(0, '127.0.0.1', resolve));
+        config.alerts = { dedupWindowSec: 0, webhook: { url: `http://127.0.0.1:${hook.server.address().port}/hook` } };
+    });
+
+    after(async () => {
+        delete config.alerts;
+        await new Promise(resolve => hook.server.close(resolve));
+    });
+
+    beforeEach(() => {
+        server.reset();
+        hook.bodies.length = 0;
+        config.positionTime = { min: 30, max: 30 };
+        tool = new ThreeAccountHedgeTool();
+        drift = startDrift(server, SYMBOL);
+    });
+
+    afterEach(async () => {
+        clearInterval(drift);
+        await tool.shutdown(SYMBOL);
+        config.positionTime = { min: 0, max: 0 };
+        delete config.holdMonitor;
+    });
+
+    it('closes early when a leg comes within the liquidation distance', async () => {
+        // 20 倍杠杆多头强平价约为开仓价的 95.4%，下跌 3% 后距强平不足 2%
+        config.holdMonitor = { intervalSeconds: 0.1, minLiquidationDistancePercent: 2 };
+        const elapsed = await runCycleAndMoveTo(0.97);
+
+        assert.ok(elapsed < 10_000, `hold lasted ${elapsed}ms`);
+        assert.strictEqual(tool.loopState.cycle, 1);
+        assert.deepStrictEqual(openPositions(), []);
+        assert.strictEqual(hook.bodies.length, 1);
+        assert.strictEqual(hook.bodies[0].key, `hold-exit:${SYMBOL}`);
+        assert.match(hook.bodies[0].text, /距强平价 [\d.]+ 仅 [\d.]+%（阈值 2%）/);
+    });
+
+    it('closes early when one leg loses more than maxLegLoss', async () => {
+        // 上涨 2% 后做空的辅账号合计浮亏至少 0.002 × 2% × 价格
+        config.holdMonitor = { intervalSeconds: 0.1, maxLegLoss: 1 };
+        const elapsed = await runCycleAndMoveTo(1.02);
+
+        assert.ok(elapsed < 10_000, `hold lasted ${elapsed}ms`);
+        assert.deepStrictEqual(openPositions(), []);
+        assert.strictEqual(hook.bodies.length, 1);
+        assert.match(hook.bodies[0].text, /浮亏 [\d.]+ USDT 超过单腿上限 1 USDT/);
+    });
+
+    it('holds for the full period while legs stay within the limits', async () => {
+        config.positionTime = { min: 1, max: 1 };
+        config.holdMonitor = { intervalSeconds: 0.1, minLiquidationDistancePercent: 2, maxLegLoss: 1000 };
+        const elapsed = await runCycleAndMoveTo(1);
+
+        assert.ok(elapsed >= 900, `hold lasted ${elapsed}ms`);
+        assert.deepStrictEqual(openPositions(), []);
+        assert.strictEqual(hook.bodies.length, 0);
+    });
+});
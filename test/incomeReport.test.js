@@ -0,0 +1,73 @@
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { useMockServer } = require('./helpers');
+const { ThreeAccountHedgeTool } = require('../index');
+
+describe('income report', () => {
+    const server = useMockServer();
+    const base = Date.UTC(2025, 0, 10);
+    let tool;
+
+    const record = (label, incomeType, amount, time) => {
+        const exchange = server.exchange;
+        exchange.recordIncome(exchange.getAccount(label), 'BTCUSDT', incomeType, amount, time);
+    };
+
+    beforeEach(() => {
+        server.reset();
+        tool = new ThreeAccountHedgeTool();
+    });
+
+    it('pages through /fapi/v1/income within the time range', async () => {
+        for (let i = 0; i < 5; i++) {
+            record('账号1', 'COMMISSION', -0.1, base + i * 1000);
+        }
+        record('账号1', 'COMMISSION', -5, base + 10 * 24 * 3600 * 1000);
+
+        const records = await tool.accounts[0].getIncomeHistory({ startTime: base, endTime: base + 60_000, limit: 2 });
+        assert.strictEqual(records.length, 5);
+        assert.deepStrictEqual(records.map(r => r.time), [0, 1, 2, 3, 4].map(i => base + i * 1000));
+        assert.ok(server.countRequests('GET', '/fapi/v1/income') >= 3);
+    });
+
+    it('splits long ranges into 7-day windows', async () => {
+        record('账号1', 'FUNDING_FEE', 1, base);
+        record('账号1', 'FUNDING_FEE', 2, base + 20 * 24 * 3600 * 1000);
+
+        const records = await tool.accounts[0].getIncomeHistory({ startTime: base, endTime: base + 30 * 24 * 3600 * 1000 });
+        assert.strictEqual(records.length, 2);
+        assert.strictEqual(server.countRequests('GET', '/fapi/v1/income'), 5);
+    });
+
+    it('sums realized PnL, commission and funding per account and combined', async () => {
+        record('账号1', 'REALIZED_PNL', 10, base);
+        record('账号1', 'COMMISSION', -1.5, base + 1);
+        record('账号1', 'FUNDING_FEE', -0.25, base + 2);
+        record('账号1', 'TRANSFER', 1000, base + 3);
+        record('账号2', 'REALIZED_PNL', -4, base + 4);
+        record('账号2', 'COMMISSION', -1, base + 5);
+
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aster-report-'));
+        const csvFile = path.join(dir, 'report.csv');
+        const jsonFile = path.join(dir, 'report.json');
+        const report = await tool.generateIncomeReport({ from: base, to: base + 60_000, csvFile, jsonFile });
+
+        const acc1 = report.accounts.find(a => a.account === '账号1');
+        assert.strictEqual(acc1.REALIZED_PNL, 10);
+        assert.strictEqual(acc1.COMMISSION, -1.5);
+        assert.strictEqual(acc1.FUNDING_FEE, -0.25);
+        assert.strictEqual(acc1.NET, 8.25);
+        assert.strictEqual(report.combined.NET, 3.25);
+        assert.strictEqual(report.accounts.find(a => a.account === '账号3').NET, 0);
+
+        const csv = fs.readFileSync(csvFile, 'utf8').trim().split('\n');
+        assert.strictEqual(csv[0], 'account,REALIZED_PNL,COMMISSION,FUNDING_FEE,NET');
+        assert.strictEqual(csv[csv.length - 1], 'TOTAL,6.00000000,-2.50000000,-0.25000000,3.25000000');
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(jsonFile, 'utf8')).combined, report.combined);
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+});
@@ -0,0 +1,129 @@
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { config, useMockServer } = require('./helpers');
+const { Keystore } = require('../keystore');
+const { resolveAccountConfigs } = require('../configLoader');
+const { runCli } = require('../index');
+
+const PASSPHRASE = 'correct horse battery';
+
+describe('Keystore', () => {
+    let dir;
+    let file;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aster-keystore-'));
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        file = path.join(dir, `keystore-${Date.now()}.json`);
+    });
+
+    it('round-trips accounts through an encrypted file', async () => {
+        const keystore = new Keystore(file);
+        keystore.add('账号1', 'AAAAkey1ZZZZ', 'topsecret1');
+        keystore.add('账号2', 'BBBBkey2YYYY', 'topsecret2');
+        await keystore.save(PASSPHRASE);
+
+        const raw = fs.readFileSync(file, 'utf8');
+        assert.ok(!raw.includes('topsecret1') && !raw.includes('key1'));
+        assert.strictEqual(JSON.parse(raw).cipher, 'aes-256-gcm');
+
+        const reopened = await Keystore.open(file, PASSPHRASE);
+        assert.deepStrictEqual(reopened.get('账号2').apiSecret, 'topsecret2');
+        assert.deepStrictEqual(reopened.list().map(a => a.apiKey), ['AAAA...ZZZZ', 'BBBB...YYYY']);
+    });
+
+    it('rejects a wrong passphrase and a tampered file', async () => {
+        const keystore = new Keystore(file);
+        keystore.add('账号1', 'key1', 'secret1');
+        await keystore.save(PASSPHRASE);
+
+        await assert.rejects(Keystore.open(file, 'wrong passphrase'), err => err.code === 'KEYSTORE_BAD_PASSPHRASE');
+
+        const doc = JSON.parse(fs.readFileSync(file, 'utf8'));
+        const bytes = Buffer.from(doc.ciphertext, 'base64');
+        bytes[0] ^= 1;
+        doc.ciphertext = bytes.toString('base64');
+        fs.writeFileSync(file, JSON.stringify(doc));
+        await assert.rejects(Keystore.open(file, PASSPHRASE), err => err.code === 'KEYSTORE_BAD_PASSPHRASE');
+    });
+
+    it('rotates and removes accounts by label', async () => {
+        const keystore = new Keystore(file);
+        keystore.add('账号1', 'key1', 'secret1');
+        assert.throws(() => keystore.add('账号1', 'key9', 'secret9'), /rotate/);
+
+        keystore.rotate('账号1', 'key1b', 'secret1b');
+        assert.strictEqual(keystore.get('账号1').apiKey, 'key1b');
+        keystore.remove('账号1');
+        assert.deepStrictEqual(keystore.list(), []);
+        assert.throws(() => keystore.rotate('账号1', 'k', 's'), /没有账号/);
+    });
+
+    it('supplies account keys to the config loader by label', () => {
+        const keystore = new Keystore(file);
+        keystore.add('账号1', 'key1', 'secret1');
+        keystore.add('账号2', 'key2', 'secret2');
+
+        const listed = resolveAccountConfigs({}, {}, keystore.accounts);
+        assert.deepStrictEqual(listed.map(acc => [acc.label, acc.apiKey, acc.apiSecret]), [['账号1', 'key1', 'secret1'], ['账号2', 'key2', 'secret2']]);
+        const [acc] = resolveAccountConfigs({ accounts: [{ label: '账号2' }] }, { ASTER_API_SECRET_1: 'env-secret' }, keystore.accounts);
+        assert.deepStrictEqual([acc.apiKey, acc.apiSecret], ['key2', 'env-secret']);
+    });
+});
+
+describe('keystore CLI', () => {
+    const server = useMockServer();
+    const saved = config.accounts.map(acc => ({ ...acc }));
+    let dir;
+    let file;
+
+    before(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aster-keystore-cli-'));
+    });
+
+    after(async () => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        server.reset();
+        file = path.join(dir, `keystore-${Date.now()}.json`);
+        process.env.ASTER_KEYSTORE_PASSPHRASE = PASSPHRASE;
+    });
+
+    afterEach(() => {
+        ['ASTER_KEYSTORE_PASSPHRASE', 'ASTER_KEYSTORE_API_KEY', 'ASTER_KEYSTORE_API_SECRET'].forEach(name => delete process.env[name]);
+        config.accounts.forEach((acc, i) => Object.assign(acc, saved[i]));
+    });
+
+    it('adds credentials and unlocks them for commands at startup', async () => {
+        for (const acc of saved) {
+            process.env.ASTER_KEYSTORE_API_KEY = acc.apiKey;
+            process.env.ASTER_KEYSTORE_API_SECRET = acc.apiSecret;
+            assert.strictEqual(await runCli(['keystore', 'add', acc.label, '--keystore', file]), 0);
+        }
+        config.accounts.forEach(acc => Object.assign(acc, { apiKey: '', apiSecret: '' }));
+
+        assert.strictEqual(await runCli(['status', '--keystore', file]), 0);
+        assert.ok(server.countRequests('GET', '/fapi/v2/positionRisk') >= 3);
+
+        process.env.ASTER_KEYSTORE_PASSPHRASE = 'wrong passphrase';
+        assert.strictEqual(await runCli(['status', '--keystore', file]), 1);
+    });
+
+    it('rejects operations on a missing keystore or unknown actions', async () => {
+        assert.strictEqual(await runCli(['keystore', 'list', '--keystore', file]), 1);
+        assert.strictEqual(await runCli(['keystore', 'export', '--keystore', file]), 2);
+        assert.strictEqual(await runCli(['keystore', 'add', '--keystore', file]), 2);
+    });
+});
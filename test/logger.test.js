@@ -0,0 +1,98 @@
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { Logger } = require('../logger');
+
+describe('Logger', () => {
+    let dir;
+    const files = () => fs.readdirSync(dir).sort();
+    const lines = (file) => fs.readFileSync(path.join(dir, file), 'utf8').trim().split('\n');
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aster-logs-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('writes JSON lines with levels, context and structured fields', async () => {
+        const logger = new Logger({ dir, format: 'json', level: 'info', console: false });
+        logger.setContext({ symbol: 'BTCUSDT', cycle: 7 });
+        logger.debug('hidden');
+        logger.log('✅ 订单完全成交', { account: '账号1', orderId: 123, latency: undefined });
+        logger.warn('请求重试', { account: '账号2', latency: 85 });
+        logger.clearContext('cycle');
+        logger.error('请求失败');
+        // 写入是异步的，flush 前不保证落盘
+        await logger.close();
+
+        assert.deepStrictEqual(files().map(f => path.extname(f)), ['.jsonl']);
+        const records = lines(files()[0]).map(line => JSON.parse(line));
+        assert.match(records[0].msg, /启动/);
+        const strip = ({ time, ...rest }) => {
+            assert.ok(!Number.isNaN(Date.parse(time)));
+            return rest;
+        };
+        assert.deepStrictEqual(records.slice(1).map(strip), [
+            { level: 'info', msg: '✅ 订单完全成交', symbol: 'BTCUSDT', cycle: 7, account: '账号1', orderId: 123 },
+            { level: 'warn', msg: '请求重试', symbol: 'BTCUSDT', cycle: 7, account: '账号2', latency: 85 },
+            { level: 'error', msg: '请求失败', symbol: 'BTCUSDT' }
+        ]);
+    });
+
+    it('keeps the text format and appends to the previous file on restart', async () => {
+        const first = new Logger({ dir, console: false });
+        first.log('第一次');
+        first.error('出错了');
+        await first.close();
+
+        const second = new Logger({ dir, console: false, level: 'debug' });
+        second.debug('调试信息');
+        await second.close();
+
+        assert.strictEqual(files().length, 1);
+        const text = lines(files()[0]);
+        assert.match(text[1], /^\[.+\] 第一次$/);
+        assert.match(text[2], /^\[.+\] ERROR: 出错了$/);
+        assert.match(text[4], /^\[.+\] DEBUG: 调试信息$/);
+    });
+
+    it('rotates by size and keeps at most maxFiles files', async () => {
+        const logger = new Logger({ dir, console: false, maxSizeMB: 400 / 1024 / 1024, maxFiles: 3 });
+        for (let i = 0; i < 20; i++) {
+            logger.log(`第 ${i} 行 ${'x'.repeat(100)}`);
+            // 每行单独落盘，确保按行轮转
+            await logger.flush();
+            await new Promise(r => setTimeout(r, 2));
+        }
+        await logger.close();
+
+        const names = files();
+        assert.strictEqual(names.length, 3);
+        names.forEach(name => assert.ok(fs.statSync(path.join(dir, name)).size <= 400));
+        assert.match(lines(names[2]).pop(), /第 19 行/);
+    });
+
+    it('rotates by age and deletes files past the retention period', async () => {
+        const stale = path.join(dir, 'aster-tool-2000-01-01T00-00-00-000Z.log');
+        fs.writeFileSync(stale, 'old\n');
+        fs.utimesSync(stale, new Date('2000-01-01'), new Date('2000-01-01'));
+
+        const logger = new Logger({ dir, console: false, maxAgeHours: 1, retentionDays: 1 });
+        await logger.flush();
+        const current = logger.logFile;
+        logger.fileOpenedAt -= 2 * 3600_000;
+        logger.log('新的一小时');
+        await logger.close();
+
+        const names = files();
+        assert.ok(!names.includes(path.basename(stale)));
+        assert.strictEqual(names.length, 2);
+        assert.notStrictEqual(logger.logFile, current);
+        assert.match(lines(path.basename(logger.logFile))[0], /新的一小时/);
+    });
+});
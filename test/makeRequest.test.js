@@ -0,0 +1,104 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { config, useMockServer } = require('./helpers');
+const { AsterFuturesAPI } = require('../index');
+
+describe('AsterFuturesAPI.makeRequest', () => {
+    const server = useMockServer();
+    const createClient = (secret = 'secret1') => new AsterFuturesAPI('key1', secret, '账号1');
+
+    beforeEach(() => {
+        server.reset();
+    });
+
+    it('falls back to the cached exchangeInfo when a refresh fails', async () => {
+        const client = createClient();
+        server.injectError({ method: 'GET', path: '/fapi/v1/exchangeInfo', status: 503, times: 10 });
+        await assert.rejects(client.getExchangeInfo(), err => err.status === 503);
+
+        server.clearInjections();
+        const cached = await client.getExchangeInfo();
+        client.exchangeInfoFetchedAt -= 2 * 3_600_000;
+        server.injectError({ method: 'GET', path: '/fapi/v1/exchangeInfo', status: 503, times: 10 });
+        assert.strictEqual(await client.getExchangeInfo(), cached);
+        assert.strictEqual((await client.getSymbolFilters('BTCUSDT')).stepSize > 0, true);
+    });
+
+    it('signs authenticated requests accepted by the server', async () => {
+        const client = createClient();
+        const positions = await client.getPositions('BTCUSDT');
+        assert.strictEqual(positions[0].symbol, 'BTCUSDT');
+
+        const req = server.requests.find(r => r.path === '/fapi/v2/positionRisk');
+        assert.strictEqual(req.headers['x-mbx-apikey'], 'key1');
+        assert.strictEqual(req.params.recvWindow, '5000');
+    });
+
+    it('retries 5xx and 429 responses until success', async () => {
+        const client = createClient();
+        server.injectError({ method: 'GET', path: '/fapi/v2/positionRisk', status: 503, times: 1 });
+        server.injectError({ method: 'GET', path: '/fapi/v2/positionRisk', status: 429, times: 1 });
+
+        const positions = await client.getPositions('BTCUSDT');
+        assert.ok(Array.isArray(positions));
+        assert.strictEqual(server.countRequests('GET', '/fapi/v2/positionRisk'), 3);
+    });
+
+    it('gives up after requestRetries attempts', async () => {
+        const client = createClient();
+        server.injectError({ method: 'GET', path: '/fapi/v2/positionRisk', status: 500, times: 10 });
+
+        await assert.rejects(client.getPositions('BTCUSDT'), /status: 500/);
+        assert.strictEqual(server.countRequests('GET', '/fapi/v2/positionRisk'), config.requestRetries + 1);
+    });
+
+    it('does not retry client errors', async () => {
+        const client = createClient('wrong-secret');
+
+        await assert.rejects(client.getPositions('BTCUSDT'), /-1022/);
+        assert.strictEqual(server.countRequests('GET', '/fapi/v2/positionRisk'), 1);
+    });
+
+    it('re-syncs time and retries after -1021', async () => {
+        const client = createClient();
+        // 模拟本地时钟偏移过大且近期已同步（不会触发预先同步）
+        client.timeOffsetMs = -60_000;
+        client.lastTimeSyncAt = Date.now();
+
+        const positions = await client.getPositions('BTCUSDT');
+        assert.ok(Array.isArray(positions));
+        assert.strictEqual(server.countRequests('GET', '/fapi/v2/positionRisk'), 2);
+        assert.strictEqual(server.countRequests('GET', '/fapi/v1/time'), 1);
+        assert.ok(Math.abs(client.timeOffsetMs) < 1000);
+    });
+
+    it('applies the server time offset before the first signed request', async () => {
+        server.clockOffsetMs = 30_000;
+        const client = createClient();
+
+        await client.getPositions('BTCUSDT');
+        assert.strictEqual(server.countRequests('GET', '/fapi/v2/positionRisk'), 1);
+        assert.ok(client.timeOffsetMs > 29_000);
+    });
+
+    it('does not place a duplicate order when the response is lost', async () => {
+        const client = createClient();
+        server.injectError({ method: 'POST', path: '/fapi/v1/order', networkError: true, afterHandle: true });
+
+        const order = await client.buyOrder('BTCUSDT', 0.002, null, 'MARKET');
+        assert.strictEqual(order.status, 'FILLED');
+        assert.strictEqual(server.countRequests('POST', '/fapi/v1/order'), 1);
+
+        const positions = await client.getPositions('BTCUSDT');
+        assert.strictEqual(positions[0].positionAmt, '0.002');
+    });
+
+    it('re-sends an order that never reached the exchange', async () => {
+        const client = createClient();
+        server.injectError({ method: 'POST', path: '/fapi/v1/order', networkError: true });
+
+        const order = await client.buyOrder('BTCUSDT', 0.002, null, 'MARKET');
+        assert.strictEqual(order.status, 'FILLED');
+        assert.strictEqual(server.countRequests('POST', '/fapi/v1/order'), 2);
+    });
+});
@@ -0,0 +1,101 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { config, useMockServer, waitFor, startDrift } = require('./helpers');
+const { AsterFuturesAPI, ThreeAccountHedgeTool } = require('../index');
+
+const SYMBOL = 'BTCUSDT';
+
+describe('maker-first hedge legs', () => {
+    const server = useMockServer();
+    let client;
+
+    const ordersOf = (label) => [...server.exchange.getAccount(label).orders.values()];
+    const positionOf = (label) => parseFloat(server.exchange.handle(label, 'GET', '/fapi/v2/positionRisk', { symbol: SYMBOL })[0].positionAmt);
+    const movePrice = (ticks) => {
+        const state = server.exchange.getSymbol(SYMBOL);
+        server.exchange.setPrice(SYMBOL, state.mark + ticks * state.spec.tickSize);
+    };
+
+    beforeEach(() => {
+        server.reset();
+        client = new AsterFuturesAPI('key2', 'secret2', '账号2');
+    });
+
+    it('fills as maker with a post-only sell at ask1', async () => {
+        const ask = server.exchange.getSymbol(SYMBOL).ask;
+        const pending = client.makerFirstOrder(SYMBOL, 'SELL', 0.003, { timeoutMs: 5000 });
+
+        await waitFor(() => ordersOf('账号2').length === 1);
+        const [makerOrder] = ordersOf('账号2');
+        assert.strictEqual(makerOrder.timeInForce, 'GTX');
+        assert.strictEqual(makerOrder.price, ask);
+        movePrice(5);
+
+        const result = await pending;
+        assert.strictEqual(result.executedQty, 0.003);
+        assert.strictEqual(result.makerQty, 0.003);
+        assert.strictEqual(result.takerQty, 0);
+        assert.strictEqual(result.avgPrice, ask);
+        assert.ok(ordersOf('账号2').every(o => o.type === 'LIMIT'));
+        assert.strictEqual(positionOf('账号2'), -0.003);
+    });
+
+    it('sends the unfilled remainder to market after the timeout', async () => {
+        const pending = client.makerFirstOrder(SYMBOL, 'SELL', 0.003, { timeoutMs: 300 });
+
+        await waitFor(() => ordersOf('账号2').length === 1);
+        server.exchange.partialFill('账号2', ordersOf('账号2')[0].orderId, 0.001);
+
+        const result = await pending;
+        assert.strictEqual(result.makerQty, 0.001);
+        assert.strictEqual(result.takerQty, 0.002);
+        assert.strictEqual(result.executedQty, 0.003);
+
+        const [makerOrder, marketOrder] = ordersOf('账号2');
+        assert.strictEqual(makerOrder.status, 'CANCELED');
+        assert.strictEqual(marketOrder.type, 'MARKET');
+        assert.strictEqual(marketOrder.origQty, 0.002);
+        assert.strictEqual(positionOf('账号2'), -0.003);
+    });
+
+    it('falls back to market within the timeout when polling over REST', async () => {
+        // 未启用用户数据流，轮询间隔远大于 Maker 超时
+        config.orderPollIntervalMs = 3000;
+        try {
+            const startedAt = Date.now();
+            const result = await client.makerFirstOrder(SYMBOL, 'SELL', 0.003, { timeoutMs: 500 });
+            const elapsed = Date.now() - startedAt;
+            assert.ok(elapsed < 500 + 1000, `fallback after ${elapsed}ms`);
+            assert.strictEqual(result.takerQty, 0.003);
+            assert.strictEqual(positionOf('账号2'), -0.003);
+        } finally {
+            config.orderPollIntervalMs = 100;
+        }
+    });
+
+    it('falls back to market when the post-only order is rejected', async () => {
+        server.injectError({ method: 'POST', path: '/fapi/v1/order', status: 400, code: -5022, msg: 'Post Only order will be rejected.' });
+
+        const result = await client.makerFirstOrder(SYMBOL, 'SELL', 0.003, { timeoutMs: 300 });
+        assert.strictEqual(result.makerQty, 0);
+        assert.strictEqual(result.takerQty, 0.003);
+        assert.strictEqual(positionOf('账号2'), -0.003);
+    });
+
+    it('hedges a full loopHedge cycle with maker-first helpers', async () => {
+        config.makerHedge = { enabled: true, timeoutSeconds: 0.3 };
+        const drift = startDrift(server, SYMBOL);
+        try {
+            const tool = new ThreeAccountHedgeTool();
+            await tool.loopHedge({ symbol: SYMBOL, maxCycles: 1, maxWaitTime: 10_000 });
+        } finally {
+            clearInterval(drift);
+            delete config.makerHedge;
+        }
+
+        const helperLegs = config.accounts.flatMap(({ label }) => ordersOf(label).filter(o => o.timeInForce === 'GTX'));
+        assert.ok(helperLegs.length >= 1);
+        assert.ok(helperLegs.every(o => o.side === 'SELL'));
+        config.accounts.forEach(({ label }) => assert.strictEqual(positionOf(label), 0));
+    });
+});
@@ -0,0 +1,73 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { config, useMockServer, waitFor } = require('./helpers');
+const { ThreeAccountHedgeTool } = require('../index');
+
+const SYMBOL = 'BTCUSDT';
+
+describe('market data feed', () => {
+    const server = useMockServer();
+    let tool;
+
+    const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+    const bookTicker = (bid, ask) => ({ e: 'bookTicker', s: SYMBOL, b: String(bid), B: '1.000', a: String(ask), A: '1.000' });
+
+    // 启动行情数据流，连接建立后推送首个盘口
+    const startFeed = async (options, stream, firstBook) => {
+        config.marketData = { enabled: true, readyTimeoutMs: 5000, ...options };
+        const started = tool.startMarketData([SYMBOL]);
+        await waitFor(() => server.pushMarket(stream, firstBook) > 0);
+        const feed = await started;
+        assert.ok(feed, 'market data feed did not start');
+        return feed;
+    };
+
+    beforeEach(() => {
+        server.reset();
+        tool = new ThreeAccountHedgeTool();
+    });
+
+    afterEach(() => {
+        tool.stopMarketData();
+        config.marketData = { enabled: false };
+    });
+
+    it('serves top of book from bookTicker updates without REST depth queries', async () => {
+        await startFeed({ stream: 'bookTicker' }, 'btcusdt@bookTicker', bookTicker(99990, 100010));
+        const [account] = tool.accounts;
+        assert.strictEqual(await account.getBid1Price(SYMBOL), 99990);
+        assert.strictEqual(await account.getAsk1Price(SYMBOL), 100010);
+
+        server.pushMarket('btcusdt@bookTicker', bookTicker(99950.5, 99960.5));
+        await waitFor(async () => (await account.getBid1Price(SYMBOL)) === 99950.5);
+        assert.strictEqual(await account.getAsk1Price(SYMBOL), 99960.5);
+        assert.strictEqual(server.countRequests('GET', '/fapi/v1/depth'), 0);
+    });
+
+    it('takes the best level from depth updates', async () => {
+        const depth = { e: 'depthUpdate', s: SYMBOL, b: [['99980.0', '1.000'], ['99970.0', '2.000']], a: [['100020.0', '1.000'], ['100030.0', '2.000']] };
+        await startFeed({ stream: 'depth' }, 'btcusdt@depth5@100ms', depth);
+        const [account] = tool.accounts;
+        assert.strictEqual(await account.getBid1Price(SYMBOL), 99980);
+        assert.strictEqual(await account.getAsk1Price(SYMBOL), 100020);
+        assert.strictEqual(server.countRequests('GET', '/fapi/v1/depth'), 0);
+    });
+
+    it('rejects prices once the book is older than staleMs and recovers on the next update', async () => {
+        await startFeed({ stream: 'bookTicker', staleMs: 200 }, 'btcusdt@bookTicker', bookTicker(99990, 100010));
+        const [account] = tool.accounts;
+        assert.strictEqual(await account.getBid1Price(SYMBOL), 99990);
+
+        await sleep(300);
+        await assert.rejects(account.getBid1Price(SYMBOL), (err) => {
+            assert.strictEqual(err.code, 'STALE_MARKET_DATA');
+            assert.match(err.message, /盘口数据已过期: \d+ms 未更新（阈值 200ms）/);
+            return true;
+        });
+        await assert.rejects(account.getAsk1Price(SYMBOL), /盘口数据已过期/);
+
+        server.pushMarket('btcusdt@bookTicker', bookTicker(99980, 100000));
+        await waitFor(() => tool.marketData.peek(SYMBOL).bid === 99980);
+        assert.strictEqual(await account.getAsk1Price(SYMBOL), 100000);
+    });
+});
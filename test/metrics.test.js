@@ -0,0 +1,95 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const nodeFetch = require('node-fetch');
+const { config, useMockServer, waitFor, startDrift } = require('./helpers');
+const { Registry } = require('../metrics');
+const { ControlServer } = require('../controlServer');
+const { ThreeAccountHedgeTool } = require('../index');
+
+const SYMBOL = 'BTCUSDT';
+const TOKEN = 'test-control-token-0123456789';
+
+describe('metrics registry', () => {
+    it('renders counters, gauges and histograms in the Prometheus text format', () => {
+        const reg = new Registry();
+        const counter = reg.counter('demo_total', 'Demo counter', ['account']);
+        const gauge = reg.gauge('demo_gauge', 'Demo gauge', ['account']);
+        const histogram = reg.histogram('demo_seconds', 'Demo histogram', ['endpoint'], [0.5, 0.1]);
+
+        counter.inc({ account: 'a"b\\c' });
+        counter.inc({ account: 'a"b\\c' }, 2);
+        counter.inc({ account: 'x' }, -1);
+        gauge.set({ account: 'x' }, 12.5);
+        gauge.set({ account: 'y' }, NaN);
+        histogram.observe({ endpoint: '/fapi/v1/order' }, 0.2);
+        histogram.observe({ endpoint: '/fapi/v1/order' }, 3);
+
+        assert.strictEqual(reg.render(), [
+            '# HELP demo_total Demo counter',
+            '# TYPE demo_total counter',
+            'demo_total{account="a\\"b\\\\c"} 3',
+            '# HELP demo_gauge Demo gauge',
+            '# TYPE demo_gauge gauge',
+            'demo_gauge{account="x"} 12.5',
+            '# HELP demo_seconds Demo histogram',
+            '# TYPE demo_seconds histogram',
+            'demo_seconds_bucket{endpoint="/fapi/v1/order",le="0.1"} 0',
+            'demo_seconds_bucket{endpoint="/fapi/v1/order",le="0.5"} 1',
+            'demo_seconds_bucket{endpoint="/fapi/v1/order",le="+Inf"} 2',
+            'demo_seconds_sum{endpoint="/fapi/v1/order"} 3.2',
+            'demo_seconds_count{endpoint="/fapi/v1/order"} 2',
+            ''
+        ].join('\n'));
+    });
+});
+
+describe('/metrics endpoint', () => {
+    const server = useMockServer();
+    const savedControl = config.control;
+    let tool;
+    let control;
+    let baseURL;
+    let drift;
+
+    const scrape = async (token = TOKEN) => {
+        const res = await nodeFetch(`${baseURL}/metrics`, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+        return { status: res.status, type: res.headers.get('content-type'), text: await res.text() };
+    };
+
+    before(async () => {
+        config.control = { enabled: true, token: TOKEN };
+        tool = new ThreeAccountHedgeTool();
+        control = new ControlServer({ tool, symbol: SYMBOL, token: TOKEN, port: 0, config, logger: { log() {}, error() {} } });
+        baseURL = `http://127.0.0.1:${await control.start()}`;
+        drift = startDrift(server, SYMBOL);
+    });
+
+    after(async () => {
+        clearInterval(drift);
+        await control.stop();
+        config.control = savedControl;
+    });
+
+    it('exposes cycle, latency, balance, volume and fee series after a cycle', async () => {
+        assert.strictEqual((await scrape(null)).status, 401);
+
+        const loop = tool.loopHedge({ symbol: SYMBOL, maxWaitTime: 10_000 });
+        await waitFor(() => tool.loopState.cycle >= 2);
+        await tool.shutdown(SYMBOL);
+        await loop;
+
+        const { status, type, text } = await scrape();
+        assert.strictEqual(status, 200);
+        assert.match(type, /^text\/plain; version=0\.0\.4/);
+        assert.match(text, /^aster_cycles_total\{outcome="filled"\} [1-9]/m);
+        assert.match(text, /^aster_cycles_total\{outcome="failed"\} 0$/m);
+        assert.match(text, /^aster_request_duration_seconds_count\{account="账号1",method="POST",endpoint="\/fapi\/v1\/order"\} [1-9]/m);
+        assert.match(text, /^aster_time_offset_seconds\{account="账号1"\} /m);
+        config.accounts.forEach(({ label }) => {
+            assert.match(text, new RegExp(`^aster_wallet_balance_usdt\\{account="${label}"\\} \\d`, 'm'));
+            assert.match(text, new RegExp(`^aster_volume_usdt_total\\{account="${label}"\\} [1-9]`, 'm'));
+            assert.match(text, new RegExp(`^aster_position_notional_usdt\\{account="${label}",symbol="${SYMBOL}"\\} 0$`, 'm'));
+        });
+        assert.match(text, /^aster_fees_usdt_total\{account="账号1"\} [0-9.e-]+$/m);
+    });
+});
@@ -0,0 +1,283 @@
+const http = require('http');
+const crypto = require('crypto');
+const { WebSocketServer } = require('ws');
+const { SimulatedExchange, ExchangeError } = require('../paperExchange');
+
+// 本地 Aster 期货 REST 接口替身：校验 HMAC 签名与 recvWindow，
+// 业务逻辑由 SimulatedExchange 处理，并支持注入错误（429/418/5xx/-1021/断连）与延迟，
+// 响应头携带 X-MBX-USED-WEIGHT-* / X-MBX-ORDER-COUNT-* 用量。
+// 同一端口提供 WebSocket：/ws/<listenKey> 为用户数据流，/stream?streams=... 为行情数据流，推送内容由测试触发。
+
+// 无需签名的公共接口
+const PUBLIC_ENDPOINTS = new Set([
+    '/fapi/v1/time',
+    '/fapi/v1/depth',
+    '/fapi/v1/exchangeInfo',
+    '/fapi/v1/ticker/price'
+]);
+
+// 只需 API Key、无需签名的 USER_STREAM 接口
+const LISTEN_KEY_ENDPOINT = '/fapi/v1/listenKey';
+
+class MockAsterServer {
+    // options.accounts: [{ apiKey, apiSecret, label }]，label 用作模拟交易所中的账号标识
+    // options.exchange: SimulatedExchange 构造参数（默认 stepMs=0，价格由测试手动控制）
+    constructor(options = {}) {
+        this.accounts = new Map((options.accounts || []).map(acc => [acc.apiKey, acc]));
+        this.exchangeOptions = Object.assign({ stepMs: 0 }, options.exchange);
+        this.reset();
+        this.server = http.createServer((req, res) => this.handle(req, res));
+        this.wss = new WebSocketServer({ server: this.server });
+        this.wss.on('connection', (ws, req) => this.handleSocket(ws, req));
+    }
+
+    // 重置交易所状态、注入规则与请求记录（测试用例之间调用）
+    reset() {
+        if (this.exchange) this.exchange.stop();
+        this.exchange = new SimulatedExchange(this.exchangeOptions);
+        if (this.url) this.exchange.start();
+        this.clockOffsetMs = 0;
+        this.latencyMs = 0;
+        this.injections = [];
+        this.requests = [];
+        // 用量响应头：每个请求计 1，usedWeightOffset 用于模拟其他进程已占用的权重
+        this.rateInterval = '1M';
+        this.usedWeight = 0;
+        this.usedWeightOffset = 0;
+        this.orderCount = 0;
+        // listenKey -> 账号 label
+        this.listenKeys = new Map();
+    }
+
+    async start(port = 0) {
+        await new Promise(resolve => this.server.listen(port, '127.0.0.1', resolve));
+        this.exchange.start();
+        this.url = `http://127.0.0.1:${this.server.address().port}`;
+        return this.url;
+    }
+
+    async stop() {
+        this.exchange.stop();
+        this.dropStreams();
+        await new Promise(resolve => this.wss.close(() => resolve()));
+        if (this.server.closeAllConnections) this.server.closeAllConnections();
+        await new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    serverTime() {
+        return Date.now() + this.clockOffsetMs;
+    }
+
+    setLatency(ms) {
+        this.latencyMs = ms;
+    }
+
+    // 注入错误：匹配 method/path 的前 times 次请求返回指定错误
+    // { method, path, status, code, msg, headers, times = 1, networkError = false, afterHandle = false }
+    // networkError=true 时直接断开连接；afterHandle=true 时先执行请求再断开（模拟响应丢失）
+    injectError(rule) {
+        this.injections.push(Object.assign({ times: 1 }, rule));
+    }
+
+    clearInjections() {
+        this.injections = [];
+    }
+
+    takeInjection(method, pathname) {
+        const rule = this.injections.find(r => r.times > 0
+            && (!r.method || r.method === method)
+            && (!r.path || r.path === pathname));
+        if (rule) rule.times -= 1;
+        return rule || null;
+    }
+
+    countRequests(method, pathname) {
+        return this.requests.filter(r => r.method === method && r.path === pathname).length;
+    }
+
+    sendError(res, status, code, msg, headers = {}) {
+        Object.entries(headers).forEach(([name, value]) => res.setHeader(name, value));
+        res.statusCode = status;
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ code, msg }));
+    }
+
+    // 仅校验 API Key（listenKey 接口），返回账号配置
+    authenticateApiKey(req) {
+        const account = this.accounts.get(req.headers['x-mbx-apikey']);
+        if (!account) {
+            throw new ExchangeError(401, -2015, 'Invalid API-key, IP, or permissions for action.');
+        }
+        return account;
+    }
+
+    handleListenKey(method, label) {
+        if (method === 'POST') {
+            const listenKey = crypto.randomBytes(16).toString('hex');
+            this.listenKeys.set(listenKey, label);
+            return { listenKey };
+        }
+        if (method === 'PUT') {
+            if (![...this.listenKeys.values()].includes(label)) throw new ExchangeError(400, -1125, 'This listenKey does not exist.');
+            return {};
+        }
+        if (method === 'DELETE') {
+            this.listenKeys.forEach((owner, key) => { if (owner === label) this.listenKeys.delete(key); });
+            return {};
+        }
+        throw new ExchangeError(404, -1000, `Unsupported endpoint: ${method} ${LISTEN_KEY_ENDPOINT}`);
+    }
+
+    // WebSocket 连接：未知 listenKey 直接关闭
+    handleSocket(ws, req) {
+        const url = new URL(req.url, 'http://localhost');
+        const userMatch = url.pathname.match(/^\/ws\/([^/]+)$/);
+        if (userMatch && this.listenKeys.has(userMatch[1])) {
+            ws.account = this.listenKeys.get(userMatch[1]);
+        } else if (url.pathname === '/stream') {
+            ws.streams = (url.searchParams.get('streams') || '').split('/').filter(Boolean);
+        } else {
+            ws.close(1008, 'Invalid stream');
+        }
+    }
+
+    // 推送用户数据流事件到该账号的所有连接，返回推送的连接数
+    pushUserEvent(label, event) {
+        const sockets = [...this.wss.clients].filter(ws => ws.account === label);
+        sockets.forEach(ws => ws.send(JSON.stringify(event)));
+        return sockets.length;
+    }
+
+    // 按模拟交易所中订单的当前状态推送 ORDER_TRADE_UPDATE
+    pushOrderUpdate(label, orderId) {
+        const order = this.exchange.formatOrder(this.exchange.getAccount(label).orders.get(Number(orderId)));
+        return this.pushUserEvent(label, {
+            e: 'ORDER_TRADE_UPDATE',
+            E: Date.now(),
+            T: order.updateTime,
+            o: {
+                s: order.symbol, c: order.clientOrderId, S: order.side, o: order.type, q: order.origQty, p: order.price,
+                ap: order.avgPrice, X: order.status, i: order.orderId, z: order.executedQty
+            }
+        });
+    }
+
+    // 推送行情到订阅了 stream 的连接（组合流格式 { stream, data }），返回推送的连接数
+    pushMarket(stream, data) {
+        const sockets = [...this.wss.clients].filter(ws => ws.streams && ws.streams.includes(stream));
+        sockets.forEach(ws => ws.send(JSON.stringify({ stream, data })));
+        return sockets.length;
+    }
+
+    // 断开所有 WebSocket 连接（模拟网络中断）
+    dropStreams() {
+        this.wss.clients.forEach(ws => ws.terminate());
+    }
+
+    // 校验签名与时间窗，返回账号配置；失败时抛出 ExchangeError
+    authenticate(req, rawParams) {
+        const account = this.accounts.get(req.headers['x-mbx-apikey']);
+        if (!account) {
+            throw new ExchangeError(401, -2015, 'Invalid API-key, IP, or permissions for action.');
+        }
+
+        const marker = '&signature=';
+        const idx = rawParams.lastIndexOf(marker);
+        if (idx < 0) {
+            throw new ExchangeError(400, -1102, "Mandatory parameter 'signature' was not sent, was empty/null, or malformed.");
+        }
+        const payload = rawParams.slice(0, idx);
+        const signature = rawParams.slice(idx + marker.length);
+        const expected = crypto.createHmac('sha256', account.apiSecret).update(payload).digest('hex');
+        if (signature !== expected) {
+            throw new ExchangeError(400, -1022, 'Signature for this request is not valid.');
+        }
+
+        const params = new URLSearchParams(payload);
+        const timestamp = Number(params.get('timestamp'));
+        const recvWindow = Number(params.get('recvWindow') || 5000);
+        if (recvWindow > 60000) {
+            throw new ExchangeError(400, -1131, 'recvWindow must be less than 60000');
+        }
+        const now = this.serverTime();
+        if (!Number.isFinite(timestamp) || timestamp > now + 1000 || now - timestamp > recvWindow) {
+            throw new ExchangeError(400, -1021, "Timestamp for this request is outside of the recvWindow.");
+        }
+        return account;
+    }
+
+    handle(req, res) {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', async () => {
+            const url = new URL(req.url, 'http://localhost');
+            const pathname = url.pathname;
+            const rawParams = req.method === 'GET' ? url.search.replace(/^\?/, '') : body;
+            const params = Object.fromEntries(new URLSearchParams(rawParams));
+            delete params.signature;
+            this.requests.push({ method: req.method, path: pathname, params, headers: req.headers, time: Date.now() });
+            this.usedWeight += 1;
+            res.setHeader(`X-MBX-USED-WEIGHT-${this.rateInterval}`, String(this.usedWeight + this.usedWeightOffset));
+            if (pathname === '/fapi/v1/order' && req.method === 'POST') {
+                this.orderCount += 1;
+                res.setHeader(`X-MBX-ORDER-COUNT-${this.rateInterval}`, String(this.orderCount));
+            }
+
+            if (this.latencyMs > 0) {
+                await new Promise(resolve => setTimeout(resolve, this.latencyMs));
+            }
+
+            const rule = this.takeInjection(req.method, pathname);
+            if (rule && rule.networkError && !rule.afterHandle) {
+                req.socket.destroy();
+                return;
+            }
+            if (rule && !rule.networkError) {
+                this.sendError(res, rule.status || 500, rule.code || -1000, rule.msg || 'Injected error', rule.headers);
+                return;
+            }
+
+            try {
+                let result;
+                if (pathname === LISTEN_KEY_ENDPOINT) {
+                    result = this.handleListenKey(req.method, this.authenticateApiKey(req).label);
+                } else {
+                    let accountKey = 'public';
+                    if (!PUBLIC_ENDPOINTS.has(pathname)) {
+                        accountKey = this.authenticate(req, rawParams).label;
+                    }
+                    result = pathname === '/fapi/v1/time'
+                        ? { serverTime: this.serverTime() }
+                        : this.exchange.handle(accountKey, req.method, pathname, params);
+                }
+
+                if (rule && rule.networkError && rule.afterHandle) {
+                    req.socket.destroy();
+                    return;
+                }
+                res.setHeader('Content-Type', 'application/json');
+                res.end(JSON.stringify(result));
+            } catch (error) {
+                if (error instanceof ExchangeError) {
+                    this.sendError(res, error.status, error.code, error.message);
+                } else {
+                    this.sendError(res, 500, -1000, error.message);
+                }
+            }
+        });
+    }
+}
+
+module.exports = { MockAsterServer };
+
+// 直接运行时启动独立的替身服务，便于手动联调：node test/mockAsterServer.js [port]
+if (require.main === module) {
+    const port = Number(process.argv[2]) || 8787;
+    const server = new MockAsterServer({
+        accounts: [1, 2, 3].map(i => ({ apiKey: `key${i}`, apiSecret: `secret${i}`, label: `账号${i}` })),
+        exchange: { stepMs: 1000 }
+    });
+    server.start(port).then(url => {
+        console.log(`Mock Aster server listening on ${url} (apiKey key1..key3 / apiSecret secret1..secret3)`);
+    });
+}
@@ -0,0 +1,106 @@
+const net = require('net');
+
+// 本地 SMTP 替身（明文，不支持 STARTTLS）：支持 AUTH PLAIN 校验，记录收到的邮件
+class MockSmtpServer {
+    // options: { user, password }，设置后要求 AUTH PLAIN
+    constructor(options = {}) {
+        this.user = options.user || null;
+        this.password = options.password || '';
+        this.messages = [];
+        this.authAttempts = 0;
+        this.server = net.createServer(socket => this.handle(socket));
+    }
+
+    async start(port = 0) {
+        await new Promise(resolve => this.server.listen(port, '127.0.0.1', resolve));
+        this.port = this.server.address().port;
+        return this.port;
+    }
+
+    async stop() {
+        await new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    handle(socket) {
+        const reply = (line) => socket.write(`${line}\r\n`);
+        let buffer = '';
+        let authed = !this.user;
+        let mail = null;
+        let data = null;
+
+        reply('220 mock-smtp ready');
+        socket.on('error', () => {});
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+            let index;
+            while ((index = buffer.indexOf('\r\n')) >= 0) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+
+                if (data !== null) {
+                    if (line === '.') {
+                        this.messages.push({ ...mail, raw: data.join('\r\n') });
+                        mail = null;
+                        data = null;
+                        reply('250 OK queued');
+                    } else {
+                        data.push(line.startsWith('..') ? line.slice(1) : line);
+                    }
+                    continue;
+                }
+
+                const [verb, ...rest] = line.split(' ');
+                const arg = rest.join(' ');
+                switch (verb.toUpperCase()) {
+                    case 'EHLO':
+                        reply('250-mock-smtp');
+                        reply('250 AUTH PLAIN');
+                        break;
+                    case 'AUTH': {
+                        this.authAttempts += 1;
+                        const [, user, password] = Buffer.from(arg.replace(/^PLAIN /i, ''), 'base64').toString('utf8').split('\u0000');
+                        authed = user === this.user && password === this.password;
+                        reply(authed ? '235 Authentication successful' : '535 Authentication failed');
+                        break;
+                    }
+                    case 'MAIL':
+                        if (!authed) {
+                            reply('530 Authentication required');
+                            break;
+                        }
+                        mail = { from: /<(.*)>/.exec(arg)[1], to: [] };
+                        reply('250 OK');
+                        break;
+                    case 'RCPT':
+                        mail.to.push(/<(.*)>/.exec(arg)[1]);
+                        reply('250 OK');
+                        break;
+                    case 'DATA':
+                        data = [];
+                        reply('354 End data with <CR><LF>.<CR><LF>');
+                        break;
+                    case 'QUIT':
+                        reply('221 Bye');
+                        socket.end();
+                        break;
+                    default:
+                        reply('502 Command not implemented');
+                }
+            }
+        });
+    }
+}
+
+// 解析替身收到的邮件：解码 Subject（RFC 2047 base64）与 base64 正文
+function parseMail(raw) {
+    const [head, body] = raw.split('\r\n\r\n');
+    const headers = {};
+    head.split('\r\n').forEach(line => {
+        const index = line.indexOf(':');
+        headers[line.slice(0, index).toLowerCase()] = line.slice(index + 1).trim();
+    });
+    const subject = headers.subject.replace(/=\?UTF-8\?B\?([^?]*)\?=/g, (_, b64) => Buffer.from(b64, 'base64').toString('utf8'));
+    return { headers, subject, text: Buffer.from(body.replace(/\r\n/g, ''), 'base64').toString('utf8') };
+}
+
+module.exports = { MockSmtpServer, parseMail };
@@ -0,0 +1,95 @@
+const http = require('http');
+
+// 本地 Telegram Bot API 替身：getUpdates 长轮询返回测试推入的消息，sendMessage 记录发出的消息
+class MockTelegramServer {
+    constructor(token) {
+        this.token = token;
+        this.server = http.createServer((req, res) => this.handle(req, res));
+        this.reset();
+    }
+
+    reset() {
+        this.updates = [];
+        this.nextUpdateId = 1;
+        this.sent = [];
+        this.waiters = [];
+    }
+
+    async start(port = 0) {
+        await new Promise(resolve => this.server.listen(port, '127.0.0.1', resolve));
+        this.url = `http://127.0.0.1:${this.server.address().port}`;
+        return this.url;
+    }
+
+    async stop() {
+        this.waiters.forEach(waiter => waiter());
+        if (this.server.closeAllConnections) this.server.closeAllConnections();
+        await new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    // 模拟用户发消息；date 默认当前时间（秒）
+    pushMessage(chatId, text, date = Math.floor(Date.now() / 1000)) {
+        this.updates.push({
+            update_id: this.nextUpdateId++,
+            message: { message_id: this.nextUpdateId, date, chat: { id: chatId, type: 'private' }, text }
+        });
+        const waiters = this.waiters;
+        this.waiters = [];
+        waiters.forEach(waiter => waiter());
+    }
+
+    // 等待第 count 条发出的消息（从 1 开始计）
+    async waitForSent(count, timeoutMs = 5000) {
+        const deadline = Date.now() + timeoutMs;
+        while (this.sent.length < count) {
+            if (Date.now() > deadline) throw new Error(`等待第 ${count} 条 Telegram 消息超时（已发送 ${this.sent.length} 条）`);
+            await new Promise(r => setTimeout(r, 20));
+        }
+        return this.sent[count - 1];
+    }
+
+    send(res, status, body) {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    }
+
+    handle(req, res) {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', async () => {
+            const match = /^\/bot([^/]+)\/(\w+)$/.exec(req.url);
+            if (!match || match[1] !== this.token) {
+                this.send(res, 401, { ok: false, error_code: 401, description: 'Unauthorized' });
+                return;
+            }
+            let params = {};
+            if (raw) {
+                params = (req.headers['content-type'] || '').includes('json')
+                    ? JSON.parse(raw)
+                    : Object.fromEntries(new URLSearchParams(raw));
+            }
+
+            if (match[2] === 'sendMessage') {
+                this.sent.push({ chatId: String(params.chat_id), text: params.text, parseMode: params.parse_mode });
+                this.send(res, 200, { ok: true, result: { message_id: this.sent.length } });
+                return;
+            }
+            if (match[2] === 'getUpdates') {
+                const offset = Number(params.offset) || 0;
+                const pending = () => this.updates.filter(u => u.update_id >= offset);
+                if (pending().length === 0 && Number(params.timeout) > 0) {
+                    // 长轮询：有新消息或超时后返回（上限 1 秒，便于测试结束）
+                    await new Promise(resolve => {
+                        const timer = setTimeout(resolve, Math.min(Number(params.timeout) * 1000, 1000));
+                        this.waiters.push(() => { clearTimeout(timer); resolve(); });
+                    });
+                }
+                this.send(res, 200, { ok: true, result: pending() });
+                return;
+            }
+            this.send(res, 404, { ok: false, error_code: 404, description: 'Not Found' });
+        });
+    }
+}
+
+module.exports = { MockTelegramServer };
@@ -0,0 +1,156 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { config, useMockServer, waitFor } = require('./helpers');
+const { AsterFuturesAPI } = require('../index');
+
+const SYMBOL = 'BTCUSDT';
+
+describe('AsterFuturesAPI.chaseLimitOrder', () => {
+    const server = useMockServer();
+    let client;
+
+    const limitOrders = () => [...server.exchange.getAccount('账号1').orders.values()].filter(o => o.type === 'LIMIT');
+    const movePrice = (ticks) => {
+        const state = server.exchange.getSymbol(SYMBOL);
+        server.exchange.setPrice(SYMBOL, state.mark + ticks * state.spec.tickSize);
+    };
+
+    beforeEach(() => {
+        server.reset();
+        client = new AsterFuturesAPI('key1', 'secret1', '账号1');
+    });
+
+    it('reprices the remaining quantity at the new bid1 and carries partial fills over', async () => {
+        const bid = await client.getBid1Price(SYMBOL);
+        const chase = client.chaseLimitOrder(SYMBOL, 'BUY', 0.005, bid, {
+            maxWaitTime: 10_000,
+            chase: { intervalSeconds: 0.2, minTicks: 2, maxReprices: 3, maxDriftPercent: 1 }
+        });
+
+        await waitFor(() => limitOrders().length === 1);
+        server.exchange.partialFill('账号1', limitOrders()[0].orderId, 0.002);
+        movePrice(5);
+        const newBid = server.exchange.getSymbol(SYMBOL).bid;
+
+        await waitFor(() => limitOrders().length === 2);
+        const [first, second] = limitOrders();
+        assert.strictEqual(first.status, 'CANCELED');
+        assert.strictEqual(second.origQty, 0.003);
+        assert.strictEqual(second.price, newBid);
+        movePrice(-10);
+
+        const result = await chase;
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(result.reprices, 1);
+        assert.strictEqual(result.orderInfo.executedQty, 0.005);
+        const expectedAvg = (0.002 * bid + 0.003 * newBid) / 0.005;
+        assert.ok(Math.abs(result.orderInfo.avgPrice - expectedAvg) < 1e-6);
+
+        const positions = await client.getPositions(SYMBOL);
+        assert.strictEqual(positions[0].positionAmt, '0.005');
+    });
+
+    it('keeps the chase interval and maxWaitTime when polling over REST', async () => {
+        // 未启用用户数据流，轮询间隔远大于追价间隔
+        config.orderPollIntervalMs = 3000;
+        try {
+            const bid = await client.getBid1Price(SYMBOL);
+            const startedAt = Date.now();
+            const chase = client.chaseLimitOrder(SYMBOL, 'BUY', 0.005, bid, {
+                maxWaitTime: 1500,
+                chase: { intervalSeconds: 0.2, minTicks: 2, maxReprices: 1, maxDriftPercent: 1 }
+            });
+
+            await waitFor(() => limitOrders().length === 1);
+            movePrice(5);
+            await waitFor(() => limitOrders().length === 2, 1000);
+
+            const result = await chase;
+            const elapsed = Date.now() - startedAt;
+            assert.strictEqual(result.success, false);
+            assert.strictEqual(result.reprices, 1);
+            assert.ok(elapsed < 1500 + 1000, `chase lasted ${elapsed}ms`);
+        } finally {
+            config.orderPollIntervalMs = 100;
+        }
+    });
+
+    it('stops chasing once the drift cap is exceeded', async () => {
+        const bid = await client.getBid1Price(SYMBOL);
+        const chase = client.chaseLimitOrder(SYMBOL, 'BUY', 0.005, bid, {
+            maxWaitTime: 1000,
+            chase: { intervalSeconds: 0.2, minTicks: 2, maxReprices: 3, maxDriftPercent: 0.0001 }
+        });
+
+        await waitFor(() => limitOrders().length === 1);
+        movePrice(50);
+
+        const result = await chase;
+        assert.strictEqual(result.success, false);
+        assert.strictEqual(result.timeout, true);
+        assert.strictEqual(result.reprices, 0);
+        // 只有超时时的一次撤单，没有追价撤单
+        assert.strictEqual(server.countRequests('DELETE', '/fapi/v1/order'), 1);
+        assert.strictEqual(limitOrders().length, 1);
+        assert.strictEqual(limitOrders()[0].status, 'CANCELED');
+    });
+
+    it('cancels the live order on timeout and reports its partial fill', async () => {
+        const bid = await client.getBid1Price(SYMBOL);
+        const chase = client.chaseLimitOrder(SYMBOL, 'BUY', 0.005, bid, {
+            maxWaitTime: 600,
+            chase: { intervalSeconds: 0.2, minTicks: 5, maxReprices: 3, maxDriftPercent: 1 }
+        });
+
+        await waitFor(() => limitOrders().length === 1);
+        server.exchange.partialFill('账号1', limitOrders()[0].orderId, 0.002);
+
+        const result = await chase;
+        assert.strictEqual(result.success, false);
+        assert.strictEqual(result.timeout, true);
+        assert.strictEqual(result.orderInfo.executedQty, 0.002);
+        assert.strictEqual(result.orderInfo.avgPrice, bid);
+        assert.strictEqual(limitOrders()[0].status, 'CANCELED');
+    });
+
+    it('fails when the settled quantity is below the hedgeable minimum', async () => {
+        const spec = server.exchange.getSymbol(SYMBOL).spec;
+        const savedMinNotional = spec.minNotional;
+        // 0.001 × 约 100000 低于最小名义价值 150 USDT
+        spec.minNotional = 150;
+        try {
+            const bid = await client.getBid1Price(SYMBOL);
+            const chase = client.chaseLimitOrder(SYMBOL, 'BUY', 0.002, bid, {
+                maxWaitTime: 5000,
+                chase: { intervalSeconds: 0.2, minTicks: 2, maxReprices: 3, maxDriftPercent: 1 }
+            });
+
+            await waitFor(() => limitOrders().length === 1);
+            server.exchange.partialFill('账号1', limitOrders()[0].orderId, 0.001);
+            movePrice(5);
+
+            const result = await chase;
+            assert.strictEqual(result.success, false);
+            assert.strictEqual(result.orderInfo.executedQty, 0.001);
+            assert.strictEqual(limitOrders().length, 1);
+        } finally {
+            spec.minNotional = savedMinNotional;
+        }
+    });
+
+    it('does not reprice when the book stays within minTicks', async () => {
+        const bid = await client.getBid1Price(SYMBOL);
+        const chase = client.chaseLimitOrder(SYMBOL, 'BUY', 0.005, bid, {
+            maxWaitTime: 800,
+            chase: { intervalSeconds: 0.2, minTicks: 5, maxReprices: 3, maxDriftPercent: 1 }
+        });
+
+        await waitFor(() => limitOrders().length === 1);
+        movePrice(2);
+
+        const result = await chase;
+        assert.strictEqual(result.success, false);
+        assert.strictEqual(result.reprices, 0);
+        assert.strictEqual(limitOrders().length, 1);
+    });
+});
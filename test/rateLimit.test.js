@@ -0,0 +1,77 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { useMockServer } = require('./helpers');
+const { AsterFuturesAPI, RateLimitScheduler } = require('../index');
+
+describe('RateLimitScheduler', () => {
+    const server = useMockServer();
+    let client;
+
+    beforeEach(() => {
+        server.reset();
+        client = new AsterFuturesAPI('key1', 'secret1', '账号1');
+        client.rateLimiter = new RateLimitScheduler('test', { weightLimits: { '1s': 10 } });
+        // 预先同步时间，避免时间同步请求干扰计数
+        client.lastTimeSyncAt = Date.now();
+    });
+
+    it('waits for the next window once the used-weight header nears the limit', async () => {
+        server.rateInterval = '1S';
+        server.usedWeightOffset = 8;
+
+        await client.getPrice('BTCUSDT');
+        assert.strictEqual(client.rateLimiter.weightWindows.get('1s').used, 9);
+        await client.getPrice('BTCUSDT');
+
+        const [first, second] = server.requests.filter(r => r.path === '/fapi/v1/ticker/price');
+        assert.ok(Math.floor(second.time / 1000) > Math.floor(first.time / 1000));
+    });
+
+    it('lets queued orders go before informational calls', async () => {
+        // 预先缓存交易规则与参考价，排队时只剩下单与查询两个请求
+        await client.getBid1Price('BTCUSDT');
+        await client.getExchangeInfo();
+        client.rateLimiter.block(200);
+
+        const info = client.getPositions('BTCUSDT', { priority: 'low' });
+        const order = client.buyOrder('BTCUSDT', 0.002, null, 'MARKET');
+        await Promise.all([info, order]);
+
+        const paths = server.requests
+            .filter(r => ['/fapi/v2/positionRisk', '/fapi/v1/order'].includes(r.path))
+            .map(r => `${r.method} ${r.path}`);
+        assert.deepStrictEqual(paths, ['POST /fapi/v1/order', 'GET /fapi/v2/positionRisk']);
+    });
+
+    it('holds further requests until Retry-After has passed on 429', async () => {
+        server.injectError({ method: 'GET', path: '/fapi/v1/ticker/price', status: 429, code: -1003, headers: { 'Retry-After': '1' } });
+
+        const startedAt = Date.now();
+        await client.getPrice('BTCUSDT');
+        assert.ok(Date.now() - startedAt >= 900);
+        assert.strictEqual(server.countRequests('GET', '/fapi/v1/ticker/price'), 2);
+    });
+
+    it('stops all requests after a 418 ban without retrying', async () => {
+        server.injectError({ method: 'GET', path: '/fapi/v1/ticker/price', status: 418, code: -1003, headers: { 'Retry-After': '60' } });
+
+        await assert.rejects(client.getPrice('BTCUSDT'), err => err.code === 'IP_BANNED' && err.status === 418);
+        assert.strictEqual(server.countRequests('GET', '/fapi/v1/ticker/price'), 1);
+
+        await assert.rejects(client.getPositions('BTCUSDT'), err => err.code === 'IP_BANNED');
+        assert.strictEqual(server.countRequests('GET', '/fapi/v2/positionRisk'), 0);
+    });
+
+    it('takes limits from exchangeInfo rateLimits unless configured', () => {
+        const scheduler = new RateLimitScheduler('info');
+        scheduler.applyExchangeLimits([
+            { rateLimitType: 'REQUEST_WEIGHT', interval: 'MINUTE', intervalNum: 1, limit: 1200 },
+            { rateLimitType: 'ORDERS', interval: 'SECOND', intervalNum: 10, limit: 100 }
+        ]);
+        assert.deepStrictEqual(scheduler.weightLimits, { '1m': 1200 });
+        assert.deepStrictEqual(scheduler.orderLimits, { '10s': 100 });
+
+        client.rateLimiter.applyExchangeLimits([{ rateLimitType: 'REQUEST_WEIGHT', interval: 'MINUTE', intervalNum: 1, limit: 1200 }]);
+        assert.deepStrictEqual(client.rateLimiter.weightLimits, { '1s': 10 });
+    });
+});
@@ -0,0 +1,148 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { config, useMockServer } = require('./helpers');
+const { MockTelegramServer } = require('./mockTelegramServer');
+const { TelegramBot, formatTable } = require('../telegramBot');
+const { ThreeAccountHedgeTool, AsterFuturesAPI } = require('../index');
+
+const SYMBOL = 'BTCUSDT';
+const BOT_TOKEN = '123456:test-bot-token';
+const CHAT_ID = 4242;
+
+describe('formatTable', () => {
+    it('aligns columns by display width, counting CJK characters as two columns', () => {
+        assert.strictEqual(formatTable(['账号', 'USDT'], [['账号1', '1.00'], ['main', '250.00']]), [
+            '账号  |   USDT',
+            '------+-------',
+            '账号1 |   1.00',
+            'main  | 250.00'
+        ].join('\n'));
+    });
+});
+
+describe('Telegram commands', () => {
+    const exchange = useMockServer();
+    const telegram = new MockTelegramServer(BOT_TOKEN);
+    let tool;
+    let bot;
+    let stopReason;
+
+    const positionOf = (label) => parseFloat(exchange.exchange.handle(label, 'GET', '/fapi/v2/positionRisk', { symbol: SYMBOL })[0].positionAmt);
+    // 发送命令并返回机器人的下一条回复
+    const command = async (text, chatId = CHAT_ID) => {
+        const count = telegram.sent.length + 1;
+        telegram.pushMessage(chatId, text);
+        return (await telegram.waitForSent(count)).text;
+    };
+
+    before(async () => {
+        await telegram.start();
+    });
+
+    after(async () => {
+        await telegram.stop();
+    });
+
+    beforeEach(() => {
+        exchange.reset();
+        telegram.reset();
+        stopReason = null;
+        tool = new ThreeAccountHedgeTool();
+        bot = new TelegramBot({
+            tool,
+            symbol: SYMBOL,
+            botToken: BOT_TOKEN,
+            chatId: CHAT_ID,
+            apiBase: telegram.url,
+            pollTimeoutSec: 1,
+            retryDelayMs: 50,
+            onStop: (reason) => { stopReason = reason; },
+            logger: { log() {}, error() {} }
+        });
+        bot.start();
+    });
+
+    afterEach(async () => {
+        await bot.stop();
+    });
+
+    it('only answers the configured chat and drops messages sent before startup', async () => {
+        telegram.pushMessage(999, '/stop');
+        telegram.pushMessage(CHAT_ID, '/stop', Math.floor(Date.now() / 1000) - 600);
+        const reply = await command('/help');
+        assert.match(reply, /\/closeall/);
+        assert.strictEqual(telegram.sent.length, 1);
+        assert.strictEqual(telegram.sent[0].chatId, String(CHAT_ID));
+        assert.strictEqual(stopReason, null);
+    });
+
+    it('replies to /status and /balance with per-account tables', async () => {
+        const client = new AsterFuturesAPI('key1', 'secret1', '账号1');
+        await client.buyOrder(SYMBOL, 0.003, null, 'MARKET');
+
+        const status = await command('/status');
+        assert.match(status, /<pre>[\s\S]*账号1 \|\s+0\.003 \|/);
+        assert.match(status, /账号2 \|\s+0 \|/);
+        assert.match(status, /循环未运行/);
+
+        const balance = await command('/balance@aster_bot');
+        config.accounts.forEach(({ label }) => assert.match(balance, new RegExp(`${label} \\|`)));
+        assert.match(balance, /合计 +\|/);
+    });
+
+    it('pauses, resumes and reports session stats', async () => {
+        assert.match(await command('/pause'), /已请求暂停/);
+        assert.strictEqual(tool.pauseRequested, true);
+        assert.match(await command('/resume'), /已恢复/);
+        assert.strictEqual(tool.pauseRequested, false);
+
+        tool.recordVolume(tool.accounts[0], 500);
+        const stats = await command('/stats');
+        assert.match(stats, /账号1 \|\s+500\.00/);
+        assert.match(stats, /合计 +\|\s+500\.00/);
+        assert.match(stats, /净盈亏 +\|/);
+    });
+
+    it('requires a confirmation code before /closeall flattens and pauses', async () => {
+        const client = new AsterFuturesAPI('key2', 'secret2', '账号2');
+        await client.sellOrder(SYMBOL, 0.002, null, 'MARKET');
+
+        assert.match(await command('/confirm 0000'), /没有待确认/);
+        const prompt = await command('/closeall');
+        const code = /\/confirm (\d{4})/.exec(prompt)[1];
+        assert.strictEqual(positionOf('账号2'), -0.002);
+
+        assert.match(await command(`/confirm ${code === '1234' ? '4321' : '1234'}`), /确认码不正确/);
+        assert.match(await command(`/confirm ${code}`), /已撤单并平仓/);
+        assert.strictEqual(positionOf('账号2'), 0);
+        assert.strictEqual(tool.pauseRequested, true);
+        assert.match(await command(`/confirm ${code}`), /没有待确认/);
+    });
+
+    it('reports an in-progress close and positions left after /closeall', async () => {
+        const client = new AsterFuturesAPI('key2', 'secret2', '账号2');
+        await client.sellOrder(SYMBOL, 0.002, null, 'MARKET');
+        const confirm = async () => {
+            const code = /\/confirm (\d{4})/.exec(await command('/closeall'))[1];
+            return command(`/confirm ${code}`);
+        };
+
+        tool.isClosing = true;
+        assert.match(await confirm(), /已在平仓中/);
+        tool.isClosing = false;
+        assert.strictEqual(positionOf('账号2'), -0.002);
+
+        exchange.injectError({ method: 'POST', path: '/fapi/v1/order', status: 503, times: 100 });
+        assert.match(await confirm(), /平仓后仍有持仓: 账号2/);
+        exchange.clearInjections();
+        assert.match(await confirm(), /已撤单并平仓/);
+        assert.strictEqual(positionOf('账号2'), 0);
+    });
+
+    it('stops through the shutdown callback and rejects unknown commands', async () => {
+        assert.match(await command('/nope'), /未知命令 \/nope/);
+        assert.match(await command('/stop'), /安全退出/);
+        await new Promise(r => setImmediate(r));
+        assert.match(stopReason, /Telegram/);
+    });
+});
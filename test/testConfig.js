@@ -0,0 +1,24 @@
+// 测试配置：通过 ASTER_CONFIG 环境变量加载，baseURL 在测试中指向本地替身服务
+module.exports = {
+    accounts: [1, 2, 3].map(i => ({
+        label: `账号${i}`,
+        apiKey: `key${i}`,
+        apiSecret: `secret${i}`
+    })),
+    telegram: { enabled: false },
+    logToConsole: false,
+    symbol: 'BTCUSDT',
+    leverage: 20,
+    price: 100000,
+    positionTime: { min: 0, max: 0 },
+    minQuantity: 0.002,
+    maxQuantity: 0.005,
+    maxPositionValue: 10000,
+    requestRetries: 2,
+    requestRetryDelayMs: 50,
+    recvWindow: 5000,
+    orderPollIntervalMs: 100,
+    hedgeRepairAttempts: 1,
+    userDataStream: { enabled: false },
+    marketData: { enabled: false }
+};
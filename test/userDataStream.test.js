@@ -0,0 +1,81 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { config, useMockServer, waitFor } = require('./helpers');
+const { AsterFuturesAPI } = require('../index');
+
+const SYMBOL = 'BTCUSDT';
+
+describe('user data stream', () => {
+    const server = useMockServer();
+    let client;
+
+    const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+    const orderQueries = () => server.countRequests('GET', '/fapi/v1/order');
+
+    // 挂在买一下方 10 个价位的限价买单，不会自动成交
+    const placeRestingBuy = async () => {
+        const { bid, spec } = server.exchange.getSymbol(SYMBOL);
+        return client.buyOrder(SYMBOL, 0.002, bid - 10 * spec.tickSize, 'LIMIT');
+    };
+
+    beforeEach(() => {
+        server.reset();
+        client = new AsterFuturesAPI('key1', 'secret1', '账号1');
+    });
+
+    afterEach(async () => {
+        await client.stopUserDataStream();
+        config.userDataStream = { enabled: false };
+    });
+
+    it('creates, keeps alive and closes the listenKey', async () => {
+        config.userDataStream = { enabled: false, keepAliveMinutes: 0.002 };
+        await client.startUserDataStream();
+        assert.strictEqual(client.userStream.connected, true);
+        assert.strictEqual(server.countRequests('POST', '/fapi/v1/listenKey'), 1);
+        assert.strictEqual(server.listenKeys.size, 1);
+
+        await waitFor(() => server.countRequests('PUT', '/fapi/v1/listenKey') >= 2);
+        await client.stopUserDataStream();
+        assert.strictEqual(client.userStream.connected, false);
+        assert.strictEqual(server.countRequests('DELETE', '/fapi/v1/listenKey'), 1);
+        assert.strictEqual(server.listenKeys.size, 0);
+    });
+
+    it('resolves monitorOrderStatus from ORDER_TRADE_UPDATE without polling', async () => {
+        await client.startUserDataStream();
+        const order = await placeRestingBuy();
+        const monitor = client.monitorOrderStatus(SYMBOL, order.clientOrderId, 10_000);
+
+        // 首次 REST 确认后只等待推送，超过多个轮询间隔也不再查询
+        await waitFor(() => orderQueries() === 1);
+        await sleep(config.orderPollIntervalMs * 5);
+        assert.strictEqual(orderQueries(), 1);
+
+        server.exchange.partialFill('账号1', order.orderId, 0.002);
+        assert.strictEqual(server.pushOrderUpdate('账号1', order.orderId), 1);
+
+        const result = await monitor;
+        assert.strictEqual(result.filled, true);
+        assert.strictEqual(result.orderInfo.status, 'FILLED');
+        assert.strictEqual(result.orderInfo.executedQty, '0.002');
+        assert.strictEqual(orderQueries(), 1);
+    });
+
+    it('falls back to REST polling when the socket drops', async () => {
+        await client.startUserDataStream();
+        const order = await placeRestingBuy();
+        const monitor = client.monitorOrderStatus(SYMBOL, order.clientOrderId, 10_000);
+        await waitFor(() => orderQueries() === 1);
+
+        server.dropStreams();
+        await waitFor(() => !client.userStream.connected);
+        // 成交后不推送，只能通过 REST 轮询发现
+        server.exchange.partialFill('账号1', order.orderId, 0.002);
+
+        const result = await monitor;
+        assert.strictEqual(result.filled, true);
+        assert.strictEqual(result.orderInfo.status, 'FILLED');
+        assert.ok(orderQueries() >= 2, `queried ${orderQueries()} times`);
+    });
+});